@@ -0,0 +1,141 @@
+"use strict";
+/**
+ * Belief Store
+ * The World Model's hypotheses about the laws of this universe, kept as structured
+ * records instead of prose. The prompt and the reasoning panel are rendered from it.
+ */
+
+// Starting hypotheses. Every law begins unverified with no evidence.
+const INITIAL_LAWS = [
+    { id: "gravity", subject: "gravity", section: "Gravity", label: "Gravity", hypothesis: "Objects might fall down?" },
+    { id: "movement", subject: "movement", section: "Movement", label: "Arrow Keys", hypothesis: "'Arrow Keys' might control specific entities?" },
+    { id: "jumping", subject: "jumping", section: "Movement", label: "Jumping", hypothesis: "Is jumping possible?" },
+    { id: "wall", subject: "x", section: "Collision", label: "'x' blocks", hypothesis: "Unknown properties." },
+    { id: "lava", subject: "!", section: "Collision", label: "'!'", hypothesis: "Unknown properties." },
+    { id: "coin", subject: "o", section: "Collision", label: "'o'", hypothesis: "Unknown properties." },
+    { id: "moving_lava", subject: "moving lava", section: "Collision", label: "'=', '|', 'v'", hypothesis: "Unknown properties. Do they move on their own?" },
+    { id: "lava_slide", subject: "=", section: "Moving Lava", label: "'='", hypothesis: "Does it move on its own? Which way, and how fast?" },
+    { id: "lava_bounce", subject: "|", section: "Moving Lava", label: "'|'", hypothesis: "Does it move on its own? Which way, and how fast?" },
+    { id: "lava_drip", subject: "v", section: "Moving Lava", label: "'v'", hypothesis: "Does it move on its own? Which way, and how fast?" }
+];
+// The law about the motion of each kind of moving lava
+const LAVA_MOTION_LAWS = { "=": "lava_slide", "|": "lava_bounce", "v": "lava_drip" };
+
+// Confidence at or past these marks flips a law's status
+const CONFIRM_AT = 0.8;
+const REJECT_AT = 0.2;
+const MAX_EVIDENCE = 20; // Most recent supporting events kept per law
+
+class BeliefStore {
+    constructor(laws = INITIAL_LAWS) {
+        this.laws = laws.map(law => ({
+            status: "unverified",
+            confidence: 0.5,
+            statement: null,
+            measured: null,
+            evidence: [],
+            ...law
+        }));
+    }
+
+    get(id) {
+        return this.laws.find(law => law.id === id);
+    }
+
+    /**
+     * The law whose confidence is closest to even odds; a tie goes to the law with less evidence.
+     * @param {Array<string>} ids - Laws to choose from, all of them by default
+     * @returns {Object|null} - The law, or null when none of ids is known
+     */
+    leastCertain(ids = this.laws.map(law => law.id)) {
+        const certainty = law => Math.abs(law.confidence - 0.5);
+        return ids.map(id => this.get(id)).filter(Boolean).reduce((best, law) => {
+            if (!best) return law;
+            const diff = certainty(law) - certainty(best);
+            return diff < -1e-9 || (Math.abs(diff) <= 1e-9 && law.evidence.length < best.evidence.length) ? law : best;
+        }, null);
+    }
+
+    /**
+     * Folds one observation into a law. Confidence moves toward 1 when the observation
+     * supports the law and toward 0 when it contradicts it; the status follows.
+     * @param {string} id - Law id
+     * @param {Object} observation - { supports, weight (0-1), statement, measured, evidence: [events] }
+     *   measured: fitted values behind the statement (see law_fitter.js), kept to compare later fits with
+     * @returns {boolean} - Whether the law's status changed
+     */
+    observe(id, observation) {
+        const law = this.get(id);
+        if (!law) throw new Error(`Unknown law: ${id}`);
+
+        const before = law.status;
+        const target = observation.supports ? 1 : 0;
+        law.confidence += (observation.weight || 0.5) * (target - law.confidence);
+        if (observation.statement) law.statement = observation.statement;
+        if (observation.measured) law.measured = observation.measured;
+        law.evidence = law.evidence.concat(observation.evidence || []).slice(-MAX_EVIDENCE);
+
+        if (law.confidence >= CONFIRM_AT) law.status = "confirmed";
+        else if (law.confidence <= REJECT_AT) law.status = "rejected";
+        else law.status = "unverified";
+        return law.status !== before;
+    }
+
+    // One line per law, e.g. "Gravity: CONFIRMED. Acts downwards (Y+). (confidence 0.90, 3 events)"
+    describe(law) {
+        return `${law.label}: ${this.describeStatus(law)}`;
+    }
+
+    // An unverified law with a measurement (see law_fitter.js) offers the measured values as its hypothesis
+    describeStatus(law) {
+        let text = law.statement;
+        if (!law.statement || law.status === "unverified")
+            text = `[HYPOTHESIS] ${law.measured && law.statement ? law.statement : law.hypothesis}`;
+        return `${law.status.toUpperCase()}. ${text} (confidence ${law.confidence.toFixed(2)}, ${law.evidence.length} events)`;
+    }
+
+    // Prompt text for the language model
+    renderPrompt() {
+        const sections = [];
+        this.laws.forEach(law => {
+            let section = sections.find(s => s.name === law.section);
+            if (!section) sections.push(section = { name: law.section, laws: [] });
+            section.laws.push(law);
+        });
+
+        const body = sections.map((section, i) => {
+            if (section.laws.length === 1)
+                return `${i + 1}. **${section.name}**: ${this.describeStatus(section.laws[0])}`;
+            return `${i + 1}. **${section.name}**:\n${section.laws.map(law => `   - ${this.describe(law)}`).join("\n")}`;
+        }).join("\n");
+
+        return `
+You are the World Model AI. You are learning the laws of this universe.
+
+### CURRENT PHYSICS KNOWLEDGE (Iterative Learning Mode)
+${body}
+
+### OBJECTIVE
+Design levels to *test* and *refine* these hypotheses.
+Start with a blank slate. As the player interacts, we will Confirm or Reject these laws.
+`;
+    }
+
+    toJSON() {
+        return { laws: this.laws };
+    }
+
+    static fromJSON(data) {
+        const store = new BeliefStore();
+        (data && data.laws || []).forEach(saved => {
+            const law = store.get(saved.id);
+            if (law) Object.assign(law, saved);
+        });
+        return store;
+    }
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BeliefStore, INITIAL_LAWS, LAVA_MOTION_LAWS };
+}
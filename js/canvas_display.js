@@ -0,0 +1,300 @@
+"use strict";
+/**
+ * Canvas Display
+ * Draws the level on one <canvas> instead of DOMDisplay's table and actor <div>s, so wide
+ * generated levels stay fast: only the tiles in view are painted each frame. Same contract
+ * as DOMDisplay (new Display(parent, level), drawFrame(step), clear()), so runGame takes
+ * either one (start.html?display=canvas). Adds a camera that eases after the player, zoom
+ * (+ / - keys or the mouse wheel) and death and win animations driven by level.status.
+ */
+
+const CANVAS_MAX_HEIGHT = 450;
+const CANVAS_COLORS = { sky: "#f0f8ff", wall: "#795548", wallEdge: "#5D4037", lava: "#F44336", coin: "gold", coinEdge: "#F57F17" };
+// How quickly the camera closes the distance to its target: the share left after one second is e^-CAMERA_EASE
+const CAMERA_EASE = 6;
+// Part of the view around the centre the player can move in before the camera follows
+const CAMERA_DEADZONE = { x: 0.15, y: 0.2 };
+const ZOOM_LEVELS = { min: 0.5, max: 3, factor: 1.25 };
+const ZOOM_KEYS = { in: ["Equal", "NumpadAdd"], out: ["Minus", "NumpadSubtract"], reset: ["Digit0", "Numpad0"] };
+
+// --- PLAYER SPRITES ---
+// One sheet of SPRITE_FRAMES frames per row, a row per state and facing:
+// idle, run and jump facing right, then the same three facing left. A drawn image with this
+// layout (SPRITE_SIZE pixels per frame) can stand in for the generated one.
+const SPRITE_STATES = ["idle", "run", "jump"];
+const SPRITE_FRAMES = 4;
+const SPRITE_SIZE = { width: 32, height: 60 }; // The 0.8 x 1.5 tile player box at 40 pixels per tile
+const SPRITE_FPS = 10;
+
+let playerSprites = null; // Sheet built on first use
+
+function spriteSheet() {
+    if (playerSprites) return playerSprites;
+    const canvas = document.createElement("canvas");
+    canvas.width = SPRITE_SIZE.width * SPRITE_FRAMES;
+    canvas.height = SPRITE_SIZE.height * SPRITE_STATES.length * 2;
+    const ctx = canvas.getContext("2d");
+    ["right", "left"].forEach((facing, f) => SPRITE_STATES.forEach((state, s) => {
+        for (let frame = 0; frame < SPRITE_FRAMES; frame++) {
+            ctx.save();
+            ctx.translate(frame * SPRITE_SIZE.width, (f * SPRITE_STATES.length + s) * SPRITE_SIZE.height);
+            if (facing === "left") {
+                ctx.translate(SPRITE_SIZE.width, 0);
+                ctx.scale(-1, 1);
+            }
+            drawFigure(ctx, state, frame);
+            ctx.restore();
+        }
+    }));
+    playerSprites = canvas;
+    return canvas;
+}
+
+// A figure facing right in one SPRITE_SIZE frame: swinging legs when running, tucked legs and raised arms in the air
+function drawFigure(ctx, state, frame) {
+    const swing = state === "run" ? [0.6, 0.2, -0.6, -0.2][frame] : 0;
+    const bob = state === "idle" ? [0, 0, 1, 1][frame] : state === "run" ? [0, 2, 0, 2][frame] : 0;
+    const hip = { x: 16, y: 40 }, shoulder = { x: 17, y: 22 + bob };
+    const limb = (from, angle, length, knee) => {
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        const mid = { x: from.x + Math.sin(angle) * length / 2, y: from.y + Math.cos(angle) * length / 2 };
+        ctx.lineTo(mid.x + knee, mid.y);
+        ctx.lineTo(from.x + Math.sin(angle) * length, from.y + Math.cos(angle) * length - Math.abs(knee));
+        ctx.stroke();
+    };
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = "#333333";
+    ctx.lineWidth = 5;
+    if (state === "jump") {
+        limb(hip, 0.5, 18, 6);
+        limb(hip, -0.3, 18, 5);
+    } else {
+        limb(hip, swing, 20, 0);
+        limb(hip, -swing, 20, 0);
+    }
+    // Torso
+    ctx.strokeStyle = "#2196F3";
+    ctx.lineWidth = 9;
+    ctx.beginPath();
+    ctx.moveTo(hip.x, hip.y - 2);
+    ctx.lineTo(shoulder.x, shoulder.y);
+    ctx.stroke();
+    // Arms, swinging against the legs
+    ctx.strokeStyle = "#333333";
+    ctx.lineWidth = 4;
+    if (state === "jump") {
+        limb(shoulder, Math.PI - 0.6, 14, 0);
+    } else {
+        limb(shoulder, -swing, 14, 0);
+    }
+    // Head, looking ahead
+    ctx.fillStyle = "#FFCC80";
+    ctx.beginPath();
+    ctx.arc(18, 12 + bob, 8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#333333";
+    ctx.fillRect(21, 10 + bob, 2, 3);
+}
+
+// --- DISPLAY ---
+
+class CanvasDisplay {
+    constructor(parent, level) {
+        this.level = level;
+        this.wrap = parent.appendChild(document.createElement("div"));
+        this.wrap.className = "game canvas-game";
+        this.canvas = this.wrap.appendChild(document.createElement("canvas"));
+        this.canvas.width = Math.min(parent.clientWidth || 800, level.width * scale);
+        this.canvas.height = Math.min(CANVAS_MAX_HEIGHT, level.height * scale);
+        this.ctx = this.canvas.getContext("2d");
+        this.overlays = []; // Canvases in level pixels (see HeatmapOverlay) drawn over the level
+        this.zoom = 1;
+        this.targetZoom = 1;
+        this.camera = null; // Top-left corner of the view in tiles; placed on the player at the first frame
+        this.time = 0; // Seconds drawn so far, for the sprite animation
+        this.playerHeight = new Player(new Vector(0, 0)).size.y; // Before sinking into lava shrinks it
+
+        this.onKey = event => {
+            if (ZOOM_KEYS.in.includes(event.code)) this.setZoom(this.targetZoom * ZOOM_LEVELS.factor);
+            else if (ZOOM_KEYS.out.includes(event.code)) this.setZoom(this.targetZoom / ZOOM_LEVELS.factor);
+            else if (ZOOM_KEYS.reset.includes(event.code)) this.setZoom(1);
+        };
+        this.onWheel = event => {
+            event.preventDefault();
+            this.setZoom(this.targetZoom * (event.deltaY < 0 ? ZOOM_LEVELS.factor : 1 / ZOOM_LEVELS.factor));
+        };
+        addEventListener("keydown", this.onKey);
+        this.canvas.addEventListener("wheel", this.onWheel);
+        this.drawFrame(0);
+    }
+
+    setZoom(zoom) {
+        this.targetZoom = Math.max(ZOOM_LEVELS.min, Math.min(ZOOM_LEVELS.max, zoom));
+    }
+
+    // Pixels per tile at the current zoom
+    tileSize() {
+        return scale * this.zoom;
+    }
+
+    /**
+     * @param {number} step - Seconds since the last frame; the camera and zoom ease by that much
+     */
+    drawFrame(step = 0) {
+        this.time += step;
+        const ease = 1 - Math.exp(-CAMERA_EASE * step);
+        this.zoom += (this.targetZoom - this.zoom) * ease;
+        this.updateCamera(ease);
+
+        this.ctx.fillStyle = CANVAS_COLORS.sky;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawTiles();
+        this.drawActors();
+        this.overlays.forEach(overlay => {
+            if (overlay.style.display === "none") return;
+            const size = this.tileSize();
+            this.ctx.drawImage(overlay, -this.camera.x * size, -this.camera.y * size, overlay.width * this.zoom, overlay.height * this.zoom);
+        });
+        this.drawStatus();
+    }
+
+    // Keeps the player inside the dead zone around the middle of the view, easing there instead
+    // of jumping; the first frame starts on the target. The view never leaves the level.
+    updateCamera(ease) {
+        const size = this.tileSize();
+        const view = { x: this.canvas.width / size, y: this.canvas.height / size };
+        const player = this.level.player;
+        const center = player.pos.plus(player.size.times(0.5));
+        const target = this.camera ? { x: this.camera.x, y: this.camera.y } : { x: center.x - view.x / 2, y: center.y - view.y / 2 };
+        ["x", "y"].forEach(axis => {
+            const slack = view[axis] * CAMERA_DEADZONE[axis];
+            const middle = target[axis] + view[axis] / 2;
+            if (center[axis] < middle - slack) target[axis] = center[axis] + slack - view[axis] / 2;
+            else if (center[axis] > middle + slack) target[axis] = center[axis] - slack - view[axis] / 2;
+            const limit = (axis === "x" ? this.level.width : this.level.height) - view[axis];
+            target[axis] = limit > 0 ? Math.max(0, Math.min(limit, target[axis])) : limit / 2;
+        });
+        if (!this.camera) {
+            this.camera = target;
+        } else {
+            this.camera.x += (target.x - this.camera.x) * ease;
+            this.camera.y += (target.y - this.camera.y) * ease;
+        }
+    }
+
+    // Walls and static lava, only the tiles in view
+    drawTiles() {
+        const size = this.tileSize();
+        const ctx = this.ctx;
+        const left = Math.max(0, Math.floor(this.camera.x)), right = Math.min(this.level.width, Math.ceil(this.camera.x + this.canvas.width / size));
+        const top = Math.max(0, Math.floor(this.camera.y)), bottom = Math.min(this.level.height, Math.ceil(this.camera.y + this.canvas.height / size));
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const tile = this.level.grid[y][x];
+                if (!tile) continue;
+                const px = (x - this.camera.x) * size, py = (y - this.camera.y) * size;
+                if (tile === "wall") {
+                    ctx.fillStyle = CANVAS_COLORS.wallEdge;
+                    ctx.fillRect(px, py, size, size);
+                    ctx.fillStyle = CANVAS_COLORS.wall;
+                    ctx.fillRect(px + 1, py + 1, size - 2, size - 2);
+                } else if (tile === "lava") {
+                    this.drawLava(px, py, size, size);
+                }
+            }
+        }
+    }
+
+    drawLava(px, py, width, height) {
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.fillStyle = CANVAS_COLORS.lava;
+        this.ctx.fillRect(px, py, width, height);
+        this.ctx.globalAlpha = 1;
+    }
+
+    drawActors() {
+        const size = this.tileSize();
+        const ctx = this.ctx;
+        this.level.actors.forEach(actor => {
+            const px = (actor.pos.x - this.camera.x) * size, py = (actor.pos.y - this.camera.y) * size;
+            const width = actor.size.x * size, height = actor.size.y * size;
+            if (px + width < 0 || px > this.canvas.width || py + height < 0 || py > this.canvas.height) return;
+            if (actor.type === "player") {
+                this.drawPlayer(actor, px, py, width, height);
+            } else if (actor.type === "lava") {
+                this.drawLava(px, py, width, height);
+            } else if (actor.type === "coin") {
+                ctx.fillStyle = CANVAS_COLORS.coinEdge;
+                ctx.fillRect(px, py, width, height);
+                ctx.fillStyle = CANVAS_COLORS.coin;
+                ctx.fillRect(px + 2, py + 2, width - 4, height - 4);
+            }
+        });
+    }
+
+    drawPlayer(player, px, py, width, height) {
+        const ctx = this.ctx;
+        const status = this.level.status;
+        const progress = status ? Math.min(1, 1 - this.level.finishDelay) : 0; // 0 to 1 over the finishing second
+        const state = status === "won" ? "jump" : SPRITE_STATES.includes(player.state) ? player.state : "idle";
+        const row = SPRITE_STATES.indexOf(state) + (player.facing === "left" ? SPRITE_STATES.length : 0);
+        const frame = status ? 0 : Math.floor(this.time * SPRITE_FPS) % SPRITE_FRAMES;
+        // The sprite fits the player's full height, so a player sinking into lava is cut off by it
+        const fullHeight = this.playerHeight * this.tileSize();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(px - width, py - fullHeight, width * 3, height + fullHeight);
+        ctx.clip();
+        ctx.translate(px + width / 2, py + fullHeight / 2);
+        if (status === "lost") {
+            // Tips over and fades
+            ctx.rotate(progress * Math.PI / 2 * (player.facing === "left" ? -1 : 1));
+            ctx.globalAlpha = 1 - 0.7 * progress;
+        } else if (status === "won") {
+            // Hops for joy
+            ctx.translate(0, -Math.abs(Math.sin(progress * Math.PI * 3)) * this.tileSize() * 0.6);
+        }
+        ctx.drawImage(spriteSheet(), frame * SPRITE_SIZE.width, row * SPRITE_SIZE.height, SPRITE_SIZE.width, SPRITE_SIZE.height,
+            -width / 2, -fullHeight / 2, width, fullHeight);
+        ctx.restore();
+    }
+
+    // Whole-view effects of a decided level: a red flash on death, a ring of sparkles on a win
+    drawStatus() {
+        const status = this.level.status;
+        if (!status) return;
+        const ctx = this.ctx;
+        const progress = Math.min(1, 1 - this.level.finishDelay);
+        if (status === "lost") {
+            ctx.fillStyle = `rgba(244, 67, 54, ${(0.35 * Math.sin(progress * Math.PI)).toFixed(3)})`;
+            ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            return;
+        }
+        const size = this.tileSize();
+        const player = this.level.player;
+        const cx = (player.pos.x + player.size.x / 2 - this.camera.x) * size;
+        const cy = (player.pos.y + player.size.y / 2 - this.camera.y) * size;
+        const radius = progress * size * 3;
+        ctx.fillStyle = CANVAS_COLORS.coin;
+        ctx.globalAlpha = 1 - progress;
+        for (let i = 0; i < 12; i++) {
+            const angle = i / 12 * Math.PI * 2 + progress * 2;
+            ctx.fillRect(cx + Math.cos(angle) * radius - 3, cy + Math.sin(angle) * radius - 3, 6, 6);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Lets HeatmapOverlay draw on top: the overlay canvas is in level pixels at the normal scale
+    addOverlay(canvas) {
+        this.overlays.push(canvas);
+    }
+
+    clear() {
+        removeEventListener("keydown", this.onKey);
+        this.canvas.removeEventListener("wheel", this.onWheel);
+        this.wrap.parentNode.removeChild(this.wrap);
+    }
+}
@@ -0,0 +1,333 @@
+"use strict";
+/**
+ * Level Editor
+ * Paints level plans cell by cell, test-plays them with runLevel and exports them as a
+ * JS array (for levels.js) or as JSON (for start.html?plan= and tools/simulate.js --plan).
+ */
+
+// Palette entries: plan character, label and the CSS class the cell is drawn with
+const EDITOR_PALETTE = [
+    { ch: "x", label: "Wall", className: "wall" },
+    { ch: "!", label: "Lava", className: "lava" },
+    { ch: "o", label: "Coin", className: "coin" },
+    { ch: "@", label: "Player", className: "player-start" },
+    { ch: "=", label: "Lava ↔", className: "lava moving" },
+    { ch: "|", label: "Lava ↕", className: "lava moving" },
+    { ch: "v", label: "Drip", className: "lava moving" },
+    { ch: " ", label: "Erase", className: "" }
+];
+const EDITOR_MAX_UNDO = 100;
+
+/**
+ * Turns pasted or loaded text into plan rows. Accepts JSON (an array of rows or { plan }),
+ * a JS array literal such as a GAME_LEVELS entry, or the raw ASCII grid itself.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function parsePlanText(text) {
+    try {
+        const data = JSON.parse(text);
+        const rows = Array.isArray(data) ? data : data.plan;
+        if (Array.isArray(rows) && rows.every(row => typeof row === "string")) return rows;
+    } catch (e) {
+        // Not JSON; try the other formats
+    }
+    if (/^\s*(var\s+\w+\s*=\s*)?\[/.test(text)) {
+        const rows = [];
+        const string = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'/g;
+        let match;
+        while ((match = string.exec(text))) rows.push(match[1] != null ? match[1] : match[2]);
+        if (rows.length > 0) return rows;
+    }
+    const rows = text.split(/\r?\n/);
+    while (rows.length > 0 && rows[rows.length - 1].trim() === "") rows.pop();
+    return rows;
+}
+
+class LevelEditor {
+    constructor(parent) {
+        this.parent = parent;
+        this.rows = []; // Plan rows as arrays of characters
+        this.undoStack = [];
+        this.redoStack = [];
+        this.brush = "x";
+        this.painting = false;
+        this.unreachable = []; // Coins the last solver check could not reach, as "x,y"
+        this.onChange = null; // UI hook, called after every edit
+        this.table = null;
+    }
+
+    plan() {
+        return this.rows.map(row => row.join(""));
+    }
+
+    width() {
+        return this.rows.length > 0 ? this.rows[0].length : 0;
+    }
+
+    height() {
+        return this.rows.length;
+    }
+
+    /**
+     * Replaces the plan. Ragged rows are padded with spaces; unknown characters are kept
+     * (and flagged) so a typo never silently turns into empty space.
+     * @param {Array<string>} plan
+     */
+    load(plan) {
+        this.remember();
+        this.setPlan(plan);
+    }
+
+    setPlan(plan) {
+        const width = Math.max(1, ...plan.map(row => row.length));
+        this.rows = plan.map(row => row.padEnd(width, " ").split(""));
+        this.unreachable = [];
+        this.render();
+    }
+
+    // Cells holding a character the game does not know, which Level treats as empty space
+    unknownCells() {
+        const cells = [];
+        this.rows.forEach((row, y) => row.forEach((ch, x) => {
+            if (!LEVEL_GRID_CHARS.includes(ch)) cells.push({ x: x, y: y, ch: ch });
+        }));
+        return cells;
+    }
+
+    // Snapshot for undo; called once at the start of every stroke or command
+    remember() {
+        this.undoStack.push(this.plan());
+        if (this.undoStack.length > EDITOR_MAX_UNDO) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(this.plan());
+        this.setPlan(this.undoStack.pop());
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(this.plan());
+        this.setPlan(this.redoStack.pop());
+    }
+
+    paint(x, y, ch) {
+        if (!this.rows[y] || this.rows[y][x] == null || this.rows[y][x] === ch) return;
+        // A level has exactly one player start, so painting '@' moves it
+        if (ch === "@") {
+            this.rows.forEach(row => row.forEach((other, i) => {
+                if (other === "@") row[i] = " ";
+            }));
+        }
+        this.rows[y][x] = ch;
+        this.unreachable = [];
+        this.render();
+    }
+
+    // Crops or pads with empty space on the right and at the top, keeping the floor in place
+    resize(width, height) {
+        this.remember();
+        const rows = this.plan().map(row => row.slice(0, width).padEnd(width, " "));
+        while (rows.length < height) rows.unshift(" ".repeat(width));
+        this.setPlan(rows.slice(rows.length - height));
+    }
+
+    clearUnknown() {
+        this.remember();
+        this.unknownCells().forEach(cell => { this.rows[cell.y][cell.x] = " "; });
+        this.render();
+    }
+
+    /**
+     * Runs the solver over the plan and marks the coins it cannot reach.
+     * @returns {Object} - LevelSolver.solve() result
+     */
+    check() {
+        const result = new LevelSolver().solve(this.plan());
+        this.unreachable = (result.unreachableCoins || []).map(coin => `${coin.x},${coin.y}`);
+        this.render();
+        return result;
+    }
+
+    exportJS() {
+        return `[\n${this.plan().map(row => `  ${JSON.stringify(row)}`).join(",\n")}\n]`;
+    }
+
+    exportJSON() {
+        return JSON.stringify(this.plan(), null, 2);
+    }
+
+    render() {
+        if (this.table) this.parent.removeChild(this.table);
+        this.table = element("table", "background editor-grid");
+        this.table.style.width = this.width() * scale + "px";
+        this.rows.forEach((row, y) => {
+            const tr = this.table.appendChild(element("tr"));
+            tr.style.height = scale + "px";
+            row.forEach((ch, x) => {
+                const entry = EDITOR_PALETTE.find(item => item.ch === ch);
+                const td = tr.appendChild(element("td", entry ? entry.className : "unknown"));
+                if (!entry) td.textContent = ch;
+                if (this.unreachable.includes(`${x},${y}`)) td.classList.add("unreachable");
+                td.dataset.x = x;
+                td.dataset.y = y;
+            });
+        });
+        this.parent.appendChild(this.table);
+        if (this.onChange) this.onChange();
+    }
+
+    // Mouse painting: one undo step per stroke
+    attachMouse() {
+        const cellAt = event => event.target.closest && event.target.closest("td[data-x]");
+        this.parent.addEventListener("mousedown", event => {
+            const cell = cellAt(event);
+            if (!cell) return;
+            event.preventDefault();
+            this.remember();
+            this.painting = true;
+            this.paint(Number(cell.dataset.x), Number(cell.dataset.y), this.brush);
+        });
+        this.parent.addEventListener("mouseover", event => {
+            const cell = cellAt(event);
+            if (this.painting && cell) this.paint(Number(cell.dataset.x), Number(cell.dataset.y), this.brush);
+        });
+        addEventListener("mouseup", () => { this.painting = false; });
+    }
+}
+
+// --- PAGE WIRING ---
+function setupEditorPage() {
+    const wrapper = document.getElementById("game-wrapper");
+    const editor = new LevelEditor(wrapper);
+    const status = document.getElementById("editor-status");
+    const warnings = document.getElementById("editor-warnings");
+    const palette = document.getElementById("palette");
+    const widthInput = document.getElementById("width-input");
+    const heightInput = document.getElementById("height-input");
+    const levelSelect = document.getElementById("level-select");
+    const difficultyInput = document.getElementById("difficulty-input");
+    const seedInput = document.getElementById("seed-input");
+    const exportText = document.getElementById("export-text");
+    const agent = new LMMAgent();
+    const $ = id => document.getElementById(id);
+
+    editor.onChange = function () {
+        widthInput.value = editor.width();
+        heightInput.value = editor.height();
+        $("undo-button").disabled = editor.undoStack.length === 0;
+        $("redo-button").disabled = editor.redoStack.length === 0;
+
+        const problems = editor.unknownCells().map(cell =>
+            `Unknown character '${cell.ch}' at column ${cell.x}, row ${cell.y}: the game treats it as empty space.`);
+        const invalid = validateLevelGrid(editor.plan());
+        if (invalid && !invalid.startsWith("Grid contains unknown character")) problems.unshift(invalid);
+        warnings.innerHTML = "";
+        problems.forEach(text => {
+            const item = warnings.appendChild(element("div", "event-item death"));
+            item.textContent = text;
+        });
+        $("clear-unknown-button").disabled = editor.unknownCells().length === 0;
+    };
+
+    EDITOR_PALETTE.forEach(item => {
+        const button = palette.appendChild(element("button", "palette-button"));
+        button.textContent = item.ch === " " ? item.label : `${item.ch} ${item.label}`;
+        button.addEventListener("click", () => {
+            editor.brush = item.ch;
+            [...palette.children].forEach(other => other.classList.toggle("selected", other === button));
+        });
+        if (item.ch === editor.brush) button.classList.add("selected");
+    });
+
+    GAME_LEVELS.forEach((plan, i) => {
+        const option = levelSelect.appendChild(element("option"));
+        option.value = i;
+        option.textContent = `GAME_LEVELS[${i}]`;
+    });
+    $("load-level-button").addEventListener("click", () => {
+        editor.load(GAME_LEVELS[Number(levelSelect.value)]);
+        status.textContent = `Loaded GAME_LEVELS[${levelSelect.value}]`;
+    });
+    $("generate-button").addEventListener("click", () => {
+        const seed = seedInput.value !== "" ? Number(seedInput.value) >>> 0 : newSeed();
+        const difficulty = Number(difficultyInput.value);
+        editor.load(agent.generateSolvableLevel(knobsForDifficulty(difficulty), seed));
+        seedInput.value = seed;
+        status.textContent = `Generated difficulty ${difficulty}, seed ${seed}`;
+    });
+    $("import-button").addEventListener("click", () => {
+        editor.load(parsePlanText(exportText.value));
+        status.textContent = "Imported plan from text";
+    });
+    $("plan-file").addEventListener("change", event => {
+        const file = event.target.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            editor.load(parsePlanText(text));
+            status.textContent = `Loaded ${file.name}`;
+        });
+    });
+
+    $("resize-button").addEventListener("click", () => {
+        editor.resize(Math.max(1, Number(widthInput.value)), Math.max(1, Number(heightInput.value)));
+    });
+    $("undo-button").addEventListener("click", () => editor.undo());
+    $("redo-button").addEventListener("click", () => editor.redo());
+    $("clear-unknown-button").addEventListener("click", () => editor.clearUnknown());
+    addEventListener("keydown", event => {
+        if (!(event.ctrlKey || event.metaKey) || event.target === exportText) return;
+        if (event.key === "z") { event.preventDefault(); event.shiftKey ? editor.redo() : editor.undo(); }
+        if (event.key === "y") { event.preventDefault(); editor.redo(); }
+    });
+
+    $("check-button").addEventListener("click", () => {
+        const result = editor.check();
+        status.textContent = result.solvable
+            ? `Solvable: all ${result.coinCount} coins reachable`
+            : `Not solvable: ${result.reason}`;
+    });
+
+    // Test-play hides the grid and runs the plan in the same view until the level ends. It is
+    // not an episode of the game: nothing is recorded, uploaded or shown on the heatmap.
+    $("play-button").addEventListener("click", () => {
+        const invalid = validateLevelGrid(editor.plan());
+        if (invalid && !invalid.startsWith("Grid contains unknown character")) {
+            status.textContent = `Cannot play: ${invalid}`;
+            return;
+        }
+        editor.table.style.display = "none";
+        $("play-button").disabled = true;
+        status.textContent = "Test-playing (arrows to move, ESC to pause)";
+        const ui = { ...browserUI, recorder: null, heatmap: null, bench: null };
+        runLevel(new Level(editor.plan()), DOMDisplay, levelStatus => {
+            editor.table.style.display = "";
+            $("play-button").disabled = false;
+            status.textContent = levelStatus === "won" ? "Test-play: level won" : "Test-play: player died";
+        }, { ui: ui });
+    });
+
+    $("export-js-button").addEventListener("click", () => { exportText.value = editor.exportJS(); });
+    $("export-json-button").addEventListener("click", () => { exportText.value = editor.exportJSON(); });
+    $("download-button").addEventListener("click", () => {
+        const link = element("a");
+        link.href = URL.createObjectURL(new Blob([editor.exportJSON()], { type: "application/json" }));
+        link.download = "level.json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    editor.attachMouse();
+    editor.setPlan(GAME_LEVELS[0]);
+    status.textContent = "Loaded GAME_LEVELS[0]";
+}
+
+if (typeof document !== 'undefined') setupEditorPage();
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelEditor, parsePlanText };
+}
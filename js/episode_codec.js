@@ -0,0 +1,119 @@
+"use strict";
+/**
+ * Episode Codec
+ * The compact recording format. Each level plan is stored once; history frames hold only
+ * the snapshot cells that changed since the previous frame of the same attempt, and
+ * attempts name their plan by index. decodeEpisode() rebuilds the full frames.
+ *
+ *   { format: "delta-v1", levels: [plan | { rle: [rows] }], history: [{ ..., actors: [[x, y, ch]] }],
+ *     replay: { step, attempts: [{ level, seed, physics, inputs, devices, rewinds, status }] } }
+ */
+
+const EPISODE_FORMAT = "delta-v1";
+
+// What getSnapshot shows where no actor is: walls and lava, everything else empty
+function staticRows(plan) {
+    const width = plan[0].length;
+    return plan.map(row => row.padEnd(width, " ").slice(0, width).replace(/[^x!]/g, " "));
+}
+
+// Cells of rows that differ from prev, as [x, y, ch]
+function diffRows(prev, rows) {
+    const delta = [];
+    rows.forEach((row, y) => {
+        const before = prev[y];
+        if (row === before) return;
+        for (let x = 0; x < row.length; x++) {
+            if (row[x] !== before[x]) delta.push([x, y, row[x]]);
+        }
+    });
+    return delta;
+}
+
+function applyDelta(rows, delta) {
+    const grid = rows.map(row => row.split(""));
+    delta.forEach(([x, y, ch]) => { grid[y][x] = ch; });
+    return grid.map(row => row.join(""));
+}
+
+// --- RUN-LENGTH ENCODING ---
+// "xxxx  o" <-> "4x2 1o". Plans with digits in them (only possible for hand-edited plans)
+// cannot be told apart from the counts, so they are left as they are.
+function rleEncodePlan(plan) {
+    if (plan.some(row => /\d/.test(row))) return plan;
+    return { rle: plan.map(row => row.replace(/(.)\1*/g, run => run.length + run[0])) };
+}
+
+function rleDecodePlan(level) {
+    if (Array.isArray(level)) return level;
+    return level.rle.map(row => row.replace(/(\d+)(\D)/g, (run, count, ch) => ch.repeat(Number(count))));
+}
+
+/**
+ * Builds the full episode from the compact format: every frame gets its visual_state back
+ * and every attempt its plan. Episodes in the old full format are returned as they are.
+ * @param {Object} episode
+ * @returns {Object}
+ */
+function decodeEpisode(episode) {
+    if (episode.format !== EPISODE_FORMAT) return episode;
+    const plans = episode.levels.map(rleDecodePlan);
+    const attempts = episode.replay.attempts.map(attempt => {
+        const { level, ...rest } = attempt;
+        return { plan: plans[level], ...rest };
+    });
+
+    let current = -1;
+    let rows = null;
+    const history = episode.history.map(frame => {
+        const { actors, ...rest } = frame;
+        if (frame.attempt !== current) {
+            current = frame.attempt;
+            rows = staticRows(attempts[current].plan);
+        }
+        rows = applyDelta(rows, actors);
+        return { ...rest, visual_state: rows };
+    });
+
+    const { format, levels, ...decoded } = episode;
+    return { ...decoded, history: history, replay: { ...episode.replay, attempts: attempts } };
+}
+
+// --- UPLOAD CHUNKS ---
+/**
+ * Joins the chunks GameRecorder.flush uploaded for one session into a compact episode, the
+ * same way server.py does. Without the final chunk the episode is marked incomplete.
+ * @param {Array<Object>} chunks - Chunks of one session, in any order
+ * @returns {Object}
+ */
+function assembleChunks(chunks) {
+    chunks = chunks.slice().sort((a, b) => a.seq - b.seq);
+    const levels = [], attempts = [], history = [], events = [];
+    chunks.forEach(chunk => {
+        chunk.levels.forEach(level => { levels[level.index] = level.plan; });
+        chunk.attempts.forEach(delta => {
+            if (!attempts[delta.index])
+                attempts[delta.index] = {
+                    level: delta.level, seed: delta.seed, physics: delta.physics || null, inputs: "", devices: [], rewinds: [], status: null
+                };
+            const attempt = attempts[delta.index];
+            if (attempt.inputs.length !== delta.inputsFrom)
+                throw new Error(`Chunk ${chunk.seq} does not follow on from the previous one.`);
+            attempt.inputs += delta.inputs;
+            attempt.devices.push(...delta.devices);
+            attempt.rewinds.push(...delta.rewinds);
+            attempt.status = delta.status;
+        });
+        history.push(...chunk.frames);
+        events.push(...chunk.events);
+    });
+
+    const last = chunks[chunks.length - 1];
+    const { step, ...episode } = last.final ? last.episode : { format: EPISODE_FORMAT, step: null, incomplete: true };
+    return { ...episode, events: events, levels: levels, history: history, replay: { step: step, attempts: attempts } };
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EPISODE_FORMAT, staticRows, diffRows, applyDelta, rleEncodePlan, rleDecodePlan, decodeEpisode, assembleChunks };
+}
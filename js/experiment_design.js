@@ -0,0 +1,245 @@
+"use strict";
+/**
+ * Experiment Design
+ * Levels built to test one law of the belief store (see belief_store.js). The agent picks
+ * the law it is least certain about, builds the experiment for it, and scores the episode
+ * against the prediction the level was built to check.
+ */
+
+const EXPERIMENT_HEIGHT = 15;
+const EXPERIMENT_FLOOR = EXPERIMENT_HEIGHT - 1; // Row of the floor; the player stands on it
+// Experiment levels are kept short, so the episode is about the one law
+const EXPERIMENT_WIDTH = { min: 20, max: 40 };
+
+// Weight of an observation the experiment was built to make, and of weaker, indirect evidence
+const EXPERIMENT_WEIGHT = 0.8;
+const INDIRECT_WEIGHT = 0.2;
+
+// Empty room with walls at both ends and a full floor, the player at the left
+function experimentRoom(knobs) {
+    const width = Math.max(EXPERIMENT_WIDTH.min, Math.min(EXPERIMENT_WIDTH.max, knobs.levelLength));
+    const grid = [];
+    for (let y = 0; y < EXPERIMENT_HEIGHT; y++) {
+        grid.push(" ".repeat(width).split(""));
+        grid[y][0] = "x";
+        grid[y][width - 1] = "x";
+    }
+    grid[EXPERIMENT_FLOOR].fill("x");
+    grid[EXPERIMENT_FLOOR - 1][1] = "@";
+    return grid;
+}
+
+// Column for a feature `size` tiles wide, clear of the start area and of the coin at the far end
+function featureColumn(grid, size, random) {
+    const room = grid[0].length - 14 - size;
+    return 8 + Math.floor(random() * Math.max(1, room));
+}
+
+// Deaths by cause; a rewind undoes a death, but the hazard still got the player
+function deathsBy(events, cause) {
+    return events.filter(e => (e.type === 'death' || e.type === 'rewind') && (e.data && e.data.cause || 'static_lava') === cause);
+}
+
+// A low corridor under a ceiling with one block of moving lava in it, the only coin beyond
+function lavaCorridor(knobs, random, ch, height) {
+    const grid = experimentRoom(knobs);
+    const x0 = featureColumn(grid, 7, random);
+    for (let x = x0; x < x0 + 7; x++) grid[EXPERIMENT_FLOOR - 6][x] = "x";
+    grid[EXPERIMENT_FLOOR - 1 - height][x0 + 3] = ch;
+    grid[EXPERIMENT_FLOOR - 1][grid[0].length - 3] = "o";
+    return grid.map(row => row.join(""));
+}
+
+// Scores a prediction about how one kind of moving lava moves: along `axis`, in `directions`
+// (-1 and 1 for back and forth), from the velocity it had whenever it came close (see law_fitter.js)
+function motionScore(events, ch, axis, directions) {
+    const motion = LawFitter.lavaMotion(events)[ch];
+    if (!motion) return { supports: null, reason: `the player never came close to the '${ch}'` };
+    const evidence = events.filter(e => ['death', 'rewind', 'near_miss'].includes(e.type) && e.data && e.data.ch === ch);
+    const seen = `${motion.value.toFixed(1)} tiles/s along ${motion.axis}, ${motion.samples} sightings`;
+    if (motion.axis !== axis) {
+        return { supports: false, weight: EXPERIMENT_WEIGHT, evidence: evidence, reason: `it moved along the other axis (${seen})` };
+    }
+    if (motion.directions.some(sign => !directions.includes(sign))) {
+        return { supports: false, weight: EXPERIMENT_WEIGHT, evidence: evidence, reason: `it also moved the other way (${seen})` };
+    }
+    // One way only where both were predicted may just be too few sightings
+    const complete = directions.every(sign => motion.directions.includes(sign));
+    return {
+        supports: true,
+        weight: complete ? EXPERIMENT_WEIGHT : INDIRECT_WEIGHT,
+        evidence: evidence,
+        reason: complete ? `it moved as predicted (${seen})` : `it was only seen going one way (${seen})`
+    };
+}
+
+// Each experiment has the prediction it checks, a description of the layout for the
+// language model, build(knobs, random) -> plan, and score(events, outcome) ->
+// { supports, weight, statement, evidence, reason }, with supports null when the
+// episode did not put the prediction to the test. when(knobs), if given, says whether
+// the experiment suits the level's difficulty.
+const EXPERIMENTS = {
+    gravity: {
+        prediction: "The player falls back to the ground after walking off a high ledge.",
+        design: "the player starts on a high ledge and the only coin lies on the ground far below",
+        build(knobs, random) {
+            const grid = experimentRoom(knobs);
+            const ledge = EXPERIMENT_FLOOR - 6 - Math.floor(random() * 4);
+            grid[EXPERIMENT_FLOOR - 1][1] = " ";
+            for (let x = 1; x <= 6 + Math.floor(random() * 3); x++) grid[ledge][x] = "x";
+            grid[ledge - 1][1] = "@";
+            grid[EXPERIMENT_FLOOR - 1][grid[0].length - 3] = "o";
+            return grid.map(row => row.join(""));
+        },
+        score(events) {
+            const drops = events.filter(e => e.type === 'land' && !e.data.jumped);
+            if (drops.length === 0) return { supports: null, reason: "the player never left the ledge" };
+            const airTime = Math.max(...drops.map(e => e.data.airTime));
+            return {
+                supports: true,
+                weight: EXPERIMENT_WEIGHT,
+                statement: "Acts downwards (Y+). Whatever walks off a ledge falls to the ground below.",
+                evidence: drops,
+                reason: `the player fell off the ledge and landed after ${airTime.toFixed(2)}s`
+            };
+        }
+    },
+    jumping: {
+        prediction: "Up lifts the player off the ground, high enough to reach a coin on a ledge.",
+        design: "a single coin on a raised ledge that can only be reached by jumping",
+        build(knobs, random) {
+            const grid = experimentRoom(knobs);
+            const height = 1 + Math.floor(random() * (knobs.heightVariance + 1));
+            const x0 = featureColumn(grid, 3, random);
+            for (let y = EXPERIMENT_FLOOR - height; y < EXPERIMENT_FLOOR; y++) {
+                for (let x = x0; x < x0 + 3; x++) grid[y][x] = "x";
+            }
+            grid[EXPERIMENT_FLOOR - height - 1][x0 + 1] = "o";
+            return grid.map(row => row.join(""));
+        },
+        score(events) {
+            const coins = events.filter(e => e.type === 'coin');
+            if (coins.length > 0) {
+                return {
+                    supports: true,
+                    weight: EXPERIMENT_WEIGHT,
+                    statement: "Up launches the player from the ground, high enough to climb onto a ledge.",
+                    evidence: coins,
+                    reason: "the player jumped onto the ledge and took the coin"
+                };
+            }
+            const jumps = events.filter(e => e.type === 'jump_start');
+            return { supports: null, reason: jumps.length > 0 ? "the player jumped but never reached the ledge" : "the player never jumped" };
+        }
+    },
+    lava: {
+        prediction: "Touching '!' ends the attempt.",
+        design: "a strip of '!' in the floor between the player and the only coin",
+        build(knobs, random) {
+            const grid = experimentRoom(knobs);
+            const width = Math.max(1, Math.min(3, knobs.gapWidth - 1));
+            const x0 = featureColumn(grid, width, random);
+            for (let x = x0; x < x0 + width; x++) grid[EXPERIMENT_FLOOR][x] = "!";
+            grid[EXPERIMENT_FLOOR - 1][grid[0].length - 3] = "o";
+            return grid.map(row => row.join(""));
+        },
+        score(events, outcome) {
+            const deaths = deathsBy(events, 'static_lava');
+            if (deaths.length > 0) {
+                return {
+                    supports: true,
+                    weight: EXPERIMENT_WEIGHT,
+                    statement: "FATAL. Avoid at all costs.",
+                    evidence: deaths,
+                    reason: `the player touched the strip and the attempt ended (${deaths.length}x)`
+                };
+            }
+            // Only seen to be avoided: the player treats it as dangerous, which is weak evidence
+            if (outcome === 'win') {
+                return {
+                    supports: true,
+                    weight: INDIRECT_WEIGHT,
+                    evidence: events.filter(e => e.type === 'near_miss' && e.data.ch === '!'),
+                    reason: "the player jumped the strip every time, so its effect was not seen"
+                };
+            }
+            return { supports: null, reason: "the player never reached the strip" };
+        }
+    },
+    moving_lava: {
+        prediction: "'=' slides back and forth on its own, and touching it ends the attempt.",
+        design: "a lane between two low walls, with an '=' sliding along it, in front of the only coin",
+        when: knobs => knobs.movingHazards > 0,
+        build(knobs, random) {
+            const grid = experimentRoom(knobs);
+            const length = 5 + Math.floor(random() * 3);
+            const x0 = featureColumn(grid, length + 2, random);
+            grid[EXPERIMENT_FLOOR - 1][x0] = "x";
+            grid[EXPERIMENT_FLOOR - 1][x0 + length + 1] = "x";
+            grid[EXPERIMENT_FLOOR - 1][x0 + 1 + Math.floor(random() * length)] = "=";
+            grid[EXPERIMENT_FLOOR - 1][grid[0].length - 3] = "o";
+            return grid.map(row => row.join(""));
+        },
+        score(events, outcome) {
+            const deaths = deathsBy(events, 'moving_lava');
+            if (deaths.length > 0) {
+                return {
+                    supports: true,
+                    weight: EXPERIMENT_WEIGHT,
+                    statement: "FATAL like '!', and they move on their own.",
+                    evidence: deaths,
+                    reason: `the sliding '=' caught the player (${deaths.length}x)`
+                };
+            }
+            const misses = events.filter(e => e.type === 'near_miss' && e.data.cause === 'moving_lava');
+            if (outcome === 'win' || misses.length > 0) {
+                return {
+                    supports: true,
+                    weight: INDIRECT_WEIGHT,
+                    evidence: misses,
+                    reason: "the player got past the '=' without touching it, so only its motion was seen"
+                };
+            }
+            return { supports: null, reason: "the player never reached the lane" };
+        }
+    },
+    // How each kind of moving lava moves; the statements come from the measured motion (see lmm_ai.js)
+    lava_slide: {
+        prediction: "'=' slides sideways on its own and turns back when it meets a wall.",
+        design: "a lane between two low walls, with an '=' sliding along it, in front of the only coin",
+        when: knobs => knobs.movingHazards > 0,
+        build(knobs, random) {
+            return EXPERIMENTS.moving_lava.build(knobs, random);
+        },
+        score(events) {
+            return motionScore(events, "=", "x", [-1, 1]);
+        }
+    },
+    lava_bounce: {
+        prediction: "'|' moves up and down on its own and turns back when it meets a wall.",
+        design: "a low corridor under a ceiling, with a '|' moving in it, in front of the only coin",
+        when: knobs => knobs.movingHazards > 1,
+        build(knobs, random) {
+            return lavaCorridor(knobs, random, "|", 2);
+        },
+        score(events) {
+            return motionScore(events, "|", "y", [-1, 1]);
+        }
+    },
+    lava_drip: {
+        prediction: "'v' falls on its own and drips again from where it started.",
+        design: "a low corridor under a ceiling, with a 'v' dripping from it, in front of the only coin",
+        when: knobs => knobs.movingHazards > 1,
+        build(knobs, random) {
+            return lavaCorridor(knobs, random, "v", 4);
+        },
+        score(events) {
+            return motionScore(events, "v", "y", [1]);
+        }
+    }
+};
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EXPERIMENTS };
+}
@@ -0,0 +1,687 @@
+"use strict";
+/*
+ * Simulation core: vectors, the level grid, actors and their physics.
+ * Nothing in here touches document, window or requestAnimationFrame, so the
+ * same file runs in the page (as a plain script) and in Node (via require).
+ */
+
+/* Random */
+// Seedable PRNG (mulberry32). The same seed always yields the same sequence,
+// so a level and the wobble of its coins can be regenerated exactly.
+function createRandom(seed) {
+  var a = seed >>> 0;
+  var random = function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    var t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // createRandom(random.state()) continues the sequence where this one is
+  random.state = function () {
+    return a;
+  };
+  return random;
+}
+// Picks a fresh 32-bit seed; the only place that needs real entropy
+function newSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/* Vector */
+function Vector(x, y) {
+  this.x = x;
+  this.y = y;
+}
+//this is for changing co-ordinates of player
+Vector.prototype.plus = function (other) {
+  return new Vector(this.x + other.x, this.y + other.y);
+};
+//this is for changing shape after died
+Vector.prototype.times = function (factor) {
+  return new Vector(this.x * factor, this.y * factor);
+};
+//level objects 
+//by creating stack of array of element's  in level
+// options.seed drives every random choice made by the actors
+// options.physics names a physics profile (see physicsProfiles); without one the default laws apply
+function Level(plan, options) {
+  options = options || {};
+  this.width = plan[0].length;
+  this.height = plan.length;
+  this.grid = [];
+  this.actors = [];
+  this.plan = plan;
+  this.seed = options.seed != null ? options.seed : newSeed();
+  this.random = createRandom(this.seed);
+  this.physicsProfile = options.physics || null;
+  this.physics = levelPhysics(this.physicsProfile);
+  // build the grid
+  for (var y = 0; y < this.height; y++) {
+    var line = plan[y],
+      gridLine = [];
+    for (var x = 0; x < this.width; x++) {
+      var ch = line[x],
+        fieldType = null;
+      var Actor = actorChars[ch];
+      if (Actor)
+        this.actors.push(new Actor(new Vector(x, y), ch, this.random));
+      else if (ch == "x")
+        fieldType = "wall";
+      else if (ch == "!")
+        fieldType = "lava";
+      gridLine.push(fieldType);
+    }
+    this.grid.push(gridLine);
+  }
+  this.player = this.actors.filter(function (actor) {
+    return actor.type == "player";
+  })[0];
+  this.status = this.finishDelay = null;
+  // How the player died: { cause: "static_lava" | "moving_lava" | "fell", ch, pos }, and for
+  // moving lava the block's start cell and velocity: { origin, speed }
+  this.deathCause = null;
+  // Telemetry state for watchPlayer
+  this.idleTime = 0;
+  this.nearLava = null;
+  // Optional hook the environment sets to observe gameplay events (e.g. the recorder)
+  this.onEvent = null;
+}
+Level.prototype.emit = function (type, data) {
+  if (this.onEvent) this.onEvent(type, data);
+};
+Level.prototype.isFinished = function () {
+  return this.status != null && this.finishDelay < 0;
+}
+//create floors which restrict the motion of player
+Level.prototype.obstacleAt = function (pos, size) {
+  var xStart = Math.floor(pos.x);
+  var xEnd = Math.ceil(pos.x + size.x);
+  var yStart = Math.floor(pos.y);
+  var yEnd = Math.ceil(pos.y + size.y);
+  if (xStart < 0 || xEnd > this.width || yStart < 0)
+    return "wall";
+  if (yEnd > this.height)
+    return "lava";
+  for (var y = yStart; y < yEnd; y++) {
+    for (var x = xStart; x < xEnd; x++) {
+      var fieldType = this.grid[y][x];
+      if (fieldType) return fieldType;
+    }
+  }
+}
+// very important it separete thr player and grids
+// Handle the collisions between the player and other dynamic actors.
+Level.prototype.actorAt = function (actor) {
+  for (var i = 0; i < this.actors.length; i++) {
+    var other = this.actors[i];
+    if (other != actor &&
+      actor.pos.x + actor.size.x > other.pos.x &&
+      actor.pos.x < other.pos.x + other.size.x &&
+      actor.pos.y + actor.size.y > other.pos.y &&
+      actor.pos.y < other.pos.y + other.size.y)
+      return other;
+  }
+};
+var maxStep = 0.05;
+Level.prototype.animate = function (step, keys) {
+  if (this.status != null) {
+    this.finishDelay -= step;
+  }
+  while (step > 0) {
+    var thisStep = Math.min(step, maxStep);
+    this.actors.forEach(function (actor) {
+      actor.act(thisStep, this, keys);
+    }, this);
+    this.watchPlayer(thisStep, keys);
+    step -= thisStep;
+  }
+};
+// Telemetry thresholds, in seconds and tiles
+var idleStallTime = 3;
+var nearMissMargin = 0.4;
+// Emits the events that need the whole level in view: idle stalls, and near-misses
+// (the player came within nearMissMargin of lava and got away alive)
+Level.prototype.watchPlayer = function (step, keys) {
+  var player = this.player;
+  if (!player || this.status != null) return;
+
+  var busy = keys.left || keys.right || keys.up || player.speed.x != 0 || player.speed.y != 0;
+  if (busy) {
+    this.idleTime = 0;
+  } else {
+    this.idleTime += step;
+    if (this.idleTime >= idleStallTime && this.idleTime - step < idleStallTime)
+      this.emit("idle_stall", { pos: new Vector(player.pos.x, player.pos.y), seconds: idleStallTime });
+  }
+
+  var hazard = this.lavaNear(player.pos, player.size, nearMissMargin);
+  if (hazard) {
+    if (!this.nearLava || hazard.distance < this.nearLava.distance) {
+      hazard.pos = new Vector(player.pos.x, player.pos.y);
+      this.nearLava = hazard;
+    }
+  } else if (this.nearLava) {
+    this.emit("near_miss", this.nearLava);
+    this.nearLava = null;
+  }
+};
+// Closest lava tile or lava actor within margin of the box, as { cause, ch, distance },
+// plus { origin, speed } of a lava actor
+Level.prototype.lavaNear = function (pos, size, margin) {
+  var nearest = null;
+  function consider(x, y, width, height, cause, ch, actor) {
+    var dx = Math.max(x - (pos.x + size.x), pos.x - (x + width), 0);
+    var dy = Math.max(y - (pos.y + size.y), pos.y - (y + height), 0);
+    var distance = Math.max(dx, dy);
+    if (distance <= margin && (!nearest || distance < nearest.distance)) {
+      nearest = { cause: cause, ch: ch, distance: distance };
+      if (actor) {
+        nearest.origin = actor.origin;
+        nearest.speed = new Vector(actor.speed.x, actor.speed.y);
+      }
+    }
+  }
+  var yEnd = Math.min(this.height, Math.ceil(pos.y + size.y + margin));
+  var xEnd = Math.min(this.width, Math.ceil(pos.x + size.x + margin));
+  for (var y = Math.max(0, Math.floor(pos.y - margin)); y < yEnd; y++) {
+    for (var x = Math.max(0, Math.floor(pos.x - margin)); x < xEnd; x++) {
+      if (this.grid[y][x] == "lava") consider(x, y, 1, 1, "static_lava", "!");
+    }
+  }
+  this.actors.forEach(function (actor) {
+    if (actor.type == "lava")
+      consider(actor.pos.x, actor.pos.y, actor.size.x, actor.size.y, "moving_lava", actor.ch, actor);
+  });
+  return nearest;
+};
+// Handles collisions between the player and other objects.
+// pos is where the player tried to move when it hit a grid field.
+Level.prototype.playerTouched = function (type, actor, pos) {
+  if (type == "lava" && this.status == null) {
+    this.status = "lost";
+    this.finishDelay = 1;
+    pos = pos || this.player.pos;
+    var cause = "static_lava";
+    if (actor) cause = "moving_lava";
+    // obstacleAt reports the space below the level as lava
+    else if (pos.y + this.player.size.y > this.height) cause = "fell";
+    this.deathCause = { cause: cause, ch: actor ? actor.ch : (cause == "fell" ? null : "!"), pos: new Vector(pos.x, pos.y) };
+    if (actor) {
+      this.deathCause.origin = actor.origin;
+      this.deathCause.speed = new Vector(actor.speed.x, actor.speed.y);
+    }
+  } else if (type == "coin") {
+    this.emit("coin", { pos: actor.pos });
+    this.actors = this.actors.filter(function (other) {
+      return other != actor;
+    });
+    if (!this.actors.some(function (actor) {
+      return actor.type == "coin";
+    })) {
+      this.status = "won";
+      this.finishDelay = 1;
+    }
+  }
+};
+var actorChars = {
+  "@": Player,
+  "o": Coin,
+  "=": Lava,
+  "|": Lava,
+  "v": Lava
+};
+//define our mario
+function Player(pos) {
+  this.pos = pos.plus(new Vector(0, -0.5));
+  this.size = new Vector(0.8, 1.5);
+  this.speed = new Vector(0, 0);
+  this.onGround = false;
+  this.standing = false;
+  this.flight = null; // { from, time, jumped } while airborne
+}
+
+//create our mario and its movement
+Player.prototype.type = "player";
+// Horizontal motion
+var playerXSpeed = 7;
+Player.prototype.moveX = function (step, level, keys) {
+  var laws = level.physics;
+  var left = laws.reversed ? keys.right : keys.left;
+  var right = laws.reversed ? keys.left : keys.right;
+  var target = 0;
+  if (left) target -= laws.playerXSpeed;
+  if (right) target += laws.playerXSpeed;
+  if (laws.acceleration) {
+    // Slippery: the speed only slides towards what the keys ask for
+    var change = laws.acceleration * step;
+    this.speed.x += Math.max(-change, Math.min(change, target - this.speed.x));
+  } else {
+    this.speed.x = target;
+  }
+
+  var motion = new Vector((this.speed.x + laws.wind) * step, 0);
+  var newPos = this.pos.plus(motion);
+  var obstacle = level.obstacleAt(newPos, this.size);
+  if (obstacle) {
+    level.playerTouched(obstacle, null, newPos);
+    if (laws.acceleration) this.speed.x = 0;
+  } else {
+    this.pos = newPos;
+  }
+};
+var gravity = 30;
+var jumpSpeed = 17;
+Player.prototype.moveY = function (step, level, keys) {
+  var laws = level.physics;
+  var pull = laws.gravity;
+  // Floaty: holding jump on the way up weakens gravity
+  if (keys.up && this.speed.y < 0) pull *= laws.floatGravity;
+  this.speed.y += step * pull;
+  var motion = new Vector(0, this.speed.y * step);
+  var newPos = this.pos.plus(motion);
+  var obstacle = level.obstacleAt(newPos, this.size);
+  if (obstacle) {
+    level.playerTouched(obstacle, null, newPos);
+    // Blocked while falling means standing on something
+    this.onGround = this.speed.y > 0;
+    if (keys.up && this.speed.y > 0)
+      this.speed.y = -laws.jumpSpeed;
+    else
+      this.speed.y = 0;
+  } else {
+    this.pos = newPos;
+    this.onGround = false;
+  }
+};
+// Jump and landing telemetry. A flight starts when the player leaves the ground
+// (by jumping or by walking off an edge) and ends at the next landing.
+Player.prototype.trackFlight = function (step, level) {
+  if (level.status != null) return;
+  // The player settles onto the ground over a few steps, so ground just below the feet counts
+  var standing = this.onGround || (this.speed.y >= 0 &&
+    level.obstacleAt(new Vector(this.pos.x, this.pos.y + 0.1), this.size) == "wall");
+  if (this.standing && !standing) {
+    this.flight = { from: new Vector(this.pos.x, this.pos.y), time: 0, jumped: this.speed.y < 0 };
+    if (this.flight.jumped) level.emit("jump_start", { pos: this.flight.from });
+  }
+  if (this.flight) {
+    this.flight.time += step;
+    if (standing) {
+      level.emit("land", {
+        pos: new Vector(this.pos.x, this.pos.y),
+        airTime: this.flight.time,
+        distance: Math.abs(this.pos.x - this.flight.from.x),
+        jumped: this.flight.jumped
+      });
+      this.flight = null;
+    }
+  }
+  this.standing = standing;
+};
+
+Player.prototype.act = function (step, level, keys) {
+  this.moveX(step, level, keys);
+  this.moveY(step, level, keys);
+  this.trackFlight(step, level);
+
+  // Update facing direction based on speed
+  if (this.speed.x > 0) this.facing = "right";
+  else if (this.speed.x < 0) this.facing = "left";
+
+  // Update state (idle, run, jump)
+  // Check typical gravity effects. If speed.y is significantly different from 0, we are "jumping" or falling.
+  // We can use a small threshold.
+  if (Math.abs(this.speed.y) > 0.1) {
+    this.state = "jump";
+  } else if (Math.abs(this.speed.x) > 0) {
+    this.state = "run";
+  } else {
+    this.state = "idle";
+  }
+
+  var otherActor = level.actorAt(this);
+  if (otherActor)
+    level.playerTouched(otherActor.type, otherActor);
+  if (level.status == "lost") {
+    this.pos.y += step;
+    this.size.y -= step;
+  }
+};
+//lava objects
+function Lava(pos, ch) {
+  this.pos = pos;
+  this.origin = pos; // Cell of the plan it started in, which names this block in telemetry
+  this.ch = ch; // Store character for serialization
+  this.size = new Vector(1, 1);
+  if (ch == "=") {
+    this.speed = new Vector(2, 0);
+  } else if (ch == "|") {
+    this.speed = new Vector(0, 2);
+  } else if (ch == "v") {
+    this.speed = new Vector(0, 3);
+    this.repeatPos = pos;
+  }
+}
+Lava.prototype.type = "lava";
+Lava.prototype.act = function (step, level) {
+  var newPos = this.pos.plus(this.speed.times(step));
+  if (!level.obstacleAt(newPos, this.size))
+    this.pos = newPos;
+  else if (this.repeatPos)
+    this.pos = this.repeatPos;
+  else
+    this.speed = this.speed.times(-1);
+};
+
+// Serializes the current level state to an ASCII grid (Array of strings)
+Level.prototype.getSnapshot = function () {
+  var rows = [];
+  // 1. Render static grid
+  for (var y = 0; y < this.height; y++) {
+    var line = "";
+    for (var x = 0; x < this.width; x++) {
+      var type = this.grid[y][x];
+      if (type == "wall") line += "x";
+      else if (type == "lava") line += "!"; // Static lava
+      else line += " ";
+    }
+    rows.push(line.split("")); // Convert to array of chars for mutable modification
+  }
+
+  // 2. Overlay actors
+  this.actors.forEach(function (actor) {
+    // Determine grid position (center or top-left?)
+    // Using rounded position for visual approximation
+    var gx = Math.round(actor.pos.x);
+    var gy = Math.round(actor.pos.y);
+
+    if (gx >= 0 && gx < this.width && gy >= 0 && gy < this.height) {
+      var char = "?";
+      if (actor.type == "player") char = "@";
+      else if (actor.type == "coin") char = "o";
+      else if (actor.type == "lava") char = actor.ch || "!";
+
+      rows[gy][gx] = char;
+    }
+  }, this);
+
+  return rows.map(function (r) { return r.join(""); });
+};
+
+/* Physics */
+// Variants of the laws a level can run under. Each profile overrides a few of the
+// defaults in levelPhysics; the player is never told which one is in force.
+var physicsProfiles = {
+  low_gravity: { gravity: 18, jumpSpeed: 14 },
+  floaty: { jumpSpeed: 10, floatGravity: 0.35 },
+  slippery: { acceleration: 14 },
+  reversed: { reversed: true },
+  wind: { wind: -2.5 }
+};
+// acceleration: horizontal speed change per second, or null to change speed at once
+// floatGravity: share of gravity while rising with jump held
+// wind: horizontal drift in tiles per second, added to the player's own speed
+function levelPhysics(profile) {
+  var laws = {
+    gravity: gravity,
+    jumpSpeed: jumpSpeed,
+    playerXSpeed: playerXSpeed,
+    acceleration: null,
+    floatGravity: 1,
+    reversed: false,
+    wind: 0
+  };
+  if (profile) {
+    var overrides = physicsProfiles[profile];
+    if (!overrides) throw new Error("Unknown physics profile: " + profile);
+    for (var law in overrides) laws[law] = overrides[law];
+  }
+  return laws;
+}
+
+/* Serialization */
+// Lossless state of a running level, unlike getSnapshot's rounded picture: every
+// actor's position, speed and timers, plus the level's status. It is plain JSON, so a
+// level can be stored mid-run and put back exactly with restore() or Level.deserialize().
+function vectorState(v) {
+  return v ? { x: v.x, y: v.y } : null;
+}
+function stateVector(state) {
+  return state ? new Vector(state.x, state.y) : null;
+}
+Level.prototype.serialize = function () {
+  var death = this.deathCause, near = this.nearLava;
+  return {
+    plan: this.plan,
+    seed: this.seed,
+    physics: this.physicsProfile,
+    random: this.random.state(),
+    status: this.status,
+    finishDelay: this.finishDelay,
+    deathCause: death && { cause: death.cause, ch: death.ch, pos: vectorState(death.pos),
+      origin: vectorState(death.origin), speed: vectorState(death.speed) },
+    idleTime: this.idleTime,
+    nearLava: near && { cause: near.cause, ch: near.ch, distance: near.distance, pos: vectorState(near.pos),
+      origin: vectorState(near.origin), speed: vectorState(near.speed) },
+    actors: this.actors.map(function (actor) {
+      return actor.serialize();
+    })
+  };
+};
+// Puts a state from serialize() back in place; the grid comes from the plan and onEvent is kept
+Level.prototype.restore = function (state) {
+  this.random = createRandom(state.random);
+  this.status = state.status;
+  this.finishDelay = state.finishDelay;
+  var death = state.deathCause, near = state.nearLava;
+  this.deathCause = death && { cause: death.cause, ch: death.ch, pos: stateVector(death.pos),
+    origin: stateVector(death.origin), speed: stateVector(death.speed) };
+  this.idleTime = state.idleTime;
+  this.nearLava = near && { cause: near.cause, ch: near.ch, distance: near.distance, pos: stateVector(near.pos),
+    origin: stateVector(near.origin), speed: stateVector(near.speed) };
+  this.actors = state.actors.map(function (actorState) {
+    return actorTypes[actorState.type].deserialize(actorState);
+  });
+  this.player = this.actors.filter(function (actor) {
+    return actor.type == "player";
+  })[0];
+};
+Level.deserialize = function (state) {
+  var level = new Level(state.plan, { seed: state.seed, physics: state.physics });
+  level.restore(state);
+  return level;
+};
+
+Player.prototype.serialize = function () {
+  var flight = this.flight;
+  return {
+    type: this.type,
+    pos: vectorState(this.pos),
+    size: vectorState(this.size), // Shrinks while the player sinks into lava
+    speed: vectorState(this.speed),
+    onGround: this.onGround,
+    standing: this.standing,
+    flight: flight && { from: vectorState(flight.from), time: flight.time, jumped: flight.jumped },
+    facing: this.facing || null,
+    state: this.state || null
+  };
+};
+Player.deserialize = function (state) {
+  var player = Object.create(Player.prototype);
+  player.pos = stateVector(state.pos);
+  player.size = stateVector(state.size);
+  player.speed = stateVector(state.speed);
+  player.onGround = state.onGround;
+  player.standing = state.standing;
+  player.flight = state.flight && { from: stateVector(state.flight.from), time: state.flight.time, jumped: state.flight.jumped };
+  if (state.facing) player.facing = state.facing;
+  if (state.state) player.state = state.state;
+  return player;
+};
+Lava.prototype.serialize = function () {
+  return {
+    type: this.type,
+    ch: this.ch,
+    pos: vectorState(this.pos),
+    speed: vectorState(this.speed),
+    origin: vectorState(this.origin),
+    repeatPos: vectorState(this.repeatPos)
+  };
+};
+Lava.deserialize = function (state) {
+  var lava = Object.create(Lava.prototype);
+  lava.ch = state.ch;
+  lava.pos = stateVector(state.pos);
+  lava.size = new Vector(1, 1);
+  lava.speed = stateVector(state.speed);
+  lava.origin = stateVector(state.origin);
+  if (state.repeatPos) lava.repeatPos = stateVector(state.repeatPos);
+  return lava;
+};
+
+//coin objects
+function Coin(pos, ch, random) {
+  this.basePos = this.pos = pos.plus(new Vector(0.2, 0.1));
+  this.size = new Vector(0.6, 0.6);
+  this.wobble = random() * Math.PI * 2;
+}
+
+Coin.prototype.type = "coin";
+
+var wobbleSpeed = 8,
+  wobbleDist = 0.07;
+Coin.prototype.act = function (step) {
+  this.wobble += step * wobbleSpeed;
+  var wobblePos = Math.sin(this.wobble) * wobbleDist;
+  this.pos = this.basePos.plus(new Vector(0, wobblePos));
+};
+Coin.prototype.serialize = function () {
+  return {
+    type: this.type,
+    basePos: vectorState(this.basePos),
+    pos: vectorState(this.pos),
+    wobble: this.wobble
+  };
+};
+Coin.deserialize = function (state) {
+  var coin = Object.create(Coin.prototype);
+  coin.basePos = stateVector(state.basePos);
+  coin.pos = stateVector(state.pos);
+  coin.size = new Vector(0.6, 0.6);
+  coin.wobble = state.wobble;
+  return coin;
+};
+// Serialized actors name their type, not their plan character
+var actorTypes = {
+  player: Player,
+  coin: Coin,
+  lava: Lava
+};
+
+/* Simulation */
+// Fixed-timestep driver around a level. Every call to step() advances the world
+// by exactly one tick, using the explicit input object it is given
+// ({left, right, up}), so a run is fully determined by its inputs.
+var FIXED_STEP = 1 / 60;
+
+function Simulation(level, stepSize) {
+  this.level = level;
+  this.stepSize = stepSize || FIXED_STEP;
+  this.steps = 0;
+}
+Simulation.prototype.time = function () {
+  return this.steps * this.stepSize;
+};
+Simulation.prototype.step = function (input) {
+  this.level.animate(this.stepSize, input || {});
+  this.steps++;
+  return this.level.isFinished();
+};
+// Runs headless until the level finishes or maxSteps is reached.
+// controller(level, steps) returns the input for the next tick.
+Simulation.prototype.run = function (controller, maxSteps) {
+  while (this.steps < maxSteps) {
+    if (this.step(controller(this.level, this.steps)))
+      break;
+  }
+  return this.level.status;
+};
+
+/* Rewind */
+// Ring buffer of serialized level states, one every `interval` steps while the level is
+// still being played, covering the last `seconds`. rewind() winds the level's clock back
+// and forgets the states after the one it returns, since that future did not happen.
+function RewindBuffer(seconds, interval, stepSize) {
+  this.interval = interval || 15;
+  this.stepSize = stepSize || FIXED_STEP;
+  this.capacity = Math.ceil(seconds / (this.interval * this.stepSize)) + 1;
+  this.entries = new Array(this.capacity); // { clock, state }
+  this.head = 0; // Slot the next entry goes into
+  this.count = 0;
+  this.clock = 0; // Steps recorded, minus the steps rewound
+}
+// Called after every simulation step
+RewindBuffer.prototype.record = function (level) {
+  if (level.status != null) return;
+  this.clock++;
+  if (this.clock % this.interval != 0) return;
+  this.entries[this.head] = { clock: this.clock, state: level.serialize() };
+  this.head = (this.head + 1) % this.capacity;
+  this.count = Math.min(this.count + 1, this.capacity);
+};
+RewindBuffer.prototype.isEmpty = function () {
+  return this.count == 0;
+};
+// The newest state at least `seconds` old (or the oldest one kept), as { state, seconds }
+RewindBuffer.prototype.rewind = function (seconds) {
+  if (this.count == 0) return null;
+  var back = Math.round(seconds / this.stepSize);
+  var kept = this.count;
+  while (kept > 1 && this.clock - this.entryAt(kept - 1).clock < back) kept--;
+  var entry = this.entryAt(kept - 1);
+  var rewound = (this.clock - entry.clock) * this.stepSize;
+  this.head = (this.head - (this.count - kept) + this.capacity) % this.capacity;
+  this.count = kept;
+  this.clock = entry.clock;
+  return { state: entry.state, seconds: rewound };
+};
+// i-th entry counted from the oldest
+RewindBuffer.prototype.entryAt = function (i) {
+  return this.entries[(this.head - this.count + i + this.capacity) % this.capacity];
+};
+
+/* Input encoding */
+// One character per simulation step ('0'-'7'): bit 1 left, bit 2 right, bit 4 up.
+// An input stream plus the plan and seed is enough to re-simulate a run exactly.
+function encodeInput(keys) {
+  return String.fromCharCode(48 + (keys.left ? 1 : 0) + (keys.right ? 2 : 0) + (keys.up ? 4 : 0));
+}
+function decodeInput(ch) {
+  var bits = ch.charCodeAt(0) - 48;
+  return { left: (bits & 1) != 0, right: (bits & 2) != 0, up: (bits & 4) != 0 };
+}
+
+// Node loads this file with require(); in the browser the globals above are used directly.
+if (typeof module != "undefined" && module.exports) {
+  module.exports = {
+    Vector: Vector,
+    Level: Level,
+    Player: Player,
+    Lava: Lava,
+    Coin: Coin,
+    actorChars: actorChars,
+    physicsProfiles: physicsProfiles,
+    levelPhysics: levelPhysics,
+    Simulation: Simulation,
+    RewindBuffer: RewindBuffer,
+    createRandom: createRandom,
+    newSeed: newSeed,
+    encodeInput: encodeInput,
+    decodeInput: decodeInput,
+    FIXED_STEP: FIXED_STEP,
+    maxStep: maxStep,
+    gravity: gravity,
+    jumpSpeed: jumpSpeed,
+    playerXSpeed: playerXSpeed
+  };
+}
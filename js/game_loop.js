@@ -0,0 +1,276 @@
+"use strict";
+// The game loop every front end shares: runLevel plays one level, runGame a whole session
+// with the agent evolving the levels. Whatever depends on where the game is shown goes
+// through a UI adapter (browserUI in game_script.js, the terminal's in tools/play_terminal.js):
+//   parent()                        - what the Display is created in
+//   animate(frameFunc)              - calls frameFunc(seconds since the last frame) every frame
+//                                     until it returns false (runAnimation in the browser)
+//   updateHUD(lives, level, seed)   - lives, level number and seed readout
+//   showOverlay(message, isShown, isLoading)
+//   showRewindHint(shown)           - "press R to rewind" while a rewind is possible
+//   onExit(fn)                      - fn runs when the page or process goes away
+//   input                           - InputManager: poll(), device() and onAction
+//   recorder, agent, sessionStore, heatmap, bench - GameRecorder, LMMAgent, SessionStore,
+//                                     HeatmapOverlay and PredictionBench, or null where there are none
+
+// The page's adapter, when runLevel or runGame is not handed one in options.ui
+function gameUI(options) {
+  return options.ui || browserUI;
+}
+
+// How far a rewind goes back, and how much history the buffer keeps for it
+var rewindSeconds = 3;
+var rewindKeptSeconds = 5;
+// Thin shell around the simulation core: the UI's animation frames supply real elapsed
+// time, which is consumed in fixed Simulation steps.
+// options.rewind turns on rewind mode: after touching lava the player can press the
+// rewind action before the level ends, and options.rewind() says whether the rewind
+// is allowed (runGame charges a life for it).
+// options.controller(level, steps) replaces the player's input, e.g. PlannerBot.controller().
+function runLevel(level, Display, andThen, options) {
+  options = options || {};
+  var ui = gameUI(options);
+  var recorder = ui.recorder;
+  var display = new Display(ui.parent(), level);
+  var simulation = new Simulation(level);
+  var accumulator = 0;
+  var running = "yes";
+  var rewind = options.rewind ? new RewindBuffer(rewindKeptSeconds, null, simulation.stepSize) : null;
+  var rewindRequested = false;
+  if (ui.heatmap) ui.heatmap.attach(display, level);
+
+  // Start Recording moved to startLevel to persist across retries
+  if (recorder) recorder.beginAttempt(level);
+  // A world model under test (see prediction_bench.js) predicts every step before it is taken
+  var bench = ui.bench || null;
+  level.onEvent = function (type, data) {
+    if (recorder) recorder.logEvent(type, data);
+    if (bench) bench.logEvent(type);
+  };
+
+  // Keyboard, gamepad and touch all arrive through the input manager (see input.js);
+  // with a controller the input manager only pauses, rewinds and toggles the heatmap
+  var input = ui.input;
+  var controller = options.controller || null;
+  input.onAction = function (action) {
+    if (action == "rewind" && rewind && level.status == "lost") rewindRequested = true;
+    if (action == "heatmap" && ui.heatmap) ui.heatmap.toggle();
+    if (action != "pause") return;
+    if (running == "yes") {
+      running = "pausing";
+    } else if (running == "no") { // resume
+      running = "yes";
+      ui.animate(animation);
+    } else if (running == "pausing") { // not yet stop animation
+      running = "yes";
+    }
+  };
+
+  // Winds the level back a few seconds from the moment the player touched lava
+  function rewindLevel() {
+    if (level.status != "lost" || level.isFinished() || rewind.isEmpty() || !options.rewind()) return;
+    var death = level.deathCause;
+    var target = rewind.rewind(rewindSeconds);
+    level.restore(target.state);
+    console.log("[Game] Rewound " + target.seconds.toFixed(2) + "s after " + death.cause + ".");
+    if (recorder) {
+      recorder.recordRewind(target.state);
+      recorder.logEvent("rewind", {
+        seconds: target.seconds, cause: death.cause, ch: death.ch, from: death.pos,
+        to: new Vector(level.player.pos.x, level.player.pos.y), origin: death.origin, speed: death.speed
+      });
+    }
+  }
+
+  function animation(step) {
+    if (running == "pausing") {
+      running = "no";
+      return false; // actually pause the game
+    }
+    if (rewindRequested) {
+      rewindRequested = false;
+      rewindLevel();
+    }
+
+    accumulator += step;
+    while (accumulator >= simulation.stepSize && !level.isFinished()) {
+      var keys = controller ? controller(level, simulation.steps) : input.poll();
+      if (bench) bench.beforeStep(level, keys, simulation.steps);
+      simulation.step(keys);
+      if (bench) bench.afterStep(level);
+      accumulator -= simulation.stepSize;
+      if (rewind) rewind.record(level);
+
+      // Record Frame
+      if (recorder) {
+        recorder.recordFrame(level, keys, controller ? "bot" : input.device());
+      }
+    }
+
+    display.drawFrame(step);
+    if (ui.heatmap) ui.heatmap.update();
+    ui.showRewindHint(!!(rewind && level.status == "lost" && !level.isFinished()));
+    if (level.isFinished()) {
+      if (recorder) recorder.endAttempt(level.status);
+      if (ui.heatmap) ui.heatmap.detach();
+      display.clear();
+      input.onAction = null;
+      if (andThen)
+        andThen(level.status);
+      return false;
+    }
+  }
+
+  ui.animate(animation);
+}
+
+function runGame(plans, Display, session, options) {
+  // We start with the manually defined plans for Level 1
+  // Subsequent levels are AI generated
+  // A session saved by SessionStore resumes the level it was saved on instead
+  // options.rewind plays every level in rewind mode (see runLevel)
+  // options.bot hands the controls to a PlannerBot; its episodes are recorded as synthetic
+  options = options || {};
+  var ui = gameUI(options);
+  var bot = options.bot ? new PlannerBot() : null;
+
+  // A level spec is { plan, seed, source }: the plan, the seed its actors are created with,
+  // and who designed it (predefined, procedural or llm). Generated specs also carry their
+  // difficulty, their physics profile when the agent changed the laws for them, the
+  // hypothesis { law, prediction } when the level was built as an experiment, and otherwise
+  // the style it was composed in (see level_chunks.js).
+  var lastSpec = null; // The spec played last, scored by the agent's skill model
+  var progress = null; // { level, lives, spec } of the level being played, for saving
+
+  // Bot runs are not saved, so they never overwrite a player's save slot
+  function saveSession() {
+    if (progress && ui.sessionStore && !bot) {
+      ui.sessionStore.autosave(progress.level, progress.lives, progress.spec, ui.agent, ui.recorder);
+    }
+  }
+  ui.onExit(saveSession);
+
+  function startLevel(n, lives, levelSpec, resumed) {
+    console.log(`[Game] Starting Level ${n} with ${lives} lives. Plan provided: ${!!levelSpec}`);
+    ui.updateHUD(lives, n);
+
+    var levelSpecPromise;
+    if (levelSpec) {
+      // If a specific plan is passed (e.g. generated from loss), use it
+      console.log("[Game] Using provided level plan.");
+      levelSpecPromise = Promise.resolve(levelSpec);
+    } else if (n < plans.length) {
+      console.log("[Game] Using pre-defined level plan.");
+      levelSpecPromise = Promise.resolve({ plan: plans[n], seed: ui.agent.nextSeed() });
+    } else {
+      // Ask LMM for a new level (Win case usually)
+      console.log("[Game] Asking AI for new level (Win flow).");
+      ui.showOverlay("World Model Evolving...", true, true); // Show Loading
+      var history = ui.recorder ? ui.recorder.getSummary() : {};
+      // Assume win if we got here via progression
+      var trajectory = ui.recorder ? ui.recorder.trajectory() : null;
+      levelSpecPromise = ui.agent.generateNextLevel(history, { outcome: 'win', spec: lastSpec, trajectory: trajectory })
+        .then(function (newSpec) {
+          console.log("[Game] AI generated new plan.");
+          ui.showOverlay("", false);
+          return newSpec;
+        });
+    }
+
+    levelSpecPromise.then(function (currentSpec) {
+      lastSpec = currentSpec;
+      // Start recording once the plan is known, so the summary above still saw the last episode
+      if (lives === 3 && !resumed && ui.recorder) {
+        var meta = { level: n, seed: currentSpec.seed, source: currentSpec.source || "predefined" };
+        if (currentSpec.hypothesis) meta.hypothesis = currentSpec.hypothesis;
+        if (currentSpec.style) meta.style = currentSpec.style;
+        if (bot) {
+          meta.synthetic = true;
+          meta.player = "bot";
+        }
+        ui.recorder.start(meta);
+        // The benchmark summary saved with an episode covers that episode only
+        if (ui.bench) ui.bench.reset();
+      }
+      progress = { level: n, lives: lives, spec: currentSpec };
+      saveSession();
+      ui.updateHUD(lives, n, currentSpec.seed);
+      console.log("[Game] Running level...");
+      var level = new Level(currentSpec.plan, { seed: currentSpec.seed, physics: currentSpec.physics });
+      runLevel(level, Display, function (status) {
+        console.log(`[Game] Level finished with status: ${status}`);
+        if (status == "lost") {
+          console.log(`[Game] Player died. Lives remaining: ${lives}. Checking recorder:`, !!ui.recorder);
+          if (ui.recorder) {
+            var death = level.deathCause || {};
+            // For moving lava, origin and speed say which block it was and how it was moving
+            ui.recorder.logEvent('death', { level: n, cause: death.cause, ch: death.ch, pos: death.pos, origin: death.origin, speed: death.speed });
+          } else {
+            console.error("[Game] CRITICAL: the UI has no recorder!");
+          }
+
+          if (lives > 0) {
+            console.log("[Game] Retrying level...");
+            startLevel(n, lives - 1, currentSpec); // Retry same level
+          } else {
+            console.log("[Game] Game Over. Triggering evolution (Loss flow).");
+            ui.showOverlay("Absorbing Experience...", true, true); // Show Loading
+            if (ui.recorder) ui.recorder.saveHistory();
+
+            // Generate EASIER level on Game Over
+            var history = ui.recorder ? ui.recorder.getSummary() : {};
+            var trajectory = ui.recorder ? ui.recorder.trajectory() : null;
+            ui.agent.generateNextLevel(history, { outcome: 'loss', spec: currentSpec, trajectory: trajectory })
+              .then(function (easierSpec) {
+                console.log("[Game] AI generated easier plan.");
+                setTimeout(function () {
+                  ui.showOverlay("", false);
+                  // Restart at same level index 'n' but with simpler plan?
+                  // Or maybe decrement level index? Let's keep index but simplify.
+                  startLevel(n, 3, easierSpec);
+                }, 2000);
+              });
+          }
+        } else { // "won"
+          console.log("[Game] Level Won! Advancing...");
+          if (ui.recorder) ui.recorder.logEvent('level_complete', { level: n });
+          // Proceed to next level (triggered AI generation)
+          if (ui.recorder) ui.recorder.saveHistory(); // Save winning run too
+          startLevel(n + 1, 3);
+        }
+      }, {
+        ui: ui,
+        // A rewind costs a life, like a retry, but keeps the level going
+        rewind: options.rewind ? function () {
+          if (lives <= 0) return false;
+          lives--;
+          progress.lives = lives;
+          ui.updateHUD(lives, n, currentSpec.seed);
+          return true;
+        } : null,
+        controller: bot ? bot.controller() : null
+      });
+      // runLevel has opened the recorder's attempt, so the event is filed under it
+      if (ui.recorder) {
+        ui.recorder.logEvent(lives === 3 ? 'level_start' : 'level_restart', { level: n, lives: lives, seed: currentSpec.seed, resumed: !!resumed });
+      }
+    }).catch(function (err) {
+      console.error("[Game] Error starting level:", err);
+    });
+  }
+  if (session) {
+    SessionStore.restore(session, ui.agent, ui.recorder);
+    startLevel(session.level, session.lives, session.spec, true);
+  } else {
+    startLevel(0, 3);
+  }
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module != "undefined" && module.exports) {
+  module.exports = {
+    runLevel: runLevel,
+    runGame: runGame,
+    rewindSeconds: rewindSeconds
+  };
+}
@@ -8,265 +8,6 @@ function element(name, className) {
   return element;
 }
 
-/* Vector */
-function Vector(x, y) {
-  this.x = x;
-  this.y = y;
-}
-//this is for changing co-ordinates of player
-Vector.prototype.plus = function (other) {
-  return new Vector(this.x + other.x, this.y + other.y);
-};
-//this is for changing shape after died
-Vector.prototype.times = function (factor) {
-  return new Vector(this.x * factor, this.y * factor);
-};
-//level objects 
-//by creating stack of array of element's  in level
-function Level(plan) {
-  this.width = plan[0].length;
-  this.height = plan.length;
-  this.grid = [];
-  this.actors = [];
-  // build the grid
-  for (var y = 0; y < this.height; y++) {
-    var line = plan[y],
-      gridLine = [];
-    for (var x = 0; x < this.width; x++) {
-      var ch = line[x],
-        fieldType = null;
-      var Actor = actorChars[ch];
-      if (Actor)
-        this.actors.push(new Actor(new Vector(x, y), ch));
-      else if (ch == "x")
-        fieldType = "wall";
-      else if (ch == "!")
-        fieldType = "lava";
-      gridLine.push(fieldType);
-    }
-    this.grid.push(gridLine);
-  }
-  this.player = this.actors.filter(function (actor) {
-    return actor.type == "player";
-  })[0];
-  this.status = this.finishDelay = null;
-}
-Level.prototype.isFinished = function () {
-  return this.status != null && this.finishDelay < 0;
-}
-//create floors which restrict the motion of player
-Level.prototype.obstacleAt = function (pos, size) {
-  var xStart = Math.floor(pos.x);
-  var xEnd = Math.ceil(pos.x + size.x);
-  var yStart = Math.floor(pos.y);
-  var yEnd = Math.ceil(pos.y + size.y);
-  if (xStart < 0 || xEnd > this.width || yStart < 0)
-    return "wall";
-  if (yEnd > this.height)
-    return "lava";
-  for (var y = yStart; y < yEnd; y++) {
-    for (var x = xStart; x < xEnd; x++) {
-      var fieldType = this.grid[y][x];
-      if (fieldType) return fieldType;
-    }
-  }
-}
-// very important it separete thr player and grids
-// Handle the collisions between the player and other dynamic actors.
-Level.prototype.actorAt = function (actor) {
-  for (var i = 0; i < this.actors.length; i++) {
-    var other = this.actors[i];
-    if (other != actor &&
-      actor.pos.x + actor.size.x > other.pos.x &&
-      actor.pos.x < other.pos.x + other.size.x &&
-      actor.pos.y + actor.size.y > other.pos.y &&
-      actor.pos.y < other.pos.y + other.size.y)
-      return other;
-  }
-};
-var maxStep = 0.05;
-Level.prototype.animate = function (step, keys) {
-  if (this.status != null) {
-    this.finishDelay -= step;
-  }
-  while (step > 0) {
-    var thisStep = Math.min(step, maxStep);
-    this.actors.forEach(function (actor) {
-      actor.act(thisStep, this, keys);
-    }, this);
-    step -= thisStep;
-  }
-};
-// Handles collisions between the player and other objects
-Level.prototype.playerTouched = function (type, actor) {
-  if (type == "lava" && this.status == null) {
-    this.status = "lost";
-    this.finishDelay = 1;
-  } else if (type == "coin") {
-    if (window.gameRecorder) window.gameRecorder.logEvent('coin', { pos: actor.pos });
-    this.actors = this.actors.filter(function (other) {
-      return other != actor;
-    });
-    if (!this.actors.some(function (actor) {
-      return actor.type == "coin";
-    })) {
-      this.status = "won";
-      this.finishDelay = 1;
-    }
-  }
-};
-var actorChars = {
-  "@": Player,
-  "o": Coin,
-  "=": Lava,
-  "|": Lava,
-  "v": Lava
-};
-//define our mario
-function Player(pos) {
-  this.pos = pos.plus(new Vector(0, -0.5));
-  this.size = new Vector(0.8, 1.5);
-  this.speed = new Vector(0, 0);
-}
-
-//create our mario and its movement
-Player.prototype.type = "player";
-// Horizontal motion
-var playerXSpeed = 7;
-Player.prototype.moveX = function (step, level, keys) {
-  this.speed.x = 0;
-  if (keys.left) this.speed.x -= playerXSpeed;
-  if (keys.right) this.speed.x += playerXSpeed;
-
-  var motion = new Vector(this.speed.x * step, 0);
-  var newPos = this.pos.plus(motion);
-  var obstacle = level.obstacleAt(newPos, this.size);
-  if (obstacle)
-    level.playerTouched(obstacle);
-  else
-    this.pos = newPos;
-};
-var gravity = 30;
-var jumpSpeed = 17;
-Player.prototype.moveY = function (step, level, keys) {
-  this.speed.y += step * gravity;
-  var motion = new Vector(0, this.speed.y * step);
-  var newPos = this.pos.plus(motion);
-  var obstacle = level.obstacleAt(newPos, this.size);
-  if (obstacle) {
-    level.playerTouched(obstacle);
-    if (keys.up && this.speed.y > 0)
-      this.speed.y = -jumpSpeed;
-    else
-      this.speed.y = 0;
-  } else {
-    this.pos = newPos;
-  }
-};
-
-Player.prototype.act = function (step, level, keys) {
-  this.moveX(step, level, keys);
-  this.moveY(step, level, keys);
-
-  // Update facing direction based on speed
-  if (this.speed.x > 0) this.facing = "right";
-  else if (this.speed.x < 0) this.facing = "left";
-
-  // Update state (idle, run, jump)
-  // Check typical gravity effects. If speed.y is significantly different from 0, we are "jumping" or falling.
-  // We can use a small threshold.
-  if (Math.abs(this.speed.y) > 0.1) {
-    this.state = "jump";
-  } else if (Math.abs(this.speed.x) > 0) {
-    this.state = "run";
-  } else {
-    this.state = "idle";
-  }
-
-  var otherActor = level.actorAt(this);
-  if (otherActor)
-    level.playerTouched(otherActor.type, otherActor);
-  if (level.status == "lost") {
-    this.pos.y += step;
-    this.size.y -= step;
-  }
-};
-//lava objects
-function Lava(pos, ch) {
-  this.pos = pos;
-  this.ch = ch; // Store character for serialization
-  this.size = new Vector(1, 1);
-  if (ch == "=") {
-    this.speed = new Vector(2, 0);
-  } else if (ch == "|") {
-    this.speed = new Vector(0, 2);
-  } else if (ch == "v") {
-    this.speed = new Vector(0, 3);
-    this.repeatPos = pos;
-  }
-}
-Lava.prototype.type = "lava";
-Lava.prototype.act = function (step, level) {
-  var newPos = this.pos.plus(this.speed.times(step));
-  if (!level.obstacleAt(newPos, this.size))
-    this.pos = newPos;
-  else if (this.repeatPos)
-    this.pos = this.repeatPos;
-  else
-    this.speed = this.speed.times(-1);
-};
-
-// Serializes the current level state to an ASCII grid (Array of strings)
-Level.prototype.getSnapshot = function () {
-  var rows = [];
-  // 1. Render static grid
-  for (var y = 0; y < this.height; y++) {
-    var line = "";
-    for (var x = 0; x < this.width; x++) {
-      var type = this.grid[y][x];
-      if (type == "wall") line += "x";
-      else if (type == "lava") line += "!"; // Static lava
-      else line += " ";
-    }
-    rows.push(line.split("")); // Convert to array of chars for mutable modification
-  }
-
-  // 2. Overlay actors
-  this.actors.forEach(function (actor) {
-    // Determine grid position (center or top-left?)
-    // Using rounded position for visual approximation
-    var gx = Math.round(actor.pos.x);
-    var gy = Math.round(actor.pos.y);
-
-    if (gx >= 0 && gx < this.width && gy >= 0 && gy < this.height) {
-      var char = "?";
-      if (actor.type == "player") char = "@";
-      else if (actor.type == "coin") char = "o";
-      else if (actor.type == "lava") char = actor.ch || "!";
-
-      rows[gy][gx] = char;
-    }
-  }, this);
-
-  return rows.map(function (r) { return r.join(""); });
-};
-
-//coin objects
-function Coin(pos) {
-  this.basePos = this.pos = pos.plus(new Vector(0.2, 0.1));
-  this.size = new Vector(0.6, 0.6);
-  this.wobble = Math.random() * Math.PI * 2;
-}
-
-Coin.prototype.type = "coin";
-
-var wobbleSpeed = 8,
-  wobbleDist = 0.07;
-Coin.prototype.act = function (step) {
-  this.wobble += step * wobbleSpeed;
-  var wobblePos = Math.sin(this.wobble) * wobbleDist;
-  this.pos = this.basePos.plus(new Vector(0, wobblePos));
-};
 //Dom Display objects
 function DOMDisplay(parent, level) {
   this.wrap = parent.appendChild(element("div", "game"));
@@ -343,33 +84,6 @@ DOMDisplay.prototype.clear = function () {
   this.wrap.parentNode.removeChild(this.wrap);
 };
 
-var arrowCodes = {
-  37: "left",
-  38: "up",
-  39: "right",
-};
-
-function trackKeys(codes) {
-  var pressed = Object.create(null);
-
-  function handler(event) {
-    if (codes.hasOwnProperty(event.keyCode)) {
-      var down = event.type == "keydown";
-      pressed[codes[event.keyCode]] = down;
-      event.preventDefault();
-    }
-  }
-  addEventListener("keydown", handler);
-  addEventListener("keyup", handler);
-
-  pressed.unregister = function () {
-    removeEventListener("keydown", handler);
-    removeEventListener("keyup", handler);
-  }
-
-  return pressed;
-}
-
 function runAnimation(frameFunc) {
   var lastTime = null;
 
@@ -385,63 +99,14 @@ function runAnimation(frameFunc) {
   }
   requestAnimationFrame(frame);
 }
-function runLevel(level, Display, andThen) {
-  var parent = document.getElementById("game-wrapper") || document.body;
-  var display = new Display(parent, level);
-  var running = "yes";
-
-  var running = "yes";
-
-  // Start Recording moved to startLevel to persist across retries
-
-  function handleEscKey(event) {
-    if (event.keyCode == 27) { // ESC's key code is 27
-      var handler = arrows.eventListener;
-      if (running == "yes") {
-        running = "pausing";
-      } else if (running == "no") { // resume
-        running = "yes";
-        runAnimation(animation);
-      } else if (running == "pausing") { // not yet stop animation
-        running = "yes";
-      }
-    }
-  }
-  addEventListener("keydown", handleEscKey);
-  var arrows = trackKeys(arrowCodes);
-
-  function animation(step) {
-    if (running == "pausing") {
-      running = "no";
-      return false; // actually pause the game
-    }
-
-    level.animate(step, arrows);
-
-    // Record Frame
-    if (window.gameRecorder) {
-      window.gameRecorder.recordFrame(level, arrows);
-    }
-
-    display.drawFrame(step);
-    if (level.isFinished()) {
-      display.clear();
-      removeEventListener("keydown", handleEscKey);
-      arrows.unregister();
-      if (andThen)
-        andThen(level.status);
-      return false;
-    }
-  }
-
-  runAnimation(animation);
-}
 
-function updateHUD(lives, level) {
+function updateHUD(lives, level, seed) {
   var livesDisplay = document.getElementById('lives-display');
   var levelDisplay = document.getElementById('level-display');
+  var seedDisplay = document.getElementById('seed-display');
   if (livesDisplay) livesDisplay.textContent = "Lives: " + lives;
   if (levelDisplay) levelDisplay.textContent = "Level: " + (level + 1);
+  if (seedDisplay) seedDisplay.textContent = "Seed: " + (seed != null ? seed : "-");
 }
 
 function showOverlay(message, isShown, isLoading) {
@@ -476,107 +141,26 @@ function showOverlay(message, isShown, isLoading) {
   }
 }
 
-function runGame(plans, Display) {
-  // We start with the manually defined plans for Level 1
-  // Subsequent levels are AI generated
-
-  function startLevel(n, lives, levelPlan) {
-    if (lives === 3 && window.gameRecorder) {
-      window.gameRecorder.start();
-    }
-    console.log(`[Game] Starting Level ${n} with ${lives} lives. Plan provided: ${!!levelPlan}`);
-    updateHUD(lives, n);
-
-    var levelPlanPromise;
-    if (levelPlan) {
-      // If a specific plan is passed (e.g. generated from loss), use it
-      console.log("[Game] Using provided level plan.");
-      levelPlanPromise = Promise.resolve(levelPlan);
-    } else if (n < plans.length) {
-      console.log("[Game] Using pre-defined level plan.");
-      levelPlanPromise = Promise.resolve(plans[n]);
-    } else {
-      // Ask LMM for a new level (Win case usually)
-      console.log("[Game] Asking AI for new level (Win flow).");
-      showOverlay("World Model Evolving...", true, true); // Show Loading
-      var history = window.gameRecorder ? window.gameRecorder.getSummary() : {};
-      // Assume win if we got here via progression
-      levelPlanPromise = window.lmmAgent.generateNextLevel(history, { outcome: 'win' })
-        .then(function (newPlan) {
-          console.log("[Game] AI generated new plan.");
-          showOverlay("", false);
-          return newPlan;
-        });
-    }
-
-    levelPlanPromise.then(function (currentPlan) {
-      console.log("[Game] Running level...");
-      runLevel(new Level(currentPlan), Display, function (status) {
-        console.log(`[Game] Level finished with status: ${status}`);
-        if (status == "lost") {
-          console.log(`[Game] Player died. Lives remaining: ${lives}. Checking recorder:`, !!window.gameRecorder);
-          if (window.gameRecorder) {
-            window.gameRecorder.logEvent('death', { level: n });
-          } else {
-            console.error("[Game] CRITICAL: window.gameRecorder is undefined!");
-          }
-
-          if (lives > 0) {
-            console.log("[Game] Retrying level...");
-            startLevel(n, lives - 1, currentPlan); // Retry same level
-          } else {
-            console.log("[Game] Game Over. Triggering evolution (Loss flow).");
-            showOverlay("Absorbing Experience...", true, true); // Show Loading
-            if (window.gameRecorder) window.gameRecorder.saveHistory();
-
-            // Generate EASIER level on Game Over
-            var history = window.gameRecorder ? window.gameRecorder.getSummary() : {};
-            window.lmmAgent.generateNextLevel(history, { outcome: 'loss' })
-              .then(function (easierPlan) {
-                console.log("[Game] AI generated easier plan.");
-                setTimeout(function () {
-                  showOverlay("", false);
-                  // Restart at same level index 'n' but with simpler plan? 
-                  // Or maybe decrement level index? Let's keep index but simplify.
-                  startLevel(n, 3, easierPlan);
-                }, 2000);
-              });
-          }
-        } else { // "won"
-          console.log("[Game] Level Won! Advancing...");
-          // Proceed to next level (triggered AI generation)
-          if (window.gameRecorder) window.gameRecorder.saveHistory(); // Save winning run too
-          startLevel(n + 1, 3);
-        }
-      });
-    }).catch(function (err) {
-      console.error("[Game] Error starting level:", err);
-    });
-  }
-  startLevel(0, 3);
-}
-
-// create game levels here
-// create game levels here
-var GAME_LEVELS = [
-  [
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                      xxx       ",
-    "                                                     xx      xx      xx!xx      ",
-    "                                      o o      xx    xx!xx   xrx    xx!xx       ",
-    "               @              xx     xxxxx     xx!xx xx!xx   xrx    xx!xx       ",
-    "             xxxx            xxxx   xxxxxxx    xx!xx xx!xx   xrx    xx!xx       ",
-    "xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx",
-    "xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx"
-  ]
-];
-runGame(GAME_LEVELS, DOMDisplay);
\ No newline at end of file
+// What runLevel and runGame (see game_loop.js) need from the page
+var browserUI = {
+  parent: function () {
+    return document.getElementById("game-wrapper") || document.body;
+  },
+  animate: runAnimation,
+  updateHUD: updateHUD,
+  showOverlay: showOverlay,
+  showRewindHint: function (shown) {
+    var hint = document.getElementById("rewind-hint");
+    if (hint) hint.classList.toggle("hidden", !shown);
+  },
+  onExit: function (fn) {
+    addEventListener("pagehide", fn);
+  },
+  // The page's scripts create these after this one has loaded
+  get input() { return window.inputManager; },
+  get recorder() { return window.gameRecorder; },
+  get agent() { return window.lmmAgent; },
+  get sessionStore() { return window.sessionStore; },
+  get heatmap() { return window.heatmap; },
+  get bench() { return window.predictionBench; }
+};
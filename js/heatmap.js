@@ -0,0 +1,184 @@
+"use strict";
+/**
+ * Heatmap Overlay
+ * Shows where players died and which paths they took, across every attempt of the
+ * current plan, on top of the game view (toggled by the "heatmap" input action, H by default;
+ * see input.js) and as event thumbnails.
+ */
+
+// Paths are drawn through the middle of the 0.8 x 1.5 player box (see Player)
+const HEATMAP_PLAYER_CENTER = { x: 0.4, y: 0.75 };
+const HEATMAP_THUMBNAIL_SCALE = 4;
+const HEATMAP_REDRAW_FRAMES = 15; // Recorded frames between live redraws
+
+/**
+ * Gathers the heatmap for one plan out of GameRecorder history frames and death events.
+ * @param {GameRecorder} recorder
+ * @param {Array<string>} plan - Level plan; only attempts of this plan are counted
+ * @returns {Object} - { paths: [[{x, y}]], deaths: [{x, y, cause}], visits: [[count]], maxVisits }
+ */
+function collectHeatmap(recorder, plan) {
+    const key = plan.join("\n");
+    const attempts = new Set();
+    recorder.attempts.forEach((attempt, i) => {
+        if (attempt.plan.join("\n") === key) attempts.add(i);
+    });
+
+    // visits counts recorded frames per tile, so it shows where players spent their time
+    const visits = plan.map(row => new Array(row.length).fill(0));
+    const paths = new Map();
+    recorder.history.forEach(frame => {
+        if (!frame.pos || !attempts.has(frame.attempt)) return;
+        const point = { x: frame.pos.x + HEATMAP_PLAYER_CENTER.x, y: frame.pos.y + HEATMAP_PLAYER_CENTER.y };
+        if (!paths.has(frame.attempt)) paths.set(frame.attempt, []);
+        paths.get(frame.attempt).push(point);
+        const row = visits[Math.floor(point.y)];
+        const x = Math.floor(point.x);
+        if (row && x >= 0 && x < row.length) row[x]++;
+    });
+
+    const deaths = recorder.events
+        .filter(e => e.type === 'death' && e.data && e.data.pos && attempts.has(e.attempt))
+        .map(e => ({
+            x: e.data.pos.x + HEATMAP_PLAYER_CENTER.x,
+            y: e.data.pos.y + HEATMAP_PLAYER_CENTER.y,
+            cause: e.data.cause
+        }));
+
+    return {
+        paths: [...paths.values()],
+        deaths: deaths,
+        visits: visits,
+        maxVisits: Math.max(1, ...visits.map(row => Math.max(...row)))
+    };
+}
+
+/**
+ * Paints heatmap data onto a canvas context, in tile units times scale.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<string>} plan
+ * @param {Object} data - From collectHeatmap
+ * @param {number} scale - Pixels per tile
+ * @param {boolean} withTiles - Also paint walls and lava (for thumbnails, which have no game view under them)
+ */
+function drawHeatmap(ctx, plan, data, scale, withTiles) {
+    if (withTiles) {
+        ctx.fillStyle = "#f0f8ff";
+        ctx.fillRect(0, 0, plan[0].length * scale, plan.length * scale);
+        plan.forEach((row, y) => [...row].forEach((ch, x) => {
+            if (ch !== "x" && ch !== "!") return;
+            ctx.fillStyle = ch === "x" ? "#795548" : "#F44336";
+            ctx.fillRect(x * scale, y * scale, scale, scale);
+        }));
+    }
+
+    // Dwell time
+    data.visits.forEach((row, y) => row.forEach((count, x) => {
+        if (count === 0) return;
+        ctx.fillStyle = `rgba(255, 152, 0, ${(0.15 + 0.5 * count / data.maxVisits).toFixed(2)})`;
+        ctx.fillRect(x * scale, y * scale, scale, scale);
+    }));
+
+    // One trajectory per attempt
+    ctx.strokeStyle = "rgba(33, 150, 243, 0.7)";
+    ctx.lineWidth = Math.max(1, scale / 10);
+    data.paths.forEach(path => {
+        ctx.beginPath();
+        path.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(point.x * scale, point.y * scale);
+            else ctx.lineTo(point.x * scale, point.y * scale);
+        });
+        ctx.stroke();
+    });
+
+    // Deaths as red crosses
+    const r = Math.max(2, scale * 0.4);
+    ctx.strokeStyle = "#D50000";
+    ctx.lineWidth = Math.max(1.5, scale / 6);
+    data.deaths.forEach(death => {
+        const x = death.x * scale, y = death.y * scale;
+        ctx.beginPath();
+        ctx.moveTo(x - r, y - r);
+        ctx.lineTo(x + r, y + r);
+        ctx.moveTo(x + r, y - r);
+        ctx.lineTo(x - r, y + r);
+        ctx.stroke();
+    });
+}
+
+/**
+ * Small canvas with the whole plan and its heatmap, for the events panel.
+ * @returns {HTMLCanvasElement}
+ */
+function heatmapThumbnail(recorder, plan) {
+    const canvas = document.createElement("canvas");
+    canvas.className = "heatmap-thumbnail";
+    canvas.width = plan[0].length * HEATMAP_THUMBNAIL_SCALE;
+    canvas.height = plan.length * HEATMAP_THUMBNAIL_SCALE;
+    drawHeatmap(canvas.getContext("2d"), plan, collectHeatmap(recorder, plan), HEATMAP_THUMBNAIL_SCALE, true);
+    return canvas;
+}
+
+// --- LIVE OVERLAY ---
+// A canvas laid over the DOMDisplay, scrolling with it (or drawn into a CanvasDisplay's view).
+// runLevel attaches it to every new display.
+class HeatmapOverlay {
+    constructor(recorder) {
+        this.recorder = recorder;
+        this.visible = false;
+        this.canvas = null;
+        this.level = null;
+        this.drawnFrames = 0; // History length at the last redraw
+        this.drawnEvents = 0;
+    }
+
+    attach(display, level) {
+        this.level = level;
+        this.canvas = document.createElement("canvas");
+        this.canvas.className = "heatmap-overlay";
+        this.canvas.width = level.width * scale;
+        this.canvas.height = level.height * scale;
+        // CanvasDisplay paints the overlay itself, following its camera and zoom
+        if (display.addOverlay) display.addOverlay(this.canvas);
+        else display.wrap.appendChild(this.canvas);
+        this.draw();
+    }
+
+    detach() {
+        this.canvas = null;
+        this.level = null;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        console.log(`[Heatmap] Overlay ${this.visible ? "on" : "off"}.`);
+        this.draw();
+    }
+
+    // Called every animation frame; redraws only once enough new data has been recorded
+    update() {
+        if (!this.visible || !this.canvas) return;
+        if (this.recorder.history.length - this.drawnFrames >= HEATMAP_REDRAW_FRAMES ||
+            this.recorder.events.length != this.drawnEvents)
+            this.draw();
+    }
+
+    draw() {
+        if (!this.canvas) return;
+        this.canvas.style.display = this.visible ? "block" : "none";
+        const ctx = this.canvas.getContext("2d");
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawnFrames = this.recorder.history.length;
+        this.drawnEvents = this.recorder.events.length;
+        if (this.visible) drawHeatmap(ctx, this.level.plan, collectHeatmap(this.recorder, this.level.plan), scale, false);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.heatmap = new HeatmapOverlay(window.gameRecorder);
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { collectHeatmap, drawHeatmap, HeatmapOverlay };
+}
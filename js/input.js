@@ -0,0 +1,268 @@
+"use strict";
+/**
+ * Input Manager
+ * Merges the keyboard (by event.code), gamepads and on-screen touch buttons into the
+ * { left, right, up } object the simulation steps with, plus "pause", "rewind" and "heatmap" actions.
+ * Bindings can be remapped and are kept in localStorage.
+ */
+
+const INPUT_ACTIONS = ["left", "right", "up", "pause", "rewind", "heatmap"];
+const INPUT_DEVICES = ["keyboard", "gamepad", "touch"];
+const DEFAULT_BINDINGS = {
+    keyboard: { left: ["ArrowLeft", "KeyA"], right: ["ArrowRight", "KeyD"], up: ["ArrowUp", "KeyW", "Space"], pause: ["Escape"], rewind: ["KeyR"], heatmap: ["KeyH"] },
+    // Standard gamepad mapping: 0 A, 2 X, 3 Y, 9 Start, 12-15 d-pad up, down, left, right
+    gamepad: { left: [14], right: [15], up: [0, 12], pause: [9], rewind: [2], heatmap: [3] }
+};
+const GAMEPAD_AXIS_DEADZONE = 0.5;
+const BINDINGS_STORAGE_KEY = "jumper.inputBindings";
+
+// Form fields and contenteditable elements, where keys are typing rather than play
+function isEditable(target) {
+    return !!target && (!!target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+}
+
+class InputManager {
+    /**
+     * @param {Storage} storage - Where bindings persist (localStorage by default, null for none)
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.bindings = this.loadBindings();
+        this.active = {}; // Actions currently held, per device
+        INPUT_DEVICES.forEach(device => { this.active[device] = new Set(); });
+        this.lastDevice = null; // Device of the most recent press
+        this.onAction = null; // Called with the action name on each new press, e.g. by runLevel for pause
+        this.capture = null; // Pending rebind: { device, resolve }
+        this.padsConnected = 0;
+        this.handlers = null;
+    }
+
+    // --- BINDINGS ---
+
+    loadBindings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage && this.storage.getItem(BINDINGS_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.warn("[Input] Ignoring unreadable saved bindings.", e);
+        }
+        const bindings = {};
+        INPUT_DEVICES.filter(device => DEFAULT_BINDINGS[device]).forEach(device => {
+            bindings[device] = {};
+            INPUT_ACTIONS.forEach(action => {
+                const codes = saved[device] && saved[device][action];
+                bindings[device][action] = Array.isArray(codes) ? codes : DEFAULT_BINDINGS[device][action].slice();
+            });
+        });
+        return bindings;
+    }
+
+    saveBindings() {
+        if (this.storage) this.storage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+    }
+
+    /**
+     * @param {string} device - 'keyboard' (codes are event.code strings) or 'gamepad' (button indices)
+     * @param {string} action - One of INPUT_ACTIONS
+     * @param {Array} codes - Replaces the action's current bindings on that device
+     */
+    rebind(device, action, codes) {
+        if (!this.bindings[device] || !INPUT_ACTIONS.includes(action))
+            throw new Error(`Cannot bind ${device} to ${action}.`);
+        this.bindings[device][action] = codes.slice();
+        this.active[device].clear();
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        if (this.storage) this.storage.removeItem(BINDINGS_STORAGE_KEY);
+        this.bindings = this.loadBindings();
+    }
+
+    /**
+     * Waits for the next key or gamepad button, for the remap UI.
+     * @returns {Promise<string|number>} - event.code or button index
+     */
+    captureBinding(device) {
+        return new Promise(resolve => { this.capture = { device: device, resolve: resolve }; });
+    }
+
+    finishCapture(device, code) {
+        if (!this.capture || this.capture.device !== device) return false;
+        const resolve = this.capture.resolve;
+        this.capture = null;
+        resolve(code);
+        return true;
+    }
+
+    // --- STATE ---
+
+    press(device, action) {
+        if (this.active[device].has(action)) return; // Key repeat
+        this.active[device].add(action);
+        this.lastDevice = device;
+        if (this.onAction) this.onAction(action);
+    }
+
+    release(device, action) {
+        this.active[device].delete(action);
+    }
+
+    held(action) {
+        return INPUT_DEVICES.some(device => this.active[device].has(action));
+    }
+
+    /**
+     * Merged input for the next simulation step.
+     * @returns {Object} - { left, right, up }
+     */
+    poll() {
+        return { left: this.held("left"), right: this.held("right"), up: this.held("up") };
+    }
+
+    // Device that produced the current movement input, or null when nothing is held
+    device() {
+        const moving = INPUT_DEVICES.filter(device =>
+            ["left", "right", "up"].some(action => this.active[device].has(action)));
+        if (moving.length === 0) return null;
+        return moving.includes(this.lastDevice) ? this.lastDevice : moving[0];
+    }
+
+    // --- SOURCES ---
+
+    // Keys typed into a form field belong to the field; one released there still lets go of its action
+    handleKey(event) {
+        const down = event.type === "keydown";
+        const typing = isEditable(event.target);
+        if (down && typing) return;
+        if (down && this.finishCapture("keyboard", event.code)) {
+            event.preventDefault();
+            return;
+        }
+        const actions = INPUT_ACTIONS.filter(action => this.bindings.keyboard[action].includes(event.code));
+        actions.forEach(action => down ? this.press("keyboard", action) : this.release("keyboard", action));
+        if (actions.length > 0 && !typing) event.preventDefault();
+    }
+
+    readGamepads() {
+        const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+        const held = new Set();
+        pads.forEach(pad => {
+            const pressed = pad.buttons.map(button => button.pressed);
+            const capturedButton = pressed.indexOf(true);
+            if (capturedButton >= 0 && this.finishCapture("gamepad", capturedButton)) return;
+            INPUT_ACTIONS.forEach(action => {
+                if (this.bindings.gamepad[action].some(index => pressed[index])) held.add(action);
+            });
+            // Left stick
+            if (pad.axes[0] < -GAMEPAD_AXIS_DEADZONE) held.add("left");
+            if (pad.axes[0] > GAMEPAD_AXIS_DEADZONE) held.add("right");
+            if (pad.axes[1] < -GAMEPAD_AXIS_DEADZONE) held.add("up");
+        });
+        [...this.active.gamepad].forEach(action => { if (!held.has(action)) this.release("gamepad", action); });
+        held.forEach(action => this.press("gamepad", action));
+    }
+
+    // Gamepads have no events for buttons, so they are read every frame while one is connected.
+    // This runs apart from the game loop so Start can still resume a paused game.
+    pollGamepads() {
+        if (this.padsConnected <= 0 || !this.handlers) return;
+        this.readGamepads();
+        requestAnimationFrame(() => this.pollGamepads());
+    }
+
+    // Wires every element with a data-input-action attribute as a hold-to-press button
+    attachTouch(root) {
+        root.querySelectorAll("[data-input-action]").forEach(button => {
+            const action = button.dataset.inputAction;
+            const up = () => this.release("touch", action);
+            button.addEventListener("pointerdown", event => {
+                event.preventDefault();
+                if (button.setPointerCapture) button.setPointerCapture(event.pointerId);
+                this.press("touch", action);
+            });
+            button.addEventListener("pointerup", up);
+            button.addEventListener("pointercancel", up);
+            button.addEventListener("lostpointercapture", up);
+        });
+    }
+
+    attach() {
+        if (this.handlers) return;
+        this.handlers = {
+            key: event => this.handleKey(event),
+            // Keys released while the window is in the background never send keyup
+            blur: () => this.active.keyboard.clear(),
+            padOn: event => {
+                console.log(`[Input] Gamepad connected: ${event.gamepad.id}`);
+                if (this.padsConnected++ === 0) this.pollGamepads();
+            },
+            padOff: () => {
+                this.padsConnected = Math.max(0, this.padsConnected - 1);
+                this.active.gamepad.clear();
+            }
+        };
+        addEventListener("keydown", this.handlers.key);
+        addEventListener("keyup", this.handlers.key);
+        addEventListener("blur", this.handlers.blur);
+        addEventListener("gamepadconnected", this.handlers.padOn);
+        addEventListener("gamepaddisconnected", this.handlers.padOff);
+        if (typeof document !== 'undefined') this.attachTouch(document);
+    }
+
+    detach() {
+        if (!this.handlers) return;
+        removeEventListener("keydown", this.handlers.key);
+        removeEventListener("keyup", this.handlers.key);
+        removeEventListener("blur", this.handlers.blur);
+        removeEventListener("gamepadconnected", this.handlers.padOn);
+        removeEventListener("gamepaddisconnected", this.handlers.padOff);
+        this.handlers = null;
+    }
+}
+
+// --- REMAP PANEL ---
+// Fills #bindings-table with one row per action and buttons to rebind it
+function setupBindingsPanel(input) {
+    const table = document.getElementById("bindings-table");
+    if (!table) return;
+    const name = (device, code) => device === "gamepad" ? `Button ${code}` : code;
+
+    function render() {
+        table.innerHTML = "";
+        INPUT_ACTIONS.forEach(action => {
+            const row = table.insertRow();
+            row.insertCell().textContent = action;
+            ["keyboard", "gamepad"].forEach(device => {
+                row.insertCell().textContent = input.bindings[device][action].map(code => name(device, code)).join(", ");
+                const button = row.insertCell().appendChild(document.createElement("button"));
+                button.textContent = device === "keyboard" ? "Set key" : "Set button";
+                button.addEventListener("click", () => {
+                    button.textContent = device === "keyboard" ? "Press a key..." : "Press a button...";
+                    input.captureBinding(device).then(code => {
+                        input.rebind(device, action, [code]);
+                        render();
+                    });
+                });
+            });
+        });
+    }
+
+    const reset = document.getElementById("reset-bindings");
+    if (reset) reset.addEventListener("click", () => {
+        input.resetBindings();
+        render();
+    });
+    render();
+}
+
+if (typeof window !== 'undefined') {
+    window.inputManager = new InputManager();
+    window.inputManager.attach();
+    setupBindingsPanel(window.inputManager);
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputManager, INPUT_ACTIONS, DEFAULT_BINDINGS };
+}
@@ -0,0 +1,235 @@
+"use strict";
+/**
+ * Law Fitter
+ * Measures the laws of motion from recorded trajectories: the player positions and
+ * velocities GameRecorder keeps for every moving step. It knows the shape of the laws
+ * (constant gravity, a jump impulse, a running speed, solid or deadly tiles) but not their
+ * values, and reports every fitted value with its error.
+ */
+
+// Fewest samples a fit is reported on
+const FIT_MIN_SAMPLES = { gravity: 20, jump: 2, xSpeed: 10, contacts: 5 };
+// Steps the same running key must have been held before its speed counts as steady
+// (long enough to turn around on slippery ground)
+const FIT_STEADY_STEPS = 60;
+// Steps between the two positions a running speed is measured over
+const FIT_SPEED_WINDOW = 10;
+// Distance in tiles at which the player counts as touching a tile
+const FIT_CONTACT = 0.05;
+
+class LawFitter {
+    /**
+     * @param {Object} options - { stepSize }
+     */
+    constructor(options = {}) {
+        this.stepSize = options.stepSize || FIXED_STEP;
+        this.playerSize = new Player(new Vector(0, 0)).size;
+    }
+
+    /**
+     * @param {Object} trajectory - { frames, attempts, events } as GameRecorder.trajectory() returns them
+     * @returns {Object} - { gravity, holdGravity, jump, xSpeed, wall, lava, lavaMotion }; a law without enough data is null
+     *   gravity, holdGravity: { value (units/s²), rmse (tiles per step), samples }
+     *   jump: { value (units/s), rmse (units/s), samples }
+     *   xSpeed: { value (units/s), drift (units/s), reversed, rmse (units/s), samples }
+     *   wall, lava: { contacts, overlaps, deaths }
+     *   lavaMotion: { ch: { value (tiles/s), axis, directions, blocks, samples } } for each kind of moving lava seen
+     */
+    fit(trajectory) {
+        const runs = this.runs(trajectory.frames || [], trajectory.attempts || []);
+        const deaths = (trajectory.events || []).filter(e => e.type === 'death' || e.type === 'rewind');
+        const { free, hold } = this.fitGravity(runs);
+        return {
+            gravity: free,
+            holdGravity: hold,
+            jump: this.fitJump(runs),
+            xSpeed: this.fitSpeed(runs),
+            wall: this.contacts(runs, trajectory.attempts || [], "x", []),
+            lava: this.contacts(runs, trajectory.attempts || [], "!", deaths.filter(e => (e.data && e.data.cause || 'static_lava') === 'static_lava')),
+            lavaMotion: LawFitter.lavaMotion(trajectory.events || [])
+        };
+    }
+
+    // Moving lava is only recorded up close: deaths, rewinds and near misses carry the velocity of
+    // the block and its start cell. Per kind: the axis it moves along, its mean speed on that axis,
+    // the directions seen (-1, 1), and how many different blocks were seen.
+    static lavaMotion(events) {
+        const sightings = {};
+        events.forEach(e => {
+            if (!['death', 'rewind', 'near_miss'].includes(e.type) || !e.data || !e.data.speed || !e.data.ch) return;
+            (sightings[e.data.ch] = sightings[e.data.ch] || []).push(e.data);
+        });
+        const motion = {};
+        Object.keys(sightings).forEach(ch => {
+            const seen = sightings[ch];
+            const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+            const axis = mean(seen.map(d => Math.abs(d.speed.x))) >= mean(seen.map(d => Math.abs(d.speed.y))) ? 'x' : 'y';
+            motion[ch] = {
+                value: mean(seen.map(d => Math.abs(d.speed[axis]))),
+                axis: axis,
+                directions: [-1, 1].filter(sign => seen.some(d => Math.sign(d.speed[axis]) === sign)),
+                blocks: new Set(seen.map(d => d.origin ? `${d.origin.x},${d.origin.y}` : "")).size,
+                samples: seen.length
+            };
+        });
+        return motion;
+    }
+
+    // Splits the frames into runs of consecutive steps, broken by attempts, rewinds and gaps.
+    // Frames after the level ended (the player sinking into lava) are left out.
+    runs(frames, attempts) {
+        const runs = [];
+        let run = null;
+        frames.forEach(frame => {
+            if (!frame.pos || !frame.vel) return; // Recorded before velocities were kept
+            if (frame.status) {
+                run = null;
+                return;
+            }
+            const attempt = attempts[frame.attempt];
+            const rewound = attempt && (attempt.rewinds || []).some(r => r.step === frame.step - 1);
+            const last = run && run.frames[run.frames.length - 1];
+            if (!last || last.attempt !== frame.attempt || last.step !== frame.step - 1 || rewound) {
+                run = { attempt: frame.attempt, plan: attempt ? attempt.plan : null, frames: [] };
+                runs.push(run);
+            }
+            run.frames.push(frame);
+        });
+        return runs;
+    }
+
+    // Consecutive frame pairs of every run
+    pairs(runs, fn) {
+        runs.forEach(run => {
+            for (let i = 1; i < run.frames.length; i++) fn(run.frames[i - 1], run.frames[i]);
+        });
+    }
+
+    // --- GRAVITY ---
+    // In the air the vertical speed grows by g every second. Pairs where the player lands,
+    // jumps or bumps a ceiling do not follow that and are dropped as outliers. Rising with
+    // jump held is fitted on its own, since some worlds treat it differently.
+    fitGravity(runs) {
+        const free = [], hold = [];
+        this.pairs(runs, (a, b) => {
+            if (a.state !== "jump" || b.state !== "jump") return;
+            const sample = { a: a, b: b, accel: (b.vel.y - a.vel.y) / this.stepSize };
+            (b.input.up && a.vel.y < 0 ? hold : free).push(sample);
+        });
+        return { free: this.fitAcceleration(free), hold: this.fitAcceleration(hold) };
+    }
+
+    fitAcceleration(samples) {
+        const inliers = this.inliers(samples, s => s.accel);
+        if (inliers.length < FIT_MIN_SAMPLES.gravity) return null;
+        const g = mean(inliers.map(s => s.accel));
+        // Error of the position one step ahead, predicted the way the simulation integrates
+        const rmse = Math.sqrt(mean(inliers.map(({ a, b }) => {
+            const predicted = a.pos.y + (a.vel.y + g * this.stepSize) * this.stepSize;
+            return Math.pow(b.pos.y - predicted, 2);
+        })));
+        return { value: g, rmse: rmse, samples: inliers.length };
+    }
+
+    // --- JUMP ---
+    // A jump turns a resting vertical speed into an upward one in a single step
+    fitJump(runs) {
+        const samples = [];
+        runs.forEach(run => run.frames.forEach((frame, i) => {
+            const before = run.frames[i - 1];
+            // An unrecorded step before means the player was at rest
+            if (frame.input.up && frame.vel.y < -1 && (!before || Math.abs(before.vel.y) < 0.01)) samples.push(-frame.vel.y);
+        }));
+        const inliers = this.inliers(samples, v => v);
+        if (inliers.length < FIT_MIN_SAMPLES.jump) return null;
+        const value = mean(inliers);
+        return { value: value, rmse: Math.sqrt(mean(inliers.map(v => Math.pow(v - value, 2)))), samples: inliers.length };
+    }
+
+    // --- RUNNING ---
+    // Speed over the ground while one running key has been held for a while, measured from
+    // positions, so a drift that is not the player's own (such as wind) shows up as well.
+    fitSpeed(runs) {
+        const right = [], left = [];
+        runs.forEach(run => {
+            let held = 0;
+            run.frames.forEach((frame, i) => {
+                const key = frame.input.right && !frame.input.left ? "right" : frame.input.left && !frame.input.right ? "left" : null;
+                const previous = run.frames[i - 1];
+                const same = previous && key && previous.input.right === frame.input.right && previous.input.left === frame.input.left;
+                held = same ? held + 1 : key ? 1 : 0;
+                if (held < FIT_STEADY_STEPS || i < FIT_SPEED_WINDOW) return;
+                const speed = (frame.pos.x - run.frames[i - FIT_SPEED_WINDOW].pos.x) / (FIT_SPEED_WINDOW * this.stepSize);
+                (key === "right" ? right : left).push(speed);
+            });
+        });
+
+        // Pressing into a wall gives no motion at all; those windows are not running
+        const moving = samples => this.inliers(samples.filter(v => Math.abs(v) > 0.5), v => v);
+        const r = moving(right), l = moving(left);
+        if (r.length + l.length < FIT_MIN_SAMPLES.xSpeed) return null;
+
+        const vr = r.length > 0 ? mean(r) : null, vl = l.length > 0 ? mean(l) : null;
+        // Right and left share the speed and the drift: vr = drift + speed, vl = drift - speed
+        // (signs swapped when reversed). With one direction only, drift cannot be told apart.
+        const both = vr != null && vl != null;
+        const speed = both ? Math.abs(vr - vl) / 2 : Math.abs(vr != null ? vr : vl);
+        const drift = both ? (vr + vl) / 2 : 0;
+        const reversed = both ? vr < vl : vr != null ? vr < 0 : vl > 0;
+        const sign = reversed ? -1 : 1;
+        const residuals = r.map(v => v - (drift + sign * speed)).concat(l.map(v => v - (drift - sign * speed)));
+        return {
+            value: speed,
+            drift: drift,
+            reversed: reversed,
+            rmse: Math.sqrt(mean(residuals.map(e => e * e))),
+            samples: residuals.length
+        };
+    }
+
+    // --- COLLISION ---
+    // Frames where the player's box touches a tile of the kind, and frames where it is
+    // inside one; a tile that is never entered stops the player.
+    contacts(runs, attempts, ch, deaths) {
+        let contacts = 0, overlaps = 0;
+        runs.forEach(run => {
+            if (!run.plan) return;
+            run.frames.forEach(frame => {
+                if (this.touches(run.plan, frame.pos, -FIT_CONTACT, ch)) overlaps++;
+                else if (this.touches(run.plan, frame.pos, FIT_CONTACT, ch)) contacts++;
+            });
+        });
+        if (contacts + overlaps < FIT_MIN_SAMPLES.contacts && deaths.length === 0) return null;
+        return { contacts: contacts, overlaps: overlaps, deaths: deaths.length };
+    }
+
+    // Whether the player's box, grown by margin on every side, covers a tile ch of the plan
+    touches(plan, pos, margin, ch) {
+        const x0 = Math.floor(pos.x - margin), x1 = Math.ceil(pos.x + this.playerSize.x + margin);
+        const y0 = Math.floor(pos.y - margin), y1 = Math.ceil(pos.y + this.playerSize.y + margin);
+        for (let y = Math.max(0, y0); y < Math.min(plan.length, y1); y++) {
+            for (let x = Math.max(0, x0); x < x1; x++) {
+                if (plan[y][x] === ch) return true;
+            }
+        }
+        return false;
+    }
+
+    // Drops the samples far from the median, such as landings among falling steps
+    inliers(samples, value) {
+        if (samples.length === 0) return [];
+        const sorted = samples.map(value).sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const tolerance = Math.max(1, Math.abs(median) * 0.1);
+        return samples.filter(s => Math.abs(value(s) - median) <= tolerance);
+    }
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LawFitter };
+}
@@ -0,0 +1,382 @@
+"use strict";
+/**
+ * Level Chunks
+ * Levels composed from small sections: platforms, gaps, staircases, lava moats, coin arches,
+ * towers, cave ceilings and moving lava corridors. Every chunk declares the ground heights it
+ * can start from and how far it rises, so the composer can chain them without seams. A level
+ * style (horizontal run, vertical climb, cavern) is a size and a weighted mix of chunks.
+ *
+ * Other scripts add their own chunks with registerChunk() once this file is loaded.
+ */
+
+// Heights count up from the bottom row (0). Ground height g means the cells from 0 to g - 1
+// of a column are solid and the player stands at height g.
+const CHUNK_START_WIDTH = 6; // Flat ground the player starts on
+const CHUNK_END_WIDTH = 4; // Flat ground before the end wall, with the last coin
+const CHUNK_MAX_WIDTH = 20; // Widest a chunk may be; the canvas leaves this much room past the level
+const CAVERN_HEADROOM = 6; // Rows between the ground and the ceiling of a cavern
+
+// Whole-level styles. minTier: lowest difficulty tier the style is chosen at; rise: the
+// rises between chunks the style allows, e.g. a climb never goes down; ceiling: the
+// composer closes the level off with a ceiling above the path.
+const LEVEL_STYLES = {
+    run: {
+        label: "Horizontal run", minTier: 1, rise: [-Infinity, Infinity], ceiling: false,
+        width: knobs => knobs.levelLength,
+        height: () => 15
+    },
+    climb: {
+        label: "Vertical climb", minTier: 2, rise: [0, Infinity], ceiling: false,
+        width: knobs => Math.max(20, Math.round(knobs.levelLength / 2)),
+        height: knobs => 15 + Math.round(knobs.levelLength / 4)
+    },
+    cavern: {
+        label: "Cavern", minTier: 3, rise: [-2, 2], ceiling: true,
+        width: knobs => knobs.levelLength,
+        height: () => 15
+    }
+};
+
+// Registered chunks, by name, in registration order
+const LEVEL_CHUNKS = new Map();
+
+/**
+ * Adds a chunk the composer can place, or replaces the one with the same name.
+ * @param {Object} chunk - {
+ *     name, label,
+ *     styles: { style: weight } - how often it is picked in each style (0 or missing: never)
+ *     entry: [lowest, highest] - ground heights it can start from (default: any)
+ *     rise: [min, max] or knobs => [min, max] - exit height minus entry height
+ *     headroom: free rows it needs above the higher of the two (default 4)
+ *     when: knobs => boolean - whether it fits the difficulty (default: always)
+ *     limit: knobs => number - most uses in one level (default: no limit)
+ *     hazard: death cause it tests ('fell', 'static_lava', 'moving_lava'), if any
+ *     build(canvas, { x, entry, exit, knobs, random }) -> width
+ *   }
+ *   build draws columns x onwards on the ChunkCanvas. The player arrives standing at the entry
+ *   height on column x - 1 and leaves onto column x + width, where the next chunk starts at the exit height.
+ * @returns {Object} - The chunk, with its defaults filled in
+ */
+function registerChunk(chunk) {
+    if (!chunk || !chunk.name) throw new Error("A chunk needs a name.");
+    if (typeof chunk.build !== 'function') throw new Error(`Chunk ${chunk.name} has no build function.`);
+    if (!chunk.rise) throw new Error(`Chunk ${chunk.name} does not declare its rise.`);
+    const registered = {
+        label: chunk.name,
+        styles: {},
+        entry: [1, Infinity],
+        headroom: 4,
+        when: () => true,
+        limit: () => Infinity,
+        hazard: null,
+        ...chunk
+    };
+    LEVEL_CHUNKS.set(registered.name, registered);
+    return registered;
+}
+
+// Grid the chunks are drawn on, addressed by column and height
+class ChunkCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.cells = [];
+        for (let y = 0; y < height; y++) this.cells.push(" ".repeat(width).split(""));
+    }
+
+    set(x, h, ch) {
+        if (x >= 0 && x < this.width && h >= 0 && h < this.height) this.cells[this.height - 1 - h][x] = ch;
+    }
+
+    get(x, h) {
+        return x >= 0 && x < this.width && h >= 0 && h < this.height ? this.cells[this.height - 1 - h][x] : "x";
+    }
+
+    // Solid from the bottom up to ground height g
+    ground(x, g) {
+        for (let h = 0; h < g; h++) this.set(x, h, "x");
+    }
+
+    // Solid from height h up to the top, leaving whatever was drawn there
+    ceiling(x, h) {
+        for (let y = Math.max(0, h); y < this.height; y++) {
+            if (this.get(x, y) === " ") this.set(x, y, "x");
+        }
+    }
+
+    // Level plan of the first `width` columns
+    plan(width) {
+        return this.cells.map(row => row.slice(0, width).join(""));
+    }
+}
+
+// Exit heights the chunk can reach from ground height g within the style and the level
+function chunkExits(chunk, style, g, height, knobs) {
+    if (g < chunk.entry[0] || g > chunk.entry[1]) return [];
+    const rise = typeof chunk.rise === 'function' ? chunk.rise(knobs) : chunk.rise;
+    const exits = [];
+    for (let r = Math.max(rise[0], style.rise[0]); r <= Math.min(rise[1], style.rise[1]); r++) {
+        const exit = g + r;
+        if (exit >= 1 && Math.max(g, exit) + chunk.headroom < height) exits.push(exit);
+    }
+    return exits;
+}
+
+// Chunk weights of a style, before the agent adjusts them
+function styleWeights(styleName) {
+    const weights = {};
+    LEVEL_CHUNKS.forEach(chunk => {
+        if (chunk.styles[styleName]) weights[chunk.name] = chunk.styles[styleName];
+    });
+    return weights;
+}
+
+/**
+ * Composes a level from chunks, left to right, until it is as wide as the style asks.
+ * @param {string} styleName - Key of LEVEL_STYLES
+ * @param {Object} knobs - Generator knobs (see GENERATOR_KNOBS)
+ * @param {Function} random - PRNG from createRandom(seed)
+ * @param {Object} weights - { chunk name: weight }, styleWeights(styleName) by default
+ * @returns {Object} - { plan, chunks } where chunks lists the name of every chunk placed, in order
+ */
+function composeLevel(styleName, knobs, random, weights = null) {
+    const style = LEVEL_STYLES[styleName];
+    if (!style) throw new Error(`Unknown level style: ${styleName}`);
+    const width = style.width(knobs);
+    const height = style.height(knobs);
+    const mix = weights || styleWeights(styleName);
+    const canvas = new ChunkCanvas(width + CHUNK_MAX_WIDTH + CHUNK_END_WIDTH, height);
+    const sections = []; // { x, width, entry, exit } of every stretch of the level, for the ceiling
+    const used = {};
+
+    let ground = 1;
+    let x = 1;
+    for (; x < CHUNK_START_WIDTH; x++) canvas.ground(x, ground);
+    sections.push({ x: 0, width: x, entry: ground, exit: ground });
+
+    while (x < width - CHUNK_END_WIDTH) {
+        const options = [];
+        LEVEL_CHUNKS.forEach(chunk => {
+            const weight = mix[chunk.name] || 0;
+            if (weight <= 0 || !chunk.when(knobs) || (used[chunk.name] || 0) >= chunk.limit(knobs)) return;
+            const exits = chunkExits(chunk, style, ground, height, knobs);
+            if (exits.length > 0) options.push({ chunk: chunk, weight: weight, exits: exits });
+        });
+        if (options.length === 0) break;
+
+        let pick = random() * options.reduce((sum, option) => sum + option.weight, 0);
+        const option = options.find(o => (pick -= o.weight) < 0) || options[options.length - 1];
+        const exit = option.exits[Math.floor(random() * option.exits.length)];
+        const chunkWidth = Math.min(CHUNK_MAX_WIDTH, option.chunk.build(canvas, { x: x, entry: ground, exit: exit, knobs: knobs, random: random }));
+        sections.push({ x: x, width: chunkWidth, entry: ground, exit: exit, chunk: option.chunk.name });
+        used[option.chunk.name] = (used[option.chunk.name] || 0) + 1;
+        x += chunkWidth;
+        ground = exit;
+    }
+
+    // Flat ground to the end wall, with the last coin, so every level has one to finish on
+    const end = x + CHUNK_END_WIDTH;
+    for (; x < end; x++) canvas.ground(x, ground);
+    canvas.set(end - 2, ground, "o");
+    sections.push({ x: end - CHUNK_END_WIDTH, width: CHUNK_END_WIDTH, entry: ground, exit: ground });
+
+    if (style.ceiling) {
+        sections.forEach(section => {
+            const h = Math.max(section.entry, section.exit) + CAVERN_HEADROOM + Math.floor(random() * 2);
+            for (let c = section.x; c < section.x + section.width; c++) canvas.ceiling(c, h);
+        });
+    }
+
+    for (let h = 0; h < height; h++) {
+        canvas.set(0, h, "x");
+        canvas.set(end, h, "x");
+    }
+    canvas.set(1, 1, "@");
+    return { plan: canvas.plan(end + 1), chunks: sections.filter(s => s.chunk).map(s => s.chunk) };
+}
+
+// --- BUILT-IN CHUNKS ---
+
+registerChunk({
+    name: "platform",
+    label: "Platform",
+    styles: { run: 4, climb: 2, cavern: 4 },
+    rise: [0, 0],
+    build(canvas, { x, entry, knobs, random }) {
+        const length = knobs.platformLength + Math.floor(random() * 4);
+        for (let i = 0; i < length; i++) {
+            canvas.ground(x + i, entry);
+            // Never on the first or last tile, where the player lands and takes off
+            if (i > 0 && i < length - 1 && knobs.lavaDensity > 0 && random() < knobs.lavaDensity) canvas.set(x + i, entry, "!");
+        }
+        if (random() < 0.5) canvas.set(x + length - 2, entry + 1, "o");
+        return length;
+    }
+});
+
+registerChunk({
+    name: "gap",
+    label: "Gap",
+    styles: { run: 4, climb: 2, cavern: 2 },
+    rise: knobs => [-knobs.heightVariance, knobs.heightVariance],
+    hazard: "fell",
+    build(canvas, { x, entry, exit, knobs, random }) {
+        let width = 2 + Math.floor(random() * (Math.max(2, knobs.gapWidth) - 1));
+        if (exit - entry > 1) width = Math.max(2, width - 1); // Jumping up, the player covers less ground
+        // A floor below catches the player until the gaps get wide
+        if (knobs.gapWidth <= 2 || random() < 0.5) {
+            for (let i = 0; i < width; i++) canvas.ground(x + i, 1);
+        }
+        // The landing, so two gaps in a row do not make one too wide to jump
+        canvas.ground(x + width, exit);
+        canvas.ground(x + width + 1, exit);
+        return width + 2;
+    }
+});
+
+registerChunk({
+    name: "staircase",
+    label: "Staircase",
+    styles: { run: 2, climb: 3, cavern: 1 },
+    rise: [-4, 4],
+    build(canvas, { x, entry, exit, random }) {
+        const steps = Math.abs(exit - entry);
+        const direction = Math.sign(exit - entry);
+        if (steps === 0) {
+            canvas.ground(x, entry);
+            canvas.ground(x + 1, entry);
+            return 2;
+        }
+        for (let i = 0; i < steps; i++) {
+            canvas.ground(x + 2 * i, entry + direction * (i + 1));
+            canvas.ground(x + 2 * i + 1, entry + direction * (i + 1));
+        }
+        if (random() < 0.5) canvas.set(x + 2 * steps - 1, exit + 1, "o");
+        return 2 * steps;
+    }
+});
+
+registerChunk({
+    name: "lava_moat",
+    label: "Lava moat",
+    styles: { run: 2, climb: 1, cavern: 2 },
+    rise: [0, 0],
+    hazard: "static_lava",
+    when: knobs => knobs.lavaDensity > 0,
+    build(canvas, { x, entry, knobs, random }) {
+        const width = 2 + Math.floor(random() * (Math.min(4, Math.max(2, knobs.gapWidth)) - 1));
+        // A bank on either side to jump from and land on, whatever comes before and after
+        canvas.ground(x, entry);
+        for (let i = 1; i <= width; i++) {
+            canvas.ground(x + i, entry - 1);
+            canvas.set(x + i, entry - 1, "!");
+        }
+        canvas.ground(x + width + 1, entry);
+        return width + 2;
+    }
+});
+
+registerChunk({
+    name: "coin_arch",
+    label: "Coin arch",
+    styles: { run: 1, climb: 1, cavern: 1 },
+    rise: [0, 0],
+    headroom: 5,
+    build(canvas, { x, entry, random }) {
+        const width = 5 + Math.floor(random() * 3);
+        for (let i = 0; i < width; i++) canvas.ground(x + i, entry);
+        for (let i = 1; i < width - 1; i++) {
+            canvas.set(x + i, entry + 1 + Math.round(2 * Math.sin(Math.PI * i / (width - 1))), "o");
+        }
+        return width;
+    }
+});
+
+// A shaft of short ledges, alternately on the right and the left, ending level with the next chunk
+registerChunk({
+    name: "tower",
+    label: "Tower",
+    styles: { climb: 5 },
+    rise: [4, 8],
+    build(canvas, { x, entry, exit }) {
+        const width = 6;
+        for (let i = 0; i < width; i++) canvas.ground(x + i, entry);
+        const ledges = Math.ceil((exit - entry) / 2);
+        for (let i = 1; i <= ledges; i++) {
+            const h = entry + Math.round((exit - entry) * i / ledges) - 1;
+            const right = (ledges - i) % 2 === 0;
+            const from = right ? x + 3 : x + 1;
+            const to = right ? x + width - 1 : x + 2;
+            for (let c = from; c <= to; c++) canvas.set(c, h, "x");
+        }
+        return width;
+    }
+});
+
+registerChunk({
+    name: "cave_ceiling",
+    label: "Cave ceiling",
+    styles: { run: 1, cavern: 3 },
+    rise: [0, 0],
+    headroom: 6,
+    build(canvas, { x, entry, random }) {
+        const width = 6 + Math.floor(random() * 4);
+        for (let i = 0; i < width; i++) {
+            canvas.ground(x + i, entry);
+            canvas.ceiling(x + i, entry + 4);
+            // Stalactites leave room to walk under, not to jump
+            if (i > 0 && i < width - 1 && random() < 0.3) canvas.set(x + i, entry + 3, "x");
+        }
+        canvas.set(x + Math.floor(width / 2), entry, "o");
+        return width;
+    }
+});
+
+// Moving lava. The moving hazards knob counts the blocks: sliding lanes come first, the
+// corridors join them from two blocks on. LevelSolver.checkTiming makes sure each can be got past.
+
+// A lane between two low walls with a block of lava sliding back and forth along it
+registerChunk({
+    name: "lava_lane",
+    label: "Sliding lava lane",
+    styles: { run: 2, climb: 1, cavern: 2 },
+    rise: [0, 0],
+    hazard: "moving_lava",
+    when: knobs => knobs.movingHazards > 0,
+    limit: knobs => Math.ceil(knobs.movingHazards / 2),
+    build(canvas, { x, entry, random }) {
+        const length = 5 + Math.floor(random() * 3);
+        for (let i = 0; i < length + 2; i++) canvas.ground(x + i, entry);
+        canvas.set(x, entry, "x");
+        canvas.set(x + length + 1, entry, "x");
+        canvas.set(x + 1 + Math.floor(random() * length), entry, "=");
+        return length + 2;
+    }
+});
+
+// A low corridor with one block of moving lava: dripping from the ceiling or bouncing up and down
+registerChunk({
+    name: "lava_corridor",
+    label: "Moving lava corridor",
+    styles: { run: 1, climb: 1, cavern: 2 },
+    rise: [0, 0],
+    headroom: 6,
+    hazard: "moving_lava",
+    when: knobs => knobs.movingHazards > 1,
+    limit: knobs => Math.floor(knobs.movingHazards / 2),
+    build(canvas, { x, entry, random }) {
+        const width = 7;
+        for (let i = 0; i < width; i++) {
+            canvas.ground(x + i, entry);
+            canvas.ceiling(x + i, entry + 5);
+        }
+        if (random() < 0.5) canvas.set(x + 3, entry + 4, "v");
+        else canvas.set(x + 3, entry + 2, "|");
+        return width;
+    }
+});
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LEVEL_CHUNKS, LEVEL_STYLES, ChunkCanvas, registerChunk, styleWeights, composeLevel };
+}
@@ -0,0 +1,282 @@
+"use strict";
+/**
+ * Level Solver
+ * Proves that a level plan can be finished before it is handed to the player.
+ */
+
+// --- REACHABILITY SOLVER ---
+// Searches over held inputs using the real Player movement code (moveX/moveY),
+// so the level's physics (the constants in game_core.js, or its physics profile)
+// are the only source of truth for what a jump can reach.
+const SOLVER_ACTIONS = [
+    { left: false, right: true, up: false },
+    { left: false, right: true, up: true },
+    { left: false, right: false, up: true },
+    { left: true, right: false, up: true },
+    { left: true, right: false, up: false },
+    { left: false, right: false, up: false }
+];
+
+// --- MOVING LAVA TIMING ---
+// The solver cannot see moving lava, so each block is also checked against the clock
+const TIMING_CYCLE = 6; // Seconds of the block's motion the player may set off in
+const TIMING_START_EVERY = 0.1; // Seconds between the moments tried
+const TIMING_JUMP_DELAYS = [null, 0, 0.1, 0.2, 0.3, 0.45, 0.6, 0.8, 1]; // Seconds from setting off to holding jump; null never jumps
+const TIMING_MAX_CROSSING = 3; // Seconds the player gets to clear the stretch the block sweeps
+
+// Cells around the farthest spot reached that repair tries for a replacement coin
+const REPAIR_COIN_RADIUS = 3;
+
+class LevelSolver {
+    constructor(options = {}) {
+        this.step = options.step || null; // Defaults to FIXED_STEP, the step the game plays at
+        this.holdSteps = options.holdSteps || 9; // Physics steps each input is held for (0.15s at FIXED_STEP)
+        this.maxStates = options.maxStates || 60000; // Search budget
+    }
+
+    /**
+     * Checks that every coin can be reached from the player start without touching lava.
+     * Coins do not change the physics, so one search from '@' covers all of them.
+     * @param {Array<string>} plan - Level plan (array of strings)
+     * @param {string} physics - Physics profile the level is played under, if any
+     * @returns {Object} - { solvable, reason, coinCount, unreachableCoins, farthest, explored, exhausted }
+     *   exhausted: the search budget ran out first, so the coins not reached are not known to be unreachable
+     *   and unreachableCoins stays empty
+     */
+    solve(plan, physics = null) {
+        const level = new Level(plan, { physics: physics });
+        const result = {
+            solvable: false,
+            reason: "",
+            coinCount: 0,
+            unreachableCoins: [],
+            farthest: null,
+            explored: 0,
+            exhausted: false
+        };
+
+        if (!level.player) {
+            result.reason = "Plan has no player start '@'.";
+            return result;
+        }
+
+        const coins = level.actors.filter(actor => actor.type == "coin");
+        result.coinCount = coins.length;
+        if (coins.length == 0) {
+            result.reason = "Plan has no coins 'o', so the level can never be won.";
+            return result;
+        }
+
+        const remaining = this.search(level, coins, result);
+        result.solvable = remaining.length == 0;
+        if (result.exhausted) {
+            result.reason = `The search ran out of its ${this.maxStates} states before reaching ${remaining.length} of ${result.coinCount} coins.`;
+            return result;
+        }
+        result.unreachableCoins = remaining.map(coin => ({
+            x: Math.floor(coin.basePos.x),
+            y: Math.floor(coin.basePos.y)
+        }));
+        if (!result.solvable) {
+            const cells = result.unreachableCoins.map(c => `(${c.x}, ${c.y})`).join(", ");
+            result.reason = `${remaining.length} of ${result.coinCount} coins cannot be reached without touching lava: ${cells}.`;
+        }
+        return result;
+    }
+
+    // Breadth-first search from the player start. Returns the coins that were never touched.
+    search(level, coins, result) {
+        const size = level.player.size;
+        const step = this.step || FIXED_STEP;
+        // Horizontal speed only carries over between inputs when it builds up gradually
+        const carrySpeed = !!level.physics.acceleration;
+        const start = { x: level.player.pos.x, y: level.player.pos.y, vx: 0, vy: 0 };
+        const visited = new Set([this.stateKey(start)]);
+        const queue = [start];
+        const remaining = coins.slice();
+        let head = 0;
+        result.farthest = start;
+
+        // Probe level: real collision checks, but lava only marks the branch as dead
+        let touchedLava = false;
+        const probe = Object.create(level);
+        probe.playerTouched = function (type) {
+            if (type == "lava") touchedLava = true;
+        };
+
+        while (head < queue.length && visited.size < this.maxStates && remaining.length > 0) {
+            const state = queue[head++];
+
+            for (const keys of SOLVER_ACTIONS) {
+                const body = {
+                    pos: new Vector(state.x, state.y),
+                    size: size,
+                    speed: new Vector(state.vx, state.vy)
+                };
+                touchedLava = false;
+
+                for (let i = 0; i < this.holdSteps && !touchedLava; i++) {
+                    Player.prototype.moveX.call(body, step, probe, keys);
+                    Player.prototype.moveY.call(body, step, probe, keys);
+                    for (let c = remaining.length - 1; c >= 0; c--) {
+                        if (this.coinTouched(body, remaining[c])) remaining.splice(c, 1);
+                    }
+                }
+                if (touchedLava) continue;
+
+                const next = { x: body.pos.x, y: body.pos.y, vx: carrySpeed ? body.speed.x : 0, vy: body.speed.y };
+                if (next.vy == 0 && next.x > result.farthest.x) result.farthest = next; // Farthest standing spot
+
+                const key = this.stateKey(next);
+                if (!visited.has(key)) {
+                    visited.add(key);
+                    queue.push(next);
+                }
+            }
+        }
+        result.explored = visited.size;
+        // States were left to explore, so the coins not touched may yet be reachable
+        result.exhausted = remaining.length > 0 && head < queue.length;
+        return remaining;
+    }
+
+    /**
+     * Checks that every block of moving lava ('=', '|', 'v') can be got past. Each block is
+     * followed through TIMING_CYCLE seconds of its motion, and the player sets off running from
+     * the ground just before the stretch it sweeps at every moment of it, jumping after one of a
+     * few delays or not at all. A block is passable when one of those runs clears the stretch.
+     * @param {Array<string>} plan - Level plan (array of strings)
+     * @param {string} physics - Physics profile the level is played under, if any
+     * @returns {Object} - { passable, reason, checked, blocked } where blocked lists the start cells
+     *   { x, y, ch } of the blocks no run got past
+     */
+    checkTiming(plan, physics = null) {
+        const level = new Level(plan, { physics: physics });
+        const blocks = level.actors.filter(actor => actor.type == "lava");
+        const blocked = blocks.filter(lava => !this.lavaPassable(level, lava))
+            .map(lava => ({ x: Math.floor(lava.origin.x), y: Math.floor(lava.origin.y), ch: lava.ch }));
+        const cells = blocked.map(b => `'${b.ch}' at (${b.x}, ${b.y})`).join(", ");
+        return {
+            passable: blocked.length == 0,
+            reason: blocked.length > 0 ? `${blocked.length} of ${blocks.length} moving lava blocks cannot be got past: ${cells}.` : "",
+            checked: blocks.length,
+            blocked: blocked
+        };
+    }
+
+    lavaPassable(level, lava) {
+        const step = this.step || FIXED_STEP;
+        const size = new Player(new Vector(0, 0)).size;
+        // Where the block is at every step, and the stretch it sweeps
+        const block = Lava.deserialize(lava.serialize());
+        const trace = [];
+        for (let t = 0; t < TIMING_CYCLE + TIMING_MAX_CROSSING; t += step) {
+            trace.push(block.pos);
+            block.act(step, level);
+        }
+        const left = Math.min(...trace.map(pos => pos.x));
+        const right = Math.max(...trace.map(pos => pos.x)) + block.size.x;
+
+        // Standing spot: the first floor below the block, two columns before its stretch.
+        // The player runs right across it, which takes Left when the controls are reversed.
+        const reversed = !!level.physics.reversed;
+        const column = Math.floor(left) - 2;
+        if (column < 0 || column >= level.width) return true;
+        let y = Math.floor(Math.min(...trace.map(pos => pos.y)));
+        while (y < level.height && level.grid[y][column]) y++;
+        while (y < level.height && !level.grid[y][column]) y++;
+        if (y >= level.height) return true; // Nowhere to stand: the layout is the solver's concern
+        const start = new Vector(column + 0.1, y - size.y);
+        const cleared = pos => pos.x > right;
+
+        let touchedLava = false;
+        const probe = Object.create(level);
+        probe.playerTouched = function (type) {
+            if (type == "lava") touchedLava = true;
+        };
+        const maxSteps = Math.round(TIMING_MAX_CROSSING / step);
+        for (let from = 0; from * step < TIMING_CYCLE; from += Math.round(TIMING_START_EVERY / step)) {
+            for (const delay of TIMING_JUMP_DELAYS) {
+                const body = { pos: new Vector(start.x, start.y), size: size, speed: new Vector(0, 0) };
+                touchedLava = false;
+                for (let i = 0; i < maxSteps && !touchedLava; i++) {
+                    const keys = { left: reversed, right: !reversed, up: delay != null && i * step >= delay };
+                    Player.prototype.moveX.call(body, step, probe, keys);
+                    Player.prototype.moveY.call(body, step, probe, keys);
+                    if (this.overlaps(body, trace[from + i + 1], block.size)) touchedLava = true;
+                    else if (cleared(body.pos)) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    coinTouched(body, coin) {
+        return this.overlaps(body, coin.basePos, coin.size);
+    }
+
+    overlaps(body, pos, size) {
+        return body.pos.x + body.size.x > pos.x &&
+            body.pos.x < pos.x + size.x &&
+            body.pos.y + body.size.y > pos.y &&
+            body.pos.y < pos.y + size.y;
+    }
+
+    // States closer than the bucket size are treated as the same state
+    stateKey(state) {
+        return `${Math.round(state.x * 4)},${Math.round(state.y * 4)},${Math.round(state.vx / 2)},${Math.round(state.vy / 4)}`;
+    }
+
+    /**
+     * Makes an unsolvable plan finishable by removing the coins the solver could not reach,
+     * and the moving lava checkTiming found no way past.
+     * If no coin is left, one is placed in the empty cell nearest the farthest point the player
+     * can reach that the solver confirms can be collected; if there is none, the plan keeps no coin
+     * and the caller has to fall back on another level.
+     * A search that ran out of budget proved nothing unreachable, so its plan is left as it is.
+     * @param {Array<string>} plan - Level plan (array of strings)
+     * @param {Object} check - Result of solve(plan)
+     * @param {Object} timing - Result of checkTiming(plan), if it was run
+     * @param {string} physics - Physics profile the level is played under, if any
+     * @returns {Array<string>} - Repaired plan
+     */
+    repair(plan, check, timing = null, physics = null) {
+        if (check.exhausted) return plan;
+        const grid = plan.map(row => row.split(""));
+        (timing ? timing.blocked : []).forEach(b => {
+            grid[b.y][b.x] = " ";
+        });
+        check.unreachableCoins.forEach(c => {
+            grid[c.y][c.x] = " ";
+        });
+
+        if (check.unreachableCoins.length == check.coinCount && check.farthest) {
+            const coin = this.placeCoin(grid, check.farthest, physics);
+            if (coin) return coin;
+        }
+        return grid.map(row => row.join(""));
+    }
+
+    // Plan with a coin in the empty cell nearest spot that the solver can reach, or null
+    placeCoin(grid, spot, physics) {
+        const cx = Math.floor(spot.x + 0.4);
+        const cy = Math.floor(spot.y + 0.75);
+        const cells = [];
+        for (let y = cy - REPAIR_COIN_RADIUS; y <= cy + REPAIR_COIN_RADIUS; y++) {
+            for (let x = cx - REPAIR_COIN_RADIUS; x <= cx + REPAIR_COIN_RADIUS; x++) {
+                if (grid[y] && grid[y][x] == " ") cells.push({ x: x, y: y, distance: Math.abs(x - cx) + Math.abs(y - cy) });
+            }
+        }
+        cells.sort((a, b) => a.distance - b.distance);
+        for (const cell of cells) {
+            const plan = grid.map((row, y) => y == cell.y ? row.map((ch, x) => x == cell.x ? "o" : ch).join("") : row.join(""));
+            if (this.solve(plan, physics).solvable) return plan;
+        }
+        return null;
+    }
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelSolver };
+}
@@ -0,0 +1,28 @@
+"use strict";
+// create game levels here
+var GAME_LEVELS = [
+  [
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                                ",
+    "                                                                      xxx       ",
+    "                                                     xx      xx      xx!xx      ",
+    "                                      o o      xx    xx!xx   xrx    xx!xx       ",
+    "               @              xx     xxxxx     xx!xx xx!xx   xrx    xx!xx       ",
+    "             xxxx            xxxx   xxxxxxx    xx!xx xx!xx   xrx    xx!xx       ",
+    "xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx",
+    "xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx"
+  ]
+];
+
+// Node loads this file with require(); in the browser GAME_LEVELS is a global.
+if (typeof module != "undefined" && module.exports) {
+  module.exports = { GAME_LEVELS: GAME_LEVELS };
+}
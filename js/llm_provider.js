@@ -0,0 +1,153 @@
+"use strict";
+/**
+ * LLM Providers
+ * Sends the World Model prompt to a language model and turns the reply into a level plan.
+ */
+
+// Characters a level plan may contain (see actorChars and the Level constructor)
+const LEVEL_GRID_CHARS = "x!o@=|v ";
+const LEVEL_GRID_LIMITS = { minWidth: 10, maxWidth: 200, minHeight: 5, maxHeight: 40 };
+
+// --- PROVIDER INTERFACE ---
+// A provider takes the prompt and resolves with the model's raw text reply.
+class LLMProvider {
+    /**
+     * @param {string} prompt - Full World Model prompt
+     * @returns {Promise<string>} - Raw reply text
+     */
+    async complete(prompt) {
+        throw new Error("LLMProvider.complete() is not implemented.");
+    }
+
+    // Short label for the reasoning panel
+    describe() {
+        return "LLM";
+    }
+}
+
+// Talks to any server implementing the OpenAI chat completions API
+// (llama.cpp, vLLM, Ollama, LM Studio, or tools/mock_llm_server.py).
+class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @param {Object} options - { endpoint, model, apiKey, timeoutMs, temperature }
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.endpoint) throw new Error("OpenAICompatibleProvider needs an endpoint URL.");
+        this.endpoint = options.endpoint;
+        this.model = options.model || "local-model";
+        this.apiKey = options.apiKey || null;
+        this.timeoutMs = options.timeoutMs || 20000;
+        this.temperature = options.temperature != null ? options.temperature : 0.7;
+    }
+
+    async complete(prompt) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: headers,
+                signal: controller.signal,
+                body: JSON.stringify({
+                    model: this.model,
+                    temperature: this.temperature,
+                    messages: [
+                        { role: "system", content: "You design 2D platformer levels as ASCII grids." },
+                        { role: "user", content: prompt }
+                    ]
+                })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const result = await response.json();
+            const content = result.choices && result.choices[0] && result.choices[0].message && result.choices[0].message.content;
+            if (typeof content !== 'string') throw new Error("Reply has no choices[0].message.content.");
+            return content;
+        } catch (e) {
+            if (e.name === 'AbortError') throw new Error(`Timed out after ${this.timeoutMs}ms`);
+            throw e;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    describe() {
+        return `${this.model} @ ${this.endpoint}`;
+    }
+}
+
+// --- REPLY PARSING ---
+
+/**
+ * Pulls the ASCII grid out of a model reply: the first fenced code block if there is one,
+ * otherwise the longest run of consecutive lines made only of level characters.
+ * @param {string} reply - Raw reply text
+ * @returns {Array<string>|null} - Rectangular grid rows, or null if none was found
+ */
+function extractLevelGrid(reply) {
+    const fence = /```[^\n]*\n([\s\S]*?)```/.exec(reply);
+    if (fence) {
+        const rows = fence[1].split(/\r?\n/);
+        while (rows.length > 0 && rows[rows.length - 1].trim() === "") rows.pop();
+        return rows.length > 0 ? normalizeLevelGrid(rows) : null;
+    }
+
+    // Rows of only spaces are sky, so they count as grid lines; empty lines end a run
+    const isGridLine = line => line.length > 0 && [...line].every(ch => LEVEL_GRID_CHARS.includes(ch));
+    let best = [];
+    let run = [];
+    reply.split(/\r?\n/).forEach(line => {
+        if (isGridLine(line)) {
+            run.push(line);
+            if (run.length > best.length && run.some(row => row.trim() !== "")) best = run.slice();
+        } else {
+            run = [];
+        }
+    });
+    return best.length > 0 ? normalizeLevelGrid(best) : null;
+}
+
+// Pads every row with spaces to the width of the longest one, so the plan is a rectangle
+function normalizeLevelGrid(rows) {
+    const width = Math.max(...rows.map(row => row.length));
+    return rows.map(row => row.padEnd(width, " "));
+}
+
+/**
+ * Checks that a grid can be loaded as a Level. Playability is checked separately by LevelSolver.
+ * @param {Array<string>} rows - Rectangular grid rows
+ * @returns {string|null} - Why the grid is invalid, or null if it is valid
+ */
+function validateLevelGrid(rows) {
+    const limits = LEVEL_GRID_LIMITS;
+    if (!rows || rows.length == 0) return "No ASCII grid found in the reply.";
+    if (rows.length < limits.minHeight || rows.length > limits.maxHeight)
+        return `Grid height ${rows.length} is outside ${limits.minHeight}-${limits.maxHeight}.`;
+    const width = rows[0].length;
+    if (width < limits.minWidth || width > limits.maxWidth)
+        return `Grid width ${width} is outside ${limits.minWidth}-${limits.maxWidth}.`;
+    if (rows.some(row => row.length != width)) return "Grid rows have different widths.";
+
+    const text = rows.join("");
+    const bad = [...text].find(ch => !LEVEL_GRID_CHARS.includes(ch));
+    if (bad) return `Grid contains unknown character '${bad}'.`;
+    const players = text.split("@").length - 1;
+    if (players != 1) return `Grid needs exactly one '@', found ${players}.`;
+    if (!text.includes("o")) return "Grid has no coins 'o'.";
+    return null;
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LLMProvider,
+        OpenAICompatibleProvider,
+        extractLevelGrid,
+        normalizeLevelGrid,
+        validateLevelGrid,
+        LEVEL_GRID_CHARS
+    };
+}
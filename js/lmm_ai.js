@@ -5,22 +5,99 @@
  */
 
 // --- TELEMETRY RECORDER ---
+// Frequent event types that are logged but not shown as dashboard cards
+const QUIET_EVENTS = ['jump_start', 'land'];
+// Recorded frames per upload chunk (about half a minute of movement)
+const RECORDER_CHUNK_FRAMES = 1800;
+
 class GameRecorder {
-    constructor() {
-        this.history = []; // Array of frame data
+    /**
+     * @param {Object} options - { quiet, upload, queue, rle }: quiet skips the console log of every
+     *   event (for batch tools); upload sends the session to the server in chunks while it is
+     *   recorded, through queue (an UploadQueue) when given; rle run-length encodes the level
+     *   plans in uploads and episodes (on unless false)
+     */
+    constructor(options = {}) {
+        this.quiet = !!options.quiet;
+        this.upload = !!options.upload;
+        this.queue = options.queue || null;
+        this.rle = options.rle !== false;
+        this.history = []; // Frames in the compact format of episode_codec.js
         this.startTime = 0;
         this.events = []; // Deaths, coin pickups, etc.
+        this.meta = {}; // Level index and seed needed to regenerate the episode
+        this.attempts = []; // Plan, seed and per-step input stream of every try, for exact replay
+        this.stepCount = 0; // Simulation steps recorded this session
+        this.levels = []; // Distinct plans of this session; uploads refer to them by index
+        this.rows = null; // Snapshot of the last recorded frame, which the next frame is diffed against
+        this.uploads = Promise.resolve(); // Chunk posts, one after the other
+        this.resetUpload();
     }
 
-    start() {
+    start(meta = {}) {
         this.history = [];
         this.events = [];
+        this.attempts = [];
+        this.stepCount = 0;
+        this.levels = [];
+        this.rows = null;
+        this.resetUpload();
+        this.meta = meta;
         this.startTime = Date.now();
-        console.log("[Recorder] Started recording session.");
+        if (!this.quiet) console.log("[Recorder] Started recording session.", meta);
+    }
+
+    // Called by runLevel when a try of the level begins and ends
+    beginAttempt(level) {
+        // devices lists { step, device } each time the device producing the input changes
+        // rewinds lists { step, state }: after that many inputs the level was restored to state
+        this.attempts.push({
+            plan: level.plan, seed: level.seed, physics: level.physicsProfile, inputs: "", devices: [], rewinds: [], status: null
+        });
+        this.rows = staticRows(level.plan);
+    }
+
+    levelIndex(plan) {
+        const key = plan.join("\n");
+        let index = this.levels.findIndex(other => other === plan || other.join("\n") === key);
+        if (index < 0) index = this.levels.push(plan) - 1;
+        return index;
+    }
+
+    // Called by runLevel in rewind mode, right after it restored the level to state
+    recordRewind(state) {
+        const attempt = this.currentAttempt();
+        if (attempt) attempt.rewinds.push({ step: attempt.inputs.length, state: state });
     }
 
-    // Called every frame
-    recordFrame(level, inputKeys) {
+    endAttempt(status) {
+        const attempt = this.currentAttempt();
+        if (attempt) attempt.status = status;
+    }
+
+    currentAttempt() {
+        return this.attempts[this.attempts.length - 1] || null;
+    }
+
+    // Position in the input stream: which attempt, and how many steps into it
+    cursor() {
+        const attempt = this.currentAttempt();
+        return {
+            attempt: this.attempts.length - 1,
+            step: attempt ? attempt.inputs.length : 0
+        };
+    }
+
+    // Called every simulation step. device is the input device in use ('keyboard', 'gamepad', 'touch'), or null
+    recordFrame(level, inputKeys, device = null) {
+        const attempt = this.currentAttempt();
+        if (attempt) {
+            const last = attempt.devices[attempt.devices.length - 1];
+            if (device && (!last || last.device !== device)) attempt.devices.push({ step: attempt.inputs.length, device: device });
+            attempt.inputs += encodeInput(inputKeys);
+        }
+        this.stepCount++;
+
         // Check for active input
         const hasInput = Object.values(inputKeys).some(k => k === true);
 
@@ -29,28 +106,44 @@ class GameRecorder {
         const isMoving = Math.abs(speed.x) > 0.01 || Math.abs(speed.y) > 0.01;
 
         if (hasInput || isMoving) {
+            // Only the cells that changed since the last frame; decodeEpisode rebuilds the rest
+            const rows = level.getSnapshot();
+            const actors = diffRows(this.rows || staticRows(level.plan), rows);
+            this.rows = rows;
             this.history.push({
-                t: Date.now() - this.startTime,
-                visual_state: level.getSnapshot(),
+                t: Math.round(this.stepCount * FIXED_STEP * 1000), // Simulated ms, not wall clock
+                ...this.cursor(),
+                actors: actors,
+                pos: { x: Math.round(level.player.pos.x * 100) / 100, y: Math.round(level.player.pos.y * 100) / 100 },
+                vel: { x: Math.round(speed.x * 100) / 100, y: Math.round(speed.y * 100) / 100 },
                 state: level.player.state,
-                input: { ...inputKeys }
+                input: { ...inputKeys },
+                device: device,
+                // Set on the frames after the level was won or lost, while it plays out
+                ...(level.status ? { status: level.status } : {})
             });
+            if (this.upload && this.history.length - this.sent.frames >= RECORDER_CHUNK_FRAMES) this.flush(false);
         }
     }
 
     logEvent(type, data) {
         this.events.push({
             t: Date.now() - this.startTime,
+            ...this.cursor(),
             type: type,
             data: data
         });
-        console.log(`[Recorder] Event: ${type}`, data);
+        if (!this.quiet) console.log(`[Recorder] Event: ${type}`, data);
 
         // Update Dashboard
         this.displayEventOnDashboard(type, data);
     }
 
-    displayEventOnDashboard(type, data) {
+    // t: ms since the recording started, for cards rebuilt from a saved session
+    displayEventOnDashboard(type, data, t = Date.now() - this.startTime) {
+        if (typeof document === 'undefined') return;
+        // Jumps and landings come several times a second; they are kept in the log only
+        if (QUIET_EVENTS.includes(type)) return;
         const stream = document.getElementById('events-stream');
         if (!stream) return;
 
@@ -60,6 +153,9 @@ class GameRecorder {
         let icon = "📌";
         if (type === 'death') icon = "💀";
         if (type === 'level_complete') icon = "🏁";
+        if (type === 'near_miss') icon = "😬";
+        if (type === 'idle_stall') icon = "💤";
+        if (type === 'rewind') icon = "⏪";
 
         // Format Data nicely
         let details = "";
@@ -67,22 +163,23 @@ class GameRecorder {
 
         if (type === 'death') {
             details = `Level ${data.level}`;
+            if (data.cause) details += `: ${data.cause}${data.pos ? ` at (${data.pos.x.toFixed(1)}, ${data.pos.y.toFixed(1)})` : ''}`;
+        } else if (type === 'near_miss') {
+            details = `${data.cause} '${data.ch}', ${data.distance.toFixed(2)} tiles away`;
+        } else if (type === 'rewind') {
+            details = `${data.seconds.toFixed(1)}s back after ${data.cause}`;
         } else if (type === 'coin') {
             details = `Pos: (${data.pos.x.toFixed(1)}, ${data.pos.y.toFixed(1)})`;
         } else {
             details = JSON.stringify(data);
         }
 
-        // Get recent history (context)
-        if (this.history.length > 0) {
-            const lastFrame = this.history[this.history.length - 1];
-            // Format visual state as ASCII block
-            if (lastFrame.visual_state && Array.isArray(lastFrame.visual_state)) {
-                visualState = lastFrame.visual_state.join('\n');
-            }
+        // Get recent history (context): the snapshot of the last recorded frame, as an ASCII block
+        if (this.history.length > 0 && this.rows) {
+            visualState = this.rows.join('\n');
         }
 
-        const timestamp = ((Date.now() - this.startTime) / 1000).toFixed(1);
+        const timestamp = (t / 1000).toFixed(1);
 
         el.style.fontFamily = "'Courier New', monospace";
         el.style.marginBottom = "10px";
@@ -91,11 +188,22 @@ class GameRecorder {
 
         el.innerHTML = `
             <div><span style="color: #888;">[${timestamp}s]</span> <strong>${type.toUpperCase()}</strong> ${details}</div>
-            ${visualState ? `<pre style="font-size: 0.6em; line-height: 1em; color: #aaa; overflow-x: auto;">${visualState}</pre>` : ''}
+            <div class="event-visuals">${visualState ? `<pre style="font-size: 0.6em; line-height: 1em; color: #aaa; overflow-x: auto;">${visualState}</pre>` : ''}</div>
         `;
+
+        // Deaths and completions also get a heatmap of every attempt at this plan so far
+        const attempt = this.currentAttempt();
+        if ((type === 'death' || type === 'level_complete') && attempt && typeof heatmapThumbnail === 'function') {
+            el.querySelector('.event-visuals').appendChild(heatmapThumbnail(this, attempt.plan));
+        }
         stream.prepend(el); // Newest first
     }
 
+    // What LawFitter measures the laws from
+    trajectory() {
+        return { frames: this.history, attempts: this.attempts, events: this.events };
+    }
+
     getSummary() {
         const duration = (Date.now() - this.startTime) / 1000;
         return {
@@ -105,54 +213,235 @@ class GameRecorder {
         };
     }
 
-    async saveHistory() {
-        const data = {
+    // Attempt without its plan, which the compact format names by index into levels
+    compactAttempt(attempt) {
+        const { plan, ...rest } = attempt;
+        return { level: this.levelIndex(plan), ...rest };
+    }
+
+    encodePlan(plan) {
+        return this.rle ? rleEncodePlan(plan) : plan;
+    }
+
+    beliefsJSON() {
+        return typeof window !== 'undefined' && window.lmmAgent ? window.lmmAgent.beliefs.toJSON() : null;
+    }
+
+    // Summary of the world model benchmarked during the session, if any (see prediction_bench.js)
+    predictionJSON() {
+        return typeof window !== 'undefined' && window.predictionBench ? window.predictionBench.summary() : null;
+    }
+
+    // The whole session as one compact episode (see episode_codec.js); this is what the server
+    // assembles from the uploaded chunks, and what tools/simulate.js --record writes
+    episode() {
+        const attempts = this.attempts.map(attempt => this.compactAttempt(attempt));
+        return {
+            ...this.meta,
             ...this.getSummary(),
+            format: EPISODE_FORMAT,
+            levels: this.levels.map(plan => this.encodePlan(plan)),
             history: this.history,
-            physics_knowledge: window.lmmAgent ? window.lmmAgent.physicsKnowledge : "N/A"
+            replay: { step: FIXED_STEP, attempts: attempts },
+            beliefs: this.beliefsJSON(),
+            prediction: this.predictionJSON()
         };
+    }
+
+    // --- CHUNKED UPLOAD ---
+    // The session goes to the server's /save_chunk piece by piece while it is played: each
+    // chunk holds what was recorded since the previous one. The final chunk carries the
+    // episode summary, and the server then assembles the episode file.
+
+    resetUpload() {
+        this.sessionId = `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e9).toString(36)}`;
+        this.seq = 0;
+        // How much has been sent: counts of frames, events and levels, and per attempt the
+        // lengths of its inputs, devices and rewinds
+        this.sent = { frames: 0, events: 0, levels: 0, attempts: [] };
+    }
 
+    // Builds the next chunk and marks its contents as sent
+    nextChunk(final) {
+        const sent = this.sent;
+        const attempts = [];
+        this.attempts.forEach((attempt, index) => {
+            const mark = sent.attempts[index] || { inputs: 0, devices: 0, rewinds: 0, status: null };
+            if (sent.attempts[index] && mark.inputs === attempt.inputs.length && mark.status === attempt.status &&
+                mark.rewinds === attempt.rewinds.length) return;
+            attempts.push({
+                index: index,
+                level: this.levelIndex(attempt.plan),
+                seed: attempt.seed,
+                physics: attempt.physics || null,
+                inputsFrom: mark.inputs,
+                inputs: attempt.inputs.slice(mark.inputs),
+                devices: attempt.devices.slice(mark.devices),
+                rewinds: attempt.rewinds.slice(mark.rewinds),
+                status: attempt.status
+            });
+            sent.attempts[index] = {
+                inputs: attempt.inputs.length, devices: attempt.devices.length,
+                rewinds: attempt.rewinds.length, status: attempt.status
+            };
+        });
+
+        const chunk = {
+            session: this.sessionId,
+            seq: this.seq++,
+            final: final,
+            levels: this.levels.slice(sent.levels).map((plan, i) => ({ index: sent.levels + i, plan: this.encodePlan(plan) })),
+            attempts: attempts,
+            frames: this.history.slice(sent.frames),
+            events: this.events.slice(sent.events)
+        };
+        if (final) {
+            const { events, ...summary } = this.getSummary();
+            chunk.episode = {
+                ...this.meta, ...summary, session: this.sessionId, format: EPISODE_FORMAT, step: FIXED_STEP,
+                beliefs: this.beliefsJSON(), prediction: this.predictionJSON()
+            };
+        }
+        sent.levels = this.levels.length;
+        sent.frames = this.history.length;
+        sent.events = this.events.length;
+        return chunk;
+    }
+
+    /**
+     * Sends what was recorded since the last chunk. Chunks are posted in order.
+     * @param {boolean} final - Last chunk of the session
+     * @returns {Promise} - Settles once this chunk has been posted, or queued when there is a queue
+     */
+    flush(final = false) {
+        const chunk = this.nextChunk(final);
+        // Recording may go on after a final chunk; the next upload then sends the session again from the start
+        if (final) this.resetUpload();
+        this.uploads = this.uploads.then(() => this.queue ? this.queue.enqueue(chunk) : this.postChunk(chunk));
+        return this.uploads;
+    }
+
+    async postChunk(chunk) {
         try {
-            console.log("[Recorder] Saving history...", data);
-            const response = await fetch('/save', {
+            const response = await fetch('/save_chunk', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify(data)
+                body: JSON.stringify(chunk)
             });
             const result = await response.json();
-            console.log("[Recorder] Save result:", result);
+            if (!this.quiet) console.log(`[Recorder] Chunk ${chunk.seq}${chunk.final ? " (final)" : ""} saved:`, result);
         } catch (e) {
-            console.error("[Recorder] Failed to save history:", e);
+            console.error(`[Recorder] Failed to save chunk ${chunk.seq}:`, e);
         }
     }
+
+    // Ends the session's upload; the server writes the episode file
+    async saveHistory() {
+        if (!this.quiet) console.log(`[Recorder] Saving history (session ${this.sessionId})...`);
+        return this.flush(true);
+    }
+
+    // Session snapshot (see session_store.js). Frame history is left out: it is the bulk
+    // of the data and only needed for the current attempt, which restarts on resume.
+    // The upload state is kept, so a resumed session goes on as the same episode on the server.
+    toJSON() {
+        return {
+            meta: this.meta,
+            events: this.events,
+            attempts: this.attempts,
+            levels: this.levels,
+            stepCount: this.stepCount,
+            elapsed: Date.now() - this.startTime,
+            upload: { session: this.sessionId, seq: this.seq, sent: this.sent }
+        };
+    }
+
+    restore(data) {
+        this.history = [];
+        this.levels = data.levels || [];
+        this.rows = null;
+        if (data.upload && data.levels) {
+            this.sessionId = data.upload.session;
+            this.seq = data.upload.seq;
+            // The frames sent before are on the server already; the ones after start a new history
+            this.sent = { ...data.upload.sent, frames: 0 };
+        } else {
+            this.resetUpload();
+        }
+        this.meta = data.meta || {};
+        this.events = data.events || [];
+        this.attempts = data.attempts || [];
+        this.stepCount = data.stepCount || 0;
+        this.startTime = Date.now() - (data.elapsed || 0);
+
+        if (typeof document === 'undefined') return;
+        const stream = document.getElementById('events-stream');
+        if (stream) stream.innerHTML = "";
+        this.events.forEach(e => this.displayEventOnDashboard(e.type, e.data, e.t));
+    }
 }
 
 // --- LMM WORLD MODEL AGENT ---
+const REASONING_LOG_LIMIT = 200; // Reasoning entries kept for saved sessions
+// Physics variants (see physicsProfiles in game_core.js) appear from this tier on, in this
+// share of the levels that follow a win
+const PHYSICS_MIN_TIER = 3;
+const PHYSICS_VARIANT_CHANCE = 0.4;
+// A measured law value that moves by more than this share since the last fit counts as changed
+const LAW_CHANGE_TOLERANCE = 0.15;
+// How the variants are described to the language model that designs the level
+const PHYSICS_DESCRIPTIONS = {
+    low_gravity: "low gravity: jumps go higher and last longer",
+    floaty: "floaty jump: holding jump slows the rise, releasing it early gives a short hop",
+    slippery: "slippery ground: running speed builds up and dies down slowly",
+    reversed: "reversed controls: left moves right and right moves left",
+    wind: "wind: a steady push towards the left"
+};
+
 class LMMAgent {
-    constructor() {
-        this.difficultyTier = 1;
-        this.physicsKnowledge = `
-You are the World Model AI. You are learning the laws of this universe.
-
-### CURRENT PHYSICS KNOWLEDGE (Iterative Learning Mode)
-1. **Gravity**: [HYPOTHESIS] Objects might fall down? (Status: UNVERIFIED)
-2. **Movement**: 
-   - [HYPOTHESIS] 'Arrow Keys' might control specific entities? (Status: UNVERIFIED)
-   - [HYPOTHESIS] Is jumping possible? (Status: UNVERIFIED)
-3. **Collision**:
-   - 'x' blocks: Unknown properties.
-   - '!': Unknown properties.
-   - 'o': Unknown properties.
-
-### OBJECTIVE
-Design levels to *test* and *refine* these hypotheses.
-Start with a blank slate. As the player interacts, we will Confirm or Reject these laws.
-`;
+    /**
+     * @param {Object} options - { seed, provider }
+     *   seed: session seed; every level seed is drawn from it
+     *   provider: LLMProvider that designs levels; proceduralGen is used when it is missing or fails
+     */
+    constructor(options = {}) {
+        this.skill = new SkillModel();
+        this.difficulty = PREDEFINED_DIFFICULTY; // Of the level being played
+        this.knobs = null; // Generator knobs of the level being played; hand-made levels have none
+        this.difficultyTier = tierForDifficulty(this.difficulty);
+        this.solver = new LevelSolver();
+        this.fitter = new LawFitter();
+        this.provider = options.provider || null;
+        this.sessionSeed = options.seed != null ? options.seed : newSeed();
+        this.seedRandom = createRandom(this.sessionSeed);
+        this.seedDraws = 0; // Seeds drawn so far, so a restored session continues the same sequence
+        this.beliefs = new BeliefStore();
+        this.reasoningLog = []; // Recent reasoning panel entries, { text, type }
+        this.physics = null; // Physics profile of the level being played, null for the standard laws
+        this.physicsIntroduced = []; // Profiles used so far, in the order they appeared
+        this.styles = []; // { style, outcome } of the composed levels played, oldest first
+    }
+
+    // Prompt text, rendered from the belief store
+    get physicsKnowledge() {
+        return this.beliefs.renderPrompt();
+    }
+
+    // Draws the seed for the next level from the session seed
+    nextSeed() {
+        this.seedDraws++;
+        return Math.floor(this.seedRandom() * 4294967296);
     }
 
     appendReasoning(text, type = "normal") {
+        this.reasoningLog = this.reasoningLog.concat({ text: text, type: type }).slice(-REASONING_LOG_LIMIT);
+        this.renderReasoning(text, type);
+    }
+
+    renderReasoning(text, type) {
+        if (typeof document === 'undefined') return;
         const stream = document.getElementById('reasoning-stream');
         if (!stream) return;
 
@@ -163,50 +452,215 @@ Start with a blank slate. As the player interacts, we will Confirm or Reject the
         stream.scrollTop = stream.scrollHeight; // Auto-scroll
     }
 
+    // Session snapshot (see session_store.js): everything learned so far, minus the provider
+    toJSON() {
+        return {
+            sessionSeed: this.sessionSeed,
+            seedDraws: this.seedDraws,
+            difficulty: this.difficulty,
+            knobs: this.knobs,
+            difficultyTier: this.difficultyTier,
+            physics: this.physics,
+            physicsIntroduced: this.physicsIntroduced,
+            styles: this.styles,
+            beliefs: this.beliefs.toJSON(),
+            skill: this.skill.toJSON(),
+            reasoning: this.reasoningLog
+        };
+    }
+
+    restore(data) {
+        this.sessionSeed = data.sessionSeed;
+        this.seedRandom = createRandom(this.sessionSeed);
+        this.seedDraws = 0;
+        while (this.seedDraws < data.seedDraws) this.nextSeed();
+        this.difficulty = data.difficulty;
+        this.knobs = data.knobs;
+        this.difficultyTier = data.difficultyTier;
+        this.physics = data.physics || null;
+        this.physicsIntroduced = data.physicsIntroduced || [];
+        this.styles = data.styles || [];
+        this.beliefs = BeliefStore.fromJSON(data.beliefs);
+        this.skill = SkillModel.fromJSON(data.skill);
+        this.reasoningLog = data.reasoning || [];
+
+        if (typeof document === 'undefined') return;
+        const stream = document.getElementById('reasoning-stream');
+        if (stream) stream.innerHTML = "";
+        this.reasoningLog.forEach(entry => this.renderReasoning(entry.text, entry.type));
+    }
+
     /**
      * Learning Step: Updates the Physics Knowledge based on observations.
+     * @param {Object} historySummary - Summary from GameRecorder
+     * @param {string} outcome - 'win' | 'loss'
+     * @param {Object} trajectory - GameRecorder.trajectory(), the recorded motion the laws are measured from
+     * @param {Object} hypothesis - { law, prediction } the level was built to test (see designExperiment), if any
      */
-    learnFromHistory(historySummary, outcome) {
+    learnFromHistory(historySummary, outcome, trajectory = null, hypothesis = null) {
         let observation = "";
         const events = historySummary.events || [];
-        const deaths = events.filter(e => e.type === 'death').length;
+        // A rewind undoes a death, but the lava still got the player
+        const deaths = events.filter(e => e.type === 'death' || e.type === 'rewind');
+        // Episodes recorded before death causes were logged count as lava deaths
+        const diedBy = cause => deaths.filter(e => (e.data && e.data.cause || 'static_lava') === cause);
+        const landings = events.filter(e => e.type === 'land' && e.data.jumped);
+        const nearMisses = events.filter(e => e.type === 'near_miss');
         const coins = events.filter(e => e.type === 'coin').length;
         const duration = historySummary.duration || 0;
 
         // --- SIMULATED LEARNING LOGIC ---
         // In a real system, this would be the LLM analyzing the JSON trace.
-        // Here we simulate the "Aha!" moments based on simple heuristics.
+        // Here we simulate the "Aha!" moments based on simple heuristics,
+        // and record each one as evidence in the belief store.
+        const changed = [];
+        // A level built to test one law (see experiment_design.js) is scored against its
+        // prediction; the heuristics below leave that law to the experiment, apart from measurements
+        const tested = hypothesis && EXPERIMENTS[hypothesis.law] ? hypothesis.law : null;
+        const observe = (id, observation) => {
+            if (id === tested && !observation.measured) return;
+            if (this.beliefs.observe(id, observation)) changed.push(id);
+        };
+
+        // --- EXPERIMENT ---
+        let verdict = null;
+        if (tested) {
+            const result = EXPERIMENTS[tested].score(events, outcome);
+            const label = this.beliefs.get(tested).label;
+            if (result.supports == null) {
+                verdict = `[EXPERIMENT: ${label}, inconclusive: ${result.reason}.]`;
+            } else {
+                verdict = `[EXPERIMENT: ${label}, "${hypothesis.prediction}" ${result.supports ? "SUPPORTED" : "CONTRADICTED"}: ${result.reason}.]`;
+                if (this.beliefs.observe(tested, result)) changed.push(tested);
+            }
+        }
 
-        let learnedNewLaw = false;
-        let newLawText = "";
+        // --- MEASURED LAWS ---
+        // Values fitted to the recorded positions and velocities (see law_fitter.js). A value
+        // that moved since the last fit is evidence against the law as it was known. Which law
+        // moved is not said: the player is only told that one has changed (see choosePhysics).
+        const fit = trajectory ? this.fitter.fit(trajectory) : {};
+        const shifts = []; // "before → now" of every measurement that moved
+        const shifted = new Set();
+        const measure = (id, measured, statement, weight = 0.8) => {
+            const law = this.beliefs.get(id);
+            const before = law.measured;
+            const moved = before != null && (
+                Math.abs(measured.value - before.value) > LAW_CHANGE_TOLERANCE * Math.abs(before.value) ||
+                before.reversed !== measured.reversed || Math.abs((before.drift || 0) - (measured.drift || 0)) > 0.5 ||
+                before.axis !== measured.axis);
+            if (moved) {
+                shifts.push(`${before.value.toFixed(1)} → ${measured.value.toFixed(1)}`);
+                shifted.add(id);
+            }
+            observe(id, {
+                supports: !moved,
+                weight: moved ? 0.6 : weight,
+                statement: statement,
+                measured: measured,
+                evidence: [{ type: 'measurement', data: measured }]
+            });
+        };
 
-        if (this.difficultyTier === 1 && outcome === 'win') {
-            // Tier 1 Complete: Gravity and Movement basics confirmed
-            learnedNewLaw = true;
-            newLawText = `
-[UPDATE] Gravity: CONFIRMED. Acts downwards (Y+).
-[UPDATE] Movement: CONFIRMED. Player moves Left/Right on inputs.
-[UPDATE] Collision: 'x' blocks are SOLID. They stop gravity.
-`;
-            this.physicsKnowledge = this.physicsKnowledge
-                .replace("Gravity: [HYPOTHESIS] Objects might fall down? (Status: UNVERIFIED)", "Gravity: CONFIRMED. Acts downwards. (Status: VERIFIED)")
-                .replace("Collision:\n   - 'x' blocks: Unknown properties.", "Collision:\n   - 'x' blocks: SOLID. Ground support.");
+        if (fit.gravity) {
+            const g = fit.gravity;
+            let statement = `Acts downwards: g ≈ ${g.value.toFixed(1)} units/s², RMSE ${g.rmse.toFixed(3)} tiles per step (${g.samples} steps).`;
+            const hold = fit.holdGravity;
+            if (hold && Math.abs(hold.value - g.value) > LAW_CHANGE_TOLERANCE * g.value)
+                statement += ` Rising with jump held: g ≈ ${hold.value.toFixed(1)} units/s², RMSE ${hold.rmse.toFixed(3)}.`;
+            measure('gravity', g, statement);
         }
 
-        if (coins > 0) {
-            this.physicsKnowledge = this.physicsKnowledge.replace("'o': Unknown properties.", "'o': COLLECTIBLE. Desirable objective.");
-            if (!learnedNewLaw) {
-                learnedNewLaw = true;
-                newLawText += "\n[UPDATE] 'o' (Coin) is beneficial/collectible.";
+        if (fit.xSpeed) {
+            const x = fit.xSpeed;
+            let statement = `Left/Right move the player at ≈ ${x.value.toFixed(1)} units/s, RMSE ${x.rmse.toFixed(2)} units/s (${x.samples} samples).`;
+            if (x.reversed) statement += " Reversed: Right moves left, Left moves right.";
+            if (Math.abs(x.drift) > 0.5) statement += ` The player drifts ${x.drift < 0 ? "left" : "right"} at ≈ ${Math.abs(x.drift).toFixed(1)} units/s.`;
+            measure('movement', x, statement);
+        }
+
+        // Moving lava, from the velocity each block had when it came close to the player
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+        Object.keys(fit.lavaMotion || {}).forEach(ch => {
+            const m = fit.lavaMotion[ch];
+            let statement;
+            if (m.axis === 'x') {
+                statement = m.directions.length > 1
+                    ? `Slides sideways on its own at ≈ ${m.value.toFixed(1)} tiles/s, turning back at walls.`
+                    : `Slides ${m.directions[0] < 0 ? "left" : "right"} on its own at ≈ ${m.value.toFixed(1)} tiles/s; not seen going back yet.`;
+            } else {
+                statement = m.directions.length > 1
+                    ? `Moves up and down on its own at ≈ ${m.value.toFixed(1)} tiles/s, turning back at walls.`
+                    : `Moves ${m.directions[0] < 0 ? "up" : "down"} on its own at ≈ ${m.value.toFixed(1)} tiles/s; never seen going back.`;
             }
+            // Seen once, going one way: a first impression rather than a measurement
+            const weight = m.directions.length > 1 || m.samples >= 3 ? 0.8 : 0.4;
+            measure(LAVA_MOTION_LAWS[ch], m, `${statement} (${plural(m.samples, "sighting")} of ${plural(m.blocks, "block")})`, weight);
+        });
+
+        if (fit.wall) {
+            const w = fit.wall;
+            const solid = w.overlaps <= 0.01 * (w.contacts + w.overlaps);
+            observe('wall', {
+                supports: solid,
+                weight: 0.5,
+                statement: solid
+                    ? `SOLID. The player stops at them and stands on them (${w.contacts} contacts, never inside one).`
+                    : `The player was inside 'x' in ${w.overlaps} of ${w.contacts + w.overlaps} frames.`,
+                evidence: [{ type: 'measurement', data: w }]
+            });
+        }
+
+        if (coins > 0) {
+            observe('coin', {
+                supports: true,
+                weight: 0.8,
+                statement: "COLLECTIBLE. Desirable objective.",
+                evidence: events.filter(e => e.type === 'coin')
+            });
         }
 
-        if (deaths > 0) {
-            this.physicsKnowledge = this.physicsKnowledge.replace("'!': Unknown properties.", "'!': FATAL. Avoid at all costs.");
-            if (!learnedNewLaw) {
-                learnedNewLaw = true;
-                newLawText += "\n[UPDATE] '!' (Lava) is DEADLY.";
+        if (landings.length > 0 || fit.jump) {
+            let statement = fit.jump
+                ? `Up launches the player from the ground at ≈ ${fit.jump.value.toFixed(1)} units/s, RMSE ${fit.jump.rmse.toFixed(2)} units/s (${fit.jump.samples} jumps).`
+                : "Up launches the player from the ground.";
+            if (landings.length > 0) {
+                const airTime = landings.reduce((sum, e) => sum + e.data.airTime, 0) / landings.length;
+                const distance = Math.max(...landings.map(e => e.data.distance));
+                statement += ` Jumps last ${airTime.toFixed(2)}s on average and cover up to ${distance.toFixed(1)} tiles.`;
             }
+            if (fit.jump) measure('jumping', fit.jump, statement);
+            else observe('jumping', { supports: true, weight: 0.5, statement: statement, evidence: landings });
+        }
+
+        if (diedBy('static_lava').length > 0) {
+            observe('lava', {
+                supports: true,
+                weight: 0.8,
+                statement: fit.lava && fit.lava.overlaps === 0
+                    ? `FATAL. The player stops at its surface and the attempt ends (${fit.lava.deaths} deaths, never inside one).`
+                    : "FATAL. Avoid at all costs.",
+                evidence: diedBy('static_lava')
+            });
+        }
+
+        if (diedBy('moving_lava').length > 0) {
+            observe('moving_lava', {
+                supports: true,
+                weight: 0.8,
+                statement: "FATAL like '!', and they move on their own.",
+                evidence: diedBy('moving_lava')
+            });
+        }
+
+        if (diedBy('fell').length > 0) {
+            observe('gravity', {
+                supports: true,
+                weight: 0.5,
+                // A measured statement is kept; the fall is still evidence
+                statement: this.beliefs.get('gravity').measured ? null : "Acts downwards (Y+). Falling out of the bottom of the world is fatal.",
+                evidence: diedBy('fell')
+            });
         }
 
         if (outcome === 'win') {
@@ -214,14 +668,29 @@ Start with a blank slate. As the player interacts, we will Confirm or Reject the
         } else {
             observation = `[OBSERVATION: Level Failed. The agent failed to adapt to environmental constraints.]`;
         }
+        if (deaths.length > 0) {
+            const causes = [
+                [diedBy('fell').length, "fell into a gap"],
+                [diedBy('static_lava').length, "touched lava '!'"],
+                [diedBy('moving_lava').length, "was hit by moving lava"]
+            ].filter(([count]) => count > 0).map(([count, text]) => `${count}x ${text}`);
+            observation += `\n[DEATHS: ${causes.join(", ")}]`;
+        }
+        if (nearMisses.length > 0) observation += `\n[NEAR MISSES: ${nearMisses.length} close calls with lava]`;
 
         // Dashboard Update
         this.appendReasoning(`Analysing Episode... Outcome: ${outcome}`, "system-msg");
         this.appendReasoning(observation, "observation");
+        if (verdict) this.appendReasoning(verdict, "physics-law");
+        if (shifts.length > 0)
+            this.appendReasoning(`The measurements no longer match what was known (${shifts.join(", ")}). One of the laws has changed.`, "physics-law");
 
-        if (learnedNewLaw) {
+        const updated = changed.filter(id => !shifted.has(id));
+        if (updated.length > 0) {
             this.appendReasoning("💡 NEW PHYSICAL LAW DISCOVERED!", "physics-law");
-            this.appendReasoning(newLawText.trim(), "physics-law");
+            this.appendReasoning(updated
+                .map(id => `[UPDATE] ${this.beliefs.describe(this.beliefs.get(id))}`)
+                .join("\n"), "physics-law");
         }
     }
 
@@ -237,6 +706,7 @@ Start with a blank slate. As the player interacts, we will Confirm or Reject the
         this.appendReasoning("Episode Complete. Summary: " + summaryText.replace(/\n/g, ", "));
 
         // Update Dashboard UI (Legacy Overlay)
+        if (typeof document === 'undefined') return;
         const dashboard = document.getElementById('game-dashboard');
         const summaryDisplay = document.getElementById('level-summary');
         const physicsDisplay = document.getElementById('physics-laws-display');
@@ -269,26 +739,40 @@ Start with a blank slate. As the player interacts, we will Confirm or Reject the
     /**
      * Generates the next level based on user history.
      * @param {Object} historySummary - Summary from GameRecorder
-     * @param {Object} lastResult - { outcome: 'win' | 'loss' }
-     * @returns {Promise<Array<string>>} - A promise resolving to the Level Plan (array of strings)
+     * @param {Object} lastResult - { outcome: 'win' | 'loss', spec?, seed?, trajectory? } spec is the level spec that was played;
+     *   pass a seed to regenerate a known level; trajectory (GameRecorder.trajectory()) lets the agent measure the laws
+     * @returns {Promise<Object>} - A promise resolving to { plan, seed, tier, difficulty, knobs, physics, hypothesis, style, source, fallback? }
+     *   where plan is the Level Plan (array of strings), hypothesis the { law, prediction } it was built to test, or null, and style
+     *   the LEVEL_STYLES key it was composed in, or null for an experiment. fallback marks a predefined level played because
+     *   generation failed; it has no knobs, style or hypothesis
      */
     async generateNextLevel(historySummary, lastResult) {
         console.log("[LMM Agent] Analyzing user history...", historySummary);
 
-        // 1. Learn from previous episode
-        this.learnFromHistory(historySummary, lastResult.outcome);
+        // 1. Learn from previous episode, scored against the hypothesis its level tested
+        const played = lastResult.spec || {};
+        this.learnFromHistory(historySummary, lastResult.outcome, lastResult.trajectory, played.hypothesis || null);
+        if (played.style) this.styles.push({ style: played.style, outcome: lastResult.outcome });
 
         // 2. Print Summary
         this.printEpisodeSummary(historySummary, lastResult.outcome);
 
         // --- DIFFICULTY ADJUSTMENT ---
-        if (lastResult.outcome === 'win') {
-            this.difficultyTier++;
-            console.log(`[LMM Agent] Player Won! Increasing difficulty to Tier ${this.difficultyTier} `);
-        } else if (lastResult.outcome === 'loss') {
-            this.difficultyTier = Math.max(1, this.difficultyTier - 1);
-            console.log(`[LMM Agent] Player struggled.Decreasing difficulty to Tier ${this.difficultyTier} `);
-        }
+        const update = this.skill.update(historySummary, lastResult.outcome, lastResult.spec);
+        const difficulty = this.skill.nextDifficulty();
+        const { knobs, reasons } = this.skill.planKnobs(difficulty, historySummary);
+        this.explainAdjustment(update, difficulty, knobs, reasons);
+        this.difficulty = difficulty;
+        this.knobs = knobs;
+        this.difficultyTier = tierForDifficulty(difficulty);
+        console.log(`[LMM Agent] Skill rating ${update.before} -> ${update.after}. Next difficulty ${difficulty} (Tier ${this.difficultyTier})`);
+
+        const seed = lastResult.seed != null ? lastResult.seed : this.nextSeed();
+        const physics = this.choosePhysics(seed, lastResult.outcome);
+        const hypothesis = this.designExperiment(knobs);
+        const experiment = hypothesis ? EXPERIMENTS[hypothesis.law] : null;
+        const design = experiment ? { experiment: experiment } : this.chooseDesign(historySummary, lastResult.outcome);
+        const style = design.style || null;
 
         // --- WORLD MODEL PROMPT CONSTRUCTION ---
         const prompt = `
@@ -296,6 +780,9 @@ ${this.physicsKnowledge}
 
 CURRENT CONTEXT:
         - Difficulty Tier: ${this.difficultyTier}
+        - Layout: gaps up to ${knobs.gapWidth} tiles, steps of up to ${knobs.heightVariance} tiles, platforms at least ${knobs.platformLength} tiles long, about ${Math.round(knobs.lavaDensity * 100)}% of platform tiles lava, ${knobs.movingHazards} moving lava blocks
+        - Physics: ${physics ? PHYSICS_DESCRIPTIONS[physics] : "standard laws"}
+        - Style: ${style ? LEVEL_STYLES[style].label : "experiment"}
         - Player Status: ${lastResult.outcome === 'win' ? "Successfully mastered previous physics constraints." : "Failed to overcome environment challenges."}
         - Last Metadata: Duration ${historySummary?.duration} s, Events: ${JSON.stringify(historySummary?.events)}
 
@@ -305,105 +792,280 @@ ${lastResult.outcome === 'win'
                 ? "CONSTRAINT: Introduce more complex arrangements of 'x' (walls) and '!' (lava) that require precise jump timing."
                 : "CONSTRAINT: Simplify the terrain. Reduce gap widths and lava hazards to allow for safer traversal."
             }
+${experiment ? `EXPERIMENT: The level must test the hypothesis "${hypothesis.prediction}" Build it around ${experiment.design}.` : ""}
+
+        OUTPUT FORMAT:
+Reply with the level as an ASCII grid inside a single \`\`\` code block, about ${style ? LEVEL_STYLES[style].width(knobs) : knobs.levelLength} columns wide and ${style ? LEVEL_STYLES[style].height(knobs) : 15} rows high.
+Use only: 'x' wall, '!' lava, 'o' coin, '@' player start (exactly one), '=' '|' 'v' moving lava, ' ' empty.
+Every coin must be reachable from '@' without touching lava.
         `;
 
         console.log("--- GENERATED WORLD MODEL PROMPT ---");
         // Update Dashboard with thought process
         this.appendReasoning("Constructing Mental Model...", "system-msg");
         this.appendReasoning("Refining Physics Laws based on recent observations...", "physics-law");
+        this.appendReasoning(this.beliefs.laws.map(law => this.beliefs.describe(law)).join("\n"), "observation");
         this.appendReasoning("Generating new spatial configuration...", "system-msg");
 
-        // Simulate "Thinking" delay
-        await new Promise(r => setTimeout(r, 1000));
-
-        return this.proceduralGen(this.difficultyTier);
-    }
-
-    // Improve procedural generation to be more structured based on importance of "difficulty"
-    proceduralGen(tier) {
-        console.log(`[LMM Agent] Generating Tier ${tier} level...`);
-        const width = 20 + (tier * 10);
-        const height = 15;
-        let grid = [];
+        this.appendReasoning(`Level seed: ${seed} (Tier ${this.difficultyTier})`, "system-msg");
+        // The player has to find out what changed, so the profile is never named here
+        if (physics !== this.physics) {
+            this.appendReasoning(physics
+                ? "A law of this world will be different in the next level. Observe carefully."
+                : "The laws of this world shift again for the next level.", "physics-law");
+        }
+        this.physics = physics;
 
-        // Initialize empty grid
-        for (let y = 0; y < height; y++) {
-            grid[y] = " ".repeat(width).split("");
+        let result = null;
+        if (this.provider) {
+            result = await this.requestLLMLevel(prompt, physics);
+        } else {
+            // Simulate "Thinking" delay
+            await new Promise(r => setTimeout(r, 1000));
         }
 
-        // Floor (some gaps for higher tiers)
-        for (let x = 0; x < width; x++) {
-            if (tier > 1 && Math.random() < 0.1 && x > 2 && x < width - 2) {
-                // Gap
-            } else {
-                grid[height - 1][x] = "x";
-            }
+        if (result && result.plan) {
+            this.appendReasoning(`Level source: language model (${this.provider.describe()})`, "physics-law");
+            return { plan: result.plan, seed: seed, tier: this.difficultyTier, difficulty: difficulty, knobs: knobs, physics: physics, hypothesis: hypothesis, style: style, source: "llm" };
         }
 
-        // Walls at ends
-        for (let i = 0; i < height; i++) {
-            grid[i][0] = "x";
-            grid[i][width - 1] = "x";
+        const plan = this.generateSolvableLevel(knobs, seed, physics, design);
+        if (GAME_LEVELS.includes(plan)) {
+            // A predefined level stood in (see fallbackLevel). It was not built from the knobs and
+            // runs no experiment, so it is scored like any hand-made level and tests no hypothesis
+            this.appendReasoning("Level source: predefined level (generation failed)", "physics-law");
+            this.difficulty = PREDEFINED_DIFFICULTY;
+            this.knobs = null;
+            this.difficultyTier = tierForDifficulty(PREDEFINED_DIFFICULTY);
+            return { plan: plan, seed: seed, tier: this.difficultyTier, difficulty: PREDEFINED_DIFFICULTY, knobs: null, physics: physics, hypothesis: null, style: null, source: "predefined", fallback: true };
         }
+        this.appendReasoning(result
+            ? `Level source: procedural generator (LLM fallback: ${result.error})`
+            : "Level source: procedural generator", "physics-law");
+        return { plan: plan, seed: seed, tier: this.difficultyTier, difficulty: difficulty, knobs: knobs, physics: physics, hypothesis: hypothesis, style: style, source: "procedural" };
+    }
 
-        // Platforms & Hazards
-        let currentX = 5; // Start a bit after player
-        let currentY = height - 2;
+    /**
+     * Picks the style of the next composed level and its mix of chunks (see level_chunks.js).
+     * Styles open up with the tier. After a win the style played least this session comes next;
+     * after a loss, the one the player has won most often in. The mix leans away from the chunks
+     * whose hazard killed the player after a loss, and towards them after a win.
+     * @param {Object} historySummary - Summary from GameRecorder
+     * @param {string} outcome - 'win' | 'loss' of the level just played
+     * @returns {Object} - { style, weights } for generateSolvableLevel
+     */
+    chooseDesign(historySummary, outcome) {
+        const styles = Object.keys(LEVEL_STYLES).filter(name => LEVEL_STYLES[name].minTier <= this.difficultyTier);
+        const played = name => this.styles.filter(entry => entry.style === name);
+        const winRate = name => played(name).length > 0 ? played(name).filter(entry => entry.outcome === 'win').length / played(name).length : 0;
+        const score = outcome === 'win' ? name => -played(name).length : winRate;
+        // Ties go to the style listed first
+        const style = styles.reduce((best, name) => score(name) > score(best) ? name : best);
+        this.appendReasoning(`Level style: ${LEVEL_STYLES[style].label} (${outcome === 'win'
+            ? `played ${played(style).length} times so far`
+            : `won ${Math.round(winRate(style) * 100)}% of ${played(style).length} levels in it`}).`, "system-msg");
+
+        const weights = styleWeights(style);
+        const events = (historySummary && historySummary.events) || [];
+        LEVEL_CHUNKS.forEach(chunk => {
+            if (!weights[chunk.name] || !chunk.hazard) return;
+            const deaths = events.filter(e => (e.type === 'death' || e.type === 'rewind') && (e.data && e.data.cause || 'static_lava') === chunk.hazard).length;
+            if (deaths === 0) return;
+            weights[chunk.name] *= outcome === 'win' ? 1.5 : 0.5;
+            this.appendReasoning(`${chunk.label}: ${outcome === 'win' ? "more" : "fewer"} of them, after ${deaths} deaths by ${chunk.hazard}.`, "physics-law");
+        });
+        return { style: style, weights: weights };
+    }
 
-        let minJump = 2;
-        let maxJump = 5; // Playable jump limit
+    /**
+     * Picks the hypothesis the next level tests: the least certain law that has an experiment
+     * (see experiment_design.js), as long as it is unverified. Once all of them are confirmed or
+     * rejected, levels test the player only, until a measurement shows a law has changed.
+     * @param {Object} knobs - Layout knobs of the next level; experiments that do not suit them wait
+     * @returns {Object|null} - { law, prediction }, or null for an ordinary level
+     */
+    designExperiment(knobs) {
+        const ids = Object.keys(EXPERIMENTS).filter(id => !EXPERIMENTS[id].when || EXPERIMENTS[id].when(knobs));
+        const law = this.beliefs.leastCertain(ids);
+        if (!law || law.status !== "unverified") return null;
+        const prediction = EXPERIMENTS[law.id].prediction;
+        console.log(`[LMM Agent] Next level tests ${law.id} (confidence ${law.confidence.toFixed(2)}).`);
+        this.appendReasoning(`Designing an experiment: ${law.label} is the least certain law (confidence ${law.confidence.toFixed(2)}). Prediction: ${prediction}`, "physics-law");
+        return { law: law.id, prediction: prediction };
+    }
 
-        // Ensure start area is safe
-        for (let x = 0; x < 10; x++) {
-            grid[height - 1][x] = "x";
-        }
+    /**
+     * Picks the physics profile of the next level. From PHYSICS_MIN_TIER on, some of the levels
+     * after a win change a law, introducing the profiles not seen yet first; after a loss the
+     * standard laws come back. The choice is drawn from the level seed, apart from the level's own draws.
+     * @param {number} seed - Level seed
+     * @param {string} outcome - 'win' | 'loss' of the level just played
+     * @returns {string|null} - Profile name, or null for the standard laws
+     */
+    choosePhysics(seed, outcome) {
+        if (outcome !== 'win' || this.difficultyTier < PHYSICS_MIN_TIER) return null;
+        const random = createRandom((seed ^ 0x9e3779b9) >>> 0);
+        if (random() >= PHYSICS_VARIANT_CHANCE) return null;
+        const profiles = Object.keys(physicsProfiles);
+        const fresh = profiles.filter(name => !this.physicsIntroduced.includes(name));
+        const pool = fresh.length > 0 ? fresh : profiles;
+        const physics = pool[Math.floor(random() * pool.length)];
+        if (fresh.length > 0) this.physicsIntroduced.push(physics);
+        return physics;
+    }
 
-        while (currentX < width - 5) {
-            // Determine random gap and height change
-            const gap = minJump + Math.floor(Math.random() * (maxJump - minJump + 1));
-            const yChange = Math.floor(Math.random() * 5) - 2; // -2 to +2 (Safe delta)
+    // Reasoning panel account of the skill update and of every generator knob that moved
+    explainAdjustment(update, difficulty, knobs, reasons) {
+        const parts = Object.keys(update.parts).map(name => `${name} ${update.parts[name].toFixed(2)}`).join(", ");
+        this.appendReasoning(`Skill rating ${update.before} → ${update.after}: scored ${update.score.toFixed(2)} against an expected ${update.expected.toFixed(2)} (${parts}).`, "observation");
 
-            currentX += gap;
-            currentY = Math.max(4, Math.min(height - 2, currentY - yChange)); // Keep in bounds
+        const rate = this.skill.successRate();
+        if (rate != null) {
+            const band = rate < SUCCESS_BAND[0] ? "below" : rate > SUCCESS_BAND[1] ? "above" : "inside";
+            this.appendReasoning(`Recent success ${Math.round(rate * 100)}% over ${this.skill.results.length} episodes, ${band} the ${SUCCESS_BAND[0] * 100}-${SUCCESS_BAND[1] * 100}% target band.`, "system-msg");
+        }
+        this.appendReasoning(`Next difficulty ${difficulty} (was ${this.difficulty}), aiming for ${TARGET_SUCCESS * 100}% expected success.`, "system-msg");
 
-            // Check if gap is too large for height difference (simplified check)
-            // If going UP, gap must be smaller.
-            if (yChange > 1) currentX -= 1;
+        if (!this.knobs) {
+            this.appendReasoning(`Generator knobs: ${Object.keys(GENERATOR_KNOBS).map(name => `${GENERATOR_KNOBS[name].label} ${knobs[name]}`).join(", ")}`, "physics-law");
+            return;
+        }
+        const harder = difficulty > this.difficulty;
+        Object.keys(GENERATOR_KNOBS).forEach(name => {
+            if (knobs[name] === this.knobs[name]) return;
+            const why = reasons[name] || (harder ? "difficulty went up" : "difficulty went down");
+            this.appendReasoning(`${GENERATOR_KNOBS[name].label}: ${this.knobs[name]} → ${knobs[name]} (${why})`, "physics-law");
+        });
+    }
 
-            // Place platform
-            let platLen = 3 + Math.floor(Math.random() * 4);
-            for (let p = 0; p < platLen; p++) {
-                if (currentX + p < width - 1) {
-                    grid[currentY][currentX + p] = "x";
+    /**
+     * Sends the prompt to the configured provider and turns the reply into a plan.
+     * Timeouts, request errors, unparseable or unsolvable grids all come back as
+     * { error } so the caller can fall back to proceduralGen.
+     * @param {string} prompt - World Model prompt
+     * @param {string} physics - Physics profile the level will be played under, if any
+     * @returns {Promise<Object>} - { plan } or { error }
+     */
+    async requestLLMLevel(prompt, physics = null) {
+        this.appendReasoning(`Querying language model (${this.provider.describe()})...`, "system-msg");
 
-                    // Add hazard on top? (Tier check)
-                    if (tier > 1 && Math.random() < 0.3) {
-                        // Ensure passable: don't put lava on single block platform if it's the landing spot
-                        if (p > 0 && p < platLen - 1) {
-                            grid[currentY - 1][currentX + p] = "!"; // Static Lava
-                        }
-                    }
-                }
-            }
+        let reply;
+        try {
+            reply = await this.provider.complete(prompt);
+        } catch (e) {
+            console.warn("[LMM Agent] LLM request failed:", e);
+            return { error: `request failed: ${e.message}` };
+        }
+
+        const plan = extractLevelGrid(reply);
+        const invalid = validateLevelGrid(plan);
+        if (invalid) {
+            console.warn("[LMM Agent] LLM reply rejected:", invalid, reply);
+            return { error: invalid };
+        }
 
-            // Advance past platform
-            currentX += platLen;
+        const check = this.solver.solve(plan, physics);
+        if (!check.solvable) {
+            console.warn("[LMM Agent] LLM level is unsolvable:", check.reason);
+            return { error: `unsolvable layout: ${check.reason}` };
+        }
+        const timing = this.solver.checkTiming(plan, physics);
+        if (!timing.passable) {
+            console.warn("[LMM Agent] LLM level has impassable moving lava:", timing.reason);
+            return { error: `impassable moving lava: ${timing.reason}` };
+        }
+        return { plan: plan };
+    }
 
-            // Coins
-            if (Math.random() < 0.5) {
-                let coinY = currentY - 2;
-                let coinX = currentX - 2;
-                if (coinX < width - 1 && coinY > 0) grid[coinY][coinX] = "o";
+    /**
+     * Generates procedural levels until the solver proves one can be finished, with every block
+     * of moving lava passable in time (see LevelSolver.checkTiming).
+     * If every attempt fails, the last plan is repaired instead of handed over as a dead end; when the
+     * solver ran out of budget on it, or the repair fails, a predefined level is played instead.
+     * The same seed and difficulty always produce the same plan.
+     * @param {Object|number} difficulty - Generator knobs (see GENERATOR_KNOBS) or an integer tier
+     * @param {number} seed - Level seed
+     * @param {string} physics - Physics profile the level will be played under, if any
+     * @param {Object} design - { experiment } or { style, weights }: the entry of EXPERIMENTS that builds the level,
+     *   or the style and chunk mix proceduralGen composes it in (see chooseDesign); a horizontal run by default
+     * @returns {Array<string>} - A solvable Level Plan
+     */
+    generateSolvableLevel(difficulty, seed, physics = null, design = {}) {
+        const random = createRandom(seed);
+        const maxAttempts = 5;
+        let plan = null;
+        let check = null;
+        let timing = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            plan = design.experiment
+                ? design.experiment.build(typeof difficulty === 'number' ? knobsForTier(difficulty) : difficulty, random)
+                : this.proceduralGen(difficulty, random, design);
+            check = this.solver.solve(plan, physics);
+            timing = check.solvable ? this.solver.checkTiming(plan, physics) : null;
+            if (check.solvable && timing.passable) {
+                const moving = timing.checked > 0 ? `, ${timing.checked} moving lava blocks passable in time` : "";
+                this.appendReasoning(`Solvability check passed: all ${check.coinCount} coins reachable${moving} (attempt ${attempt}).`, "system-msg");
+                return plan;
             }
+            const reason = check.solvable ? timing.reason : check.reason;
+            console.warn(`[LMM Agent] Rejected unsolvable plan (attempt ${attempt}): ${reason}`);
+            this.appendReasoning(`Rejected unsolvable layout: ${reason}`, "system-msg");
         }
 
-        // Player Start
-        grid[height - 2][1] = "@";
+        if (check.exhausted) {
+            console.warn(`[LMM Agent] Solver ran out of budget after ${maxAttempts} attempts: ${check.reason}`);
+            this.appendReasoning(`Layout left unproven: ${check.reason} Falling back to a predefined level.`, "system-msg");
+            return this.fallbackLevel(physics);
+        }
+        plan = this.solver.repair(plan, check, timing, physics);
+        const recheck = this.solver.solve(plan, physics);
+        console.warn(`[LMM Agent] Repaired plan after ${maxAttempts} attempts. Solvable: ${recheck.solvable}`);
+        if (!recheck.solvable) {
+            this.appendReasoning(`Repair failed: ${recheck.reason} Falling back to a predefined level.`, "system-msg");
+            return this.fallbackLevel(physics);
+        }
+        this.appendReasoning(`Repaired layout: removed unreachable coins${timing && timing.blocked.length > 0 ? " and impassable moving lava" : ""}.`, "system-msg");
+        return plan;
+    }
 
-        return grid.map(row => row.join(""));
+    // A predefined level the solver proves can be finished under physics, for when generation fails
+    fallbackLevel(physics) {
+        return GAME_LEVELS.find(plan => this.solver.solve(plan, physics).solvable) || GAME_LEVELS[0];
+    }
+
+    // Composes a level from chunks (see level_chunks.js)
+    // difficulty: generator knobs (see GENERATOR_KNOBS) or an integer tier
+    // random: PRNG from createRandom(seed), so a plan can be regenerated from its seed
+    // design: { style, weights } as chooseDesign picks them; a horizontal run in the style's own mix by default
+    proceduralGen(difficulty, random = createRandom(newSeed()), design = {}) {
+        const knobs = typeof difficulty === 'number' ? knobsForTier(difficulty) : difficulty;
+        const style = design.style || "run";
+        console.log(`[LMM Agent] Generating ${style} level: ${JSON.stringify(knobs)}`);
+        const { plan, chunks } = composeLevel(style, knobs, random, design.weights || null);
+        console.log(`[LMM Agent] Chunks: ${chunks.join(", ")}`);
+        return plan;
     }
 }
 
 // Export global instances
-window.gameRecorder = new GameRecorder();
-window.lmmAgent = new LMMAgent();
+if (typeof window !== 'undefined') {
+    // start.html?seed=42&llm=http://localhost:8101/v1/chat/completions&llm_model=...&llm_timeout=20000
+    const params = new URLSearchParams(window.location.search);
+    const seedParam = params.get('seed');
+    const llmEndpoint = params.get('llm');
+    window.gameRecorder = new GameRecorder({ upload: true, queue: window.uploadQueue });
+    window.lmmAgent = new LMMAgent({
+        seed: seedParam != null ? Number(seedParam) >>> 0 : null,
+        provider: llmEndpoint ? new OpenAICompatibleProvider({
+            endpoint: llmEndpoint,
+            model: params.get('llm_model'),
+            timeoutMs: Number(params.get('llm_timeout')) || null
+        }) : null
+    });
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameRecorder, LMMAgent };
+}
@@ -0,0 +1,27 @@
+"use strict";
+// Entry point of start.html: the other pages reuse game_script.js without starting a game.
+// start.html?plan=levels/my_level.json starts from a level exported by editor.html instead.
+// Without ?plan, saved sessions (see session_store.js) are offered before a new game starts.
+// start.html?rewind=1 turns on rewind mode: after touching lava, R winds back a few seconds for a life.
+// start.html?bot=1 lets the planner bot play; its recordings are tagged synthetic.
+// start.html?display=canvas draws the game on a canvas (see canvas_display.js) instead of the DOM.
+var params = new URLSearchParams(location.search);
+var planUrl = params.get("plan");
+var Display = params.get("display") == "canvas" ? CanvasDisplay : DOMDisplay;
+var gameOptions = { rewind: params.get("rewind") == "1", bot: params.get("bot") == "1" };
+if (planUrl) {
+  fetch(planUrl)
+    .then(function (response) { return response.json(); })
+    .then(function (data) { runGame([Array.isArray(data) ? data : data.plan], Display, null, gameOptions); })
+    .catch(function (err) {
+      console.error("[Game] Could not load plan " + planUrl + ", using the built-in levels:", err);
+      runGame(GAME_LEVELS, Display, null, gameOptions);
+    });
+} else if (gameOptions.bot) {
+  runGame(GAME_LEVELS, Display, null, gameOptions);
+} else {
+  // Offers to continue a saved session first, if there is one
+  offerSessions(window.sessionStore, function (session) {
+    runGame(GAME_LEVELS, Display, session, gameOptions);
+  });
+}
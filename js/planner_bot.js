@@ -0,0 +1,195 @@
+"use strict";
+/**
+ * Planner Bot
+ * An autoplay player. It plans with the real simulation: from a serialized copy of the
+ * running level it searches over held inputs for the next coin, then plays the inputs it
+ * found. Its controller() fits both runLevel's options.controller and Simulation.run.
+ */
+
+// Inputs the search tries, each held for holdSteps simulation steps
+const BOT_ACTIONS = [
+    { left: false, right: true, up: false },
+    { left: false, right: true, up: true },
+    { left: false, right: false, up: true },
+    { left: true, right: false, up: true },
+    { left: true, right: false, up: false },
+    { left: false, right: false, up: false }
+];
+// Heuristic weight; above 1 trades the shortest path for a faster search
+const BOT_GREED = 2;
+
+class PlannerBot {
+    /**
+     * @param {Object} options - { holdSteps, maxNodes, stepSize }
+     */
+    constructor(options = {}) {
+        this.holdSteps = options.holdSteps || 6;
+        this.maxNodes = options.maxNodes || 12000; // Search budget per plan
+        this.stepSize = options.stepSize || FIXED_STEP;
+        this.queue = []; // Inputs still to play
+        this.stats = { plans: 0, failures: 0, nodes: 0 }; // Searches run, failed, and nodes expanded
+        this.stuck = false; // Gave up on the current level
+    }
+
+    /**
+     * Input source for a level: called once per simulation step with the level being played.
+     * @returns {Function} - controller(level, steps) returning { left, right, up }
+     */
+    controller() {
+        this.queue = [];
+        this.stuck = false;
+        return level => {
+            if (this.queue.length === 0 && level.status == null && !this.stuck) this.queue = this.plan(level);
+            return this.queue.shift() || BOT_ACTIONS[5];
+        };
+    }
+
+    /**
+     * Finds inputs that pick up another coin from the level's current state without dying.
+     * Levels are deterministic, so playing the inputs on the real level reproduces the search.
+     * Tight spots get a second, finer search; if that fails too, the bot heads for the spot
+     * closest to a coin, or gives up on the level when it cannot get any closer.
+     * @param {Level} level
+     * @returns {Array<Object>} - One input per simulation step
+     */
+    plan(level) {
+        const coarse = this.search(level, this.holdSteps);
+        if (coarse.found) return coarse.inputs;
+        const fine = this.search(level, Math.max(1, Math.round(this.holdSteps / 3)));
+        if (fine.found) return fine.inputs;
+
+        if (coarse.inputs.length > 0) {
+            console.warn("[Bot] No coin within reach; heading for the closest spot.");
+            return coarse.inputs;
+        }
+        console.warn("[Bot] Cannot get any closer to a coin; giving up on this level.");
+        this.stuck = true;
+        return [];
+    }
+
+    // Weighted A* over held inputs with the real simulation. Returns { found, inputs }, where
+    // inputs lead to a coin if found, or else to the standing spot closest to one.
+    search(level, holdSteps) {
+        const root = level.serialize();
+        const scratch = Level.deserialize(root);
+        const simulation = new Simulation(scratch, this.stepSize);
+        const coinsAtStart = this.coins(scratch).length;
+        const seen = new Set([this.stateKey(scratch)]);
+        const open = new PlannerHeap();
+        const start = { state: root, parent: null, action: null, depth: 0, h: this.heuristic(scratch) };
+        open.push(start, 0);
+        let closest = start;
+        let nodes = 0;
+
+        while (open.size() > 0 && nodes < this.maxNodes) {
+            const node = open.pop();
+            for (const action of BOT_ACTIONS) {
+                scratch.restore(node.state);
+                for (let i = 0; i < holdSteps && scratch.status == null; i++) simulation.step(action);
+                nodes++;
+                if (scratch.status == "lost") continue;
+
+                // Plans end on solid ground, so the next plan never starts in a doomed jump
+                const child = { state: null, parent: node, action: action, depth: node.depth + 1, h: 0 };
+                const standing = scratch.player.standing;
+                if (scratch.status == "won" || (standing && this.coins(scratch).length < coinsAtStart)) {
+                    this.finish(nodes, true);
+                    return { found: true, inputs: this.inputs(child, holdSteps) };
+                }
+                const key = this.stateKey(scratch);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                child.state = scratch.serialize();
+                child.h = this.heuristic(scratch);
+                if (standing && child.h < closest.h) closest = child;
+                open.push(child, child.depth * holdSteps * this.stepSize + BOT_GREED * child.h);
+            }
+        }
+
+        this.finish(nodes, false);
+        return { found: false, inputs: this.inputs(closest, holdSteps) };
+    }
+
+    finish(nodes, found) {
+        this.stats.plans++;
+        this.stats.nodes += nodes;
+        if (!found) this.stats.failures++;
+    }
+
+    coins(level) {
+        return level.actors.filter(actor => actor.type == "coin");
+    }
+
+    // Seconds to the nearest coin at running speed, ignoring walls
+    heuristic(level) {
+        const player = level.player;
+        let best = Infinity;
+        this.coins(level).forEach(coin => {
+            const dx = coin.pos.x - player.pos.x, dy = coin.pos.y - player.pos.y;
+            best = Math.min(best, Math.sqrt(dx * dx + dy * dy));
+        });
+        return best / playerXSpeed;
+    }
+
+    // Nearby positions with similar vertical speed and the same coins left count as the same state
+    stateKey(level) {
+        const player = level.player;
+        return `${Math.round(player.pos.x * 4)},${Math.round(player.pos.y * 4)},${Math.round(player.speed.y / 4)},${this.coins(level).length}`;
+    }
+
+    inputs(node, holdSteps) {
+        const actions = [];
+        for (; node.parent; node = node.parent) actions.push(node.action);
+        const inputs = [];
+        actions.reverse().forEach(action => {
+            for (let i = 0; i < holdSteps; i++) inputs.push(action);
+        });
+        return inputs;
+    }
+}
+
+// Binary min-heap for the search's open list
+class PlannerHeap {
+    constructor() {
+        this.items = []; // { value, priority }
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value: value, priority: priority });
+        for (let i = items.length - 1; i > 0;) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            for (let i = 0; ;) {
+                const left = 2 * i + 1, right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.value;
+    }
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlannerBot };
+}
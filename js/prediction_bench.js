@@ -0,0 +1,441 @@
+"use strict";
+/**
+ * Prediction Bench
+ * Scores a "world model" against the game itself. Before every simulation step the predictor
+ * is shown the current state and the input about to be applied, and asked for the next
+ * state; after Level.animate has run, the prediction is compared with what actually happened.
+ *
+ *   state:      { step, stepSize, input: { left, right, up }, grid: getSnapshot() rows,
+ *                 player: { pos: { x, y }, speed: { x, y }, state } }
+ *   prediction: { grid, player: { pos: { x, y } } }; either part may be left out, and is then not scored
+ *
+ * The level's physics profile is never part of the state: the model has to infer the laws it
+ * plays under from the motion. The scores are broken down by profile instead.
+ */
+
+// Scored steps between two running reports in the reasoning panel
+const BENCH_REPORT_STEPS = 120;
+// Predictions an asynchronous predictor may have in flight; steps beyond that are skipped
+const BENCH_MAX_PENDING = 8;
+// Events that get a reasoning line of their own (jumps and landings only count towards the summary)
+const BENCH_REPORTED_EVENTS = ["coin", "near_miss", "death", "level_complete"];
+
+// --- PREDICTORS ---
+
+/**
+ * Interface every world model implements.
+ */
+class WorldModelPredictor {
+    /**
+     * @param {Object} state - See the top of this file
+     * @returns {Object|Promise<Object>} - The predicted next state
+     */
+    predict(state) {
+        throw new Error("WorldModelPredictor.predict() is not implemented");
+    }
+
+    // Short name for logs and the saved summary
+    describe() {
+        return "unknown predictor";
+    }
+}
+
+// Baseline: nothing moves, so the next state is the current one
+class StaticPredictor extends WorldModelPredictor {
+    predict(state) {
+        return { grid: state.grid, player: { pos: state.player.pos } };
+    }
+
+    describe() {
+        return "static";
+    }
+}
+
+// Baseline: the player keeps its current speed for one more step; the rest of the grid stays put
+class ConstantVelocityPredictor extends WorldModelPredictor {
+    predict(state) {
+        const { pos, speed } = state.player;
+        const next = { x: pos.x + speed.x * state.stepSize, y: pos.y + speed.y * state.stepSize };
+        return { grid: movePlayerCell(state.grid, pos, next), player: { pos: next } };
+    }
+
+    describe() {
+        return "constant velocity";
+    }
+}
+
+// Wraps a plain function state => prediction (or a promise of one)
+class FunctionPredictor extends WorldModelPredictor {
+    constructor(fn, name) {
+        super();
+        this.fn = fn;
+        this.name = name || fn.name || "function";
+    }
+
+    predict(state) {
+        return this.fn(state);
+    }
+
+    describe() {
+        return this.name;
+    }
+}
+
+// Asks a local server: the state is POSTed as JSON and the reply is the prediction
+// (see tools/mock_predictor_server.py)
+class HttpPredictor extends WorldModelPredictor {
+    /**
+     * @param {Object} options - { endpoint, timeoutMs }
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.endpoint) throw new Error("HttpPredictor needs an endpoint.");
+        this.endpoint = options.endpoint;
+        this.timeoutMs = options.timeoutMs || 1000;
+    }
+
+    async predict(state) {
+        const abort = new AbortController();
+        const timer = setTimeout(() => abort.abort(), this.timeoutMs);
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                signal: abort.signal,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(state)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (e) {
+            if (e.name === 'AbortError') throw new Error(`Timed out after ${this.timeoutMs}ms`);
+            throw e;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    describe() {
+        return this.endpoint;
+    }
+}
+
+// The grid with the '@' moved from where getSnapshot drew it for pos to where it would draw it for next
+function movePlayerCell(grid, pos, next) {
+    const from = { x: Math.round(pos.x), y: Math.round(pos.y) };
+    const to = { x: Math.round(next.x), y: Math.round(next.y) };
+    if (from.x === to.x && from.y === to.y) return grid;
+    const rows = grid.map(row => row.split(""));
+    if (rows[from.y] && rows[from.y][from.x] === "@") rows[from.y][from.x] = " ";
+    if (rows[to.y] && to.x >= 0 && to.x < rows[to.y].length) rows[to.y][to.x] = "@";
+    return rows.map(row => row.join(""));
+}
+
+/**
+ * Builds a predictor from a name: "static", "constant-velocity", or the URL of an endpoint.
+ * @param {string} name
+ * @returns {WorldModelPredictor}
+ */
+function createPredictor(name) {
+    if (name === "static") return new StaticPredictor();
+    if (name === "constant-velocity") return new ConstantVelocityPredictor();
+    if (/^https?:\/\//.test(name)) return new HttpPredictor({ endpoint: name });
+    throw new Error(`Unknown predictor "${name}" (use static, constant-velocity or an http:// endpoint).`);
+}
+
+// --- BENCH ---
+
+class PredictionBench {
+    /**
+     * @param {Object} options - { predictor, stepSize, onReport }
+     *   onReport(text): called with a line for the reasoning panel every BENCH_REPORT_STEPS
+     *   scored steps and after every reported event
+     */
+    constructor(options = {}) {
+        this.predictor = options.predictor;
+        this.stepSize = options.stepSize || FIXED_STEP;
+        this.onReport = options.onReport || null;
+        this.pending = 0; // Asynchronous predictions in flight
+        this.generation = 0; // Bumped by reset(), so late replies are not scored into the next summary
+        this.reset();
+    }
+
+    // Forgets the scores; the recorder starts a new summary with every episode
+    reset() {
+        this.generation++;
+        this.record = null; // Step between beforeStep and afterStep
+        this.skipped = 0;
+        this.failures = 0;
+        this.totals = emptyTotals();
+        this.window = emptyTotals(); // Since the last running report
+        this.events = {}; // Totals by event type
+        this.physics = {}; // Totals by physics profile, "standard" for the standard laws
+    }
+
+    /**
+     * Called right before the simulation steps the level with keys; asks for a prediction.
+     * Steps after the level is decided (the player sinking, the win animation) are not scored.
+     */
+    beforeStep(level, keys, step) {
+        this.record = null;
+        if (level.status != null) return;
+        if (this.pending >= BENCH_MAX_PENDING) {
+            this.skipped++;
+            return;
+        }
+        const record = this.record = {
+            generation: this.generation, step: step, physics: level.physicsProfile || "standard", actual: null, prediction: undefined, events: []
+        };
+        let result;
+        try {
+            result = this.predictor.predict(benchState(level, keys, step, this.stepSize));
+        } catch (e) {
+            this.fail(e);
+            this.record = null;
+            return;
+        }
+        if (result && typeof result.then === 'function') {
+            this.pending++;
+            result.then(prediction => {
+                this.pending--;
+                record.prediction = prediction;
+                if (record.actual && record.generation === this.generation) this.score(record);
+            }, e => {
+                this.pending--;
+                if (record.generation === this.generation) this.fail(e);
+            });
+        } else {
+            record.prediction = result;
+        }
+    }
+
+    // Forwarded from level.onEvent while a step runs, so the error of that step is also counted under the event
+    logEvent(type) {
+        if (this.record) this.record.events.push(type);
+    }
+
+    // Called right after the simulation stepped; scores the prediction once both sides are known
+    afterStep(level) {
+        const record = this.record;
+        this.record = null;
+        if (!record) return;
+        if (level.status === "lost") record.events.push("death");
+        if (level.status === "won") record.events.push("level_complete");
+        record.actual = { grid: level.getSnapshot(), pos: { x: level.player.pos.x, y: level.player.pos.y } };
+        if (record.prediction !== undefined) this.score(record);
+    }
+
+    fail(e) {
+        // A predictor that is down fails every step; a warning a second is enough
+        if (this.failures++ % 60 === 0) console.warn(`[Bench] ${this.predictor.describe()} failed (${this.failures}x): ${e.message}`);
+    }
+
+    score(record) {
+        const error = predictionError(record.prediction || {}, record.actual);
+        addError(this.totals, error);
+        addError(this.window, error);
+        record.events.forEach(type => {
+            if (!this.events[type]) this.events[type] = emptyTotals();
+            addError(this.events[type], error);
+        });
+        if (!this.physics[record.physics]) this.physics[record.physics] = emptyTotals();
+        addError(this.physics[record.physics], error);
+
+        const reported = record.events.filter(type => BENCH_REPORTED_EVENTS.includes(type));
+        if (reported.length > 0) this.report(`${reported.join(", ")} at step ${record.step}: ${describeError(error)}`);
+        if (this.window.frames >= BENCH_REPORT_STEPS) {
+            this.report(`last ${this.window.frames} steps: ${describeTotals(this.window)}`);
+            this.window = emptyTotals();
+        }
+    }
+
+    // Reports the errors over everything scored since the last reset
+    reportTotals() {
+        this.report(`all ${this.totals.frames} steps: ${describeTotals(this.totals)}` +
+            (this.skipped + this.failures > 0 ? ` (${this.skipped} skipped, ${this.failures} failed)` : ""));
+    }
+
+    report(text) {
+        if (this.onReport) this.onReport(`World model (${this.predictor.describe()}) ${text}`);
+    }
+
+    /**
+     * Summary metrics, as saved with the episode.
+     * @returns {Object} - { predictor, frames, skipped, failures, position, cells, events, physics }
+     *   position: { mean, rmse, max } error of the player's position in tiles
+     *   cells: { mean, exact } grid cells predicted wrong per step, and the share of steps with none
+     *   events: { [type]: { frames, position, cells } } mean errors of the steps an event happened in
+     *   physics: { [profile]: { frames, position, cells } } mean errors of the steps played under each physics profile
+     */
+    summary() {
+        const means = byKey => {
+            const result = {};
+            Object.keys(byKey).forEach(key => {
+                const totals = byKey[key];
+                result[key] = { frames: totals.frames, position: meanOf(totals.position), cells: meanOf(totals.cells) };
+            });
+            return result;
+        };
+        const { position, cells } = this.totals;
+        return {
+            predictor: this.predictor.describe(),
+            frames: this.totals.frames,
+            skipped: this.skipped,
+            failures: this.failures,
+            position: position.count > 0 ? {
+                mean: meanOf(position), rmse: Math.sqrt(position.squares / position.count), max: position.max
+            } : null,
+            cells: cells.count > 0 ? { mean: meanOf(cells), exact: cells.exact / cells.count } : null,
+            events: means(this.events),
+            physics: means(this.physics)
+        };
+    }
+
+    // Adds the scores of another bench to this one, e.g. to total a batch of episodes
+    absorb(other) {
+        this.skipped += other.skipped;
+        this.failures += other.failures;
+        mergeTotals(this.totals, other.totals);
+        Object.keys(other.events).forEach(type => {
+            if (!this.events[type]) this.events[type] = emptyTotals();
+            mergeTotals(this.events[type], other.events[type]);
+        });
+        Object.keys(other.physics).forEach(profile => {
+            if (!this.physics[profile]) this.physics[profile] = emptyTotals();
+            mergeTotals(this.physics[profile], other.physics[profile]);
+        });
+    }
+
+    // Settles once the predictions in flight are scored (or have failed)
+    settled() {
+        if (this.pending === 0) return Promise.resolve();
+        return new Promise(resolve => setTimeout(resolve, 5)).then(() => this.settled());
+    }
+}
+
+// What the predictor is shown: plain JSON, so it can be posted as it is
+function benchState(level, keys, step, stepSize) {
+    const player = level.player;
+    return {
+        step: step,
+        stepSize: stepSize,
+        input: { left: !!keys.left, right: !!keys.right, up: !!keys.up },
+        grid: level.getSnapshot(),
+        player: {
+            pos: { x: player.pos.x, y: player.pos.y },
+            speed: { x: player.speed.x, y: player.speed.y },
+            state: player.state || null
+        }
+    };
+}
+
+// Distance of the predicted player from the real one, and grid cells that differ; null where nothing was predicted
+function predictionError(prediction, actual) {
+    let position = null, cells = null;
+    const pos = prediction.player && prediction.player.pos;
+    if (pos && isFinite(pos.x) && isFinite(pos.y)) position = Math.hypot(pos.x - actual.pos.x, pos.y - actual.pos.y);
+    if (Array.isArray(prediction.grid)) {
+        cells = 0;
+        actual.grid.forEach((row, y) => {
+            const predicted = prediction.grid[y];
+            for (let x = 0; x < row.length; x++) {
+                // A grid of the wrong size is wrong wherever it does not line up
+                if (typeof predicted !== 'string' || predicted[x] !== row[x]) cells++;
+            }
+        });
+    }
+    return { position: position, cells: cells };
+}
+
+function emptyTotals() {
+    return {
+        frames: 0,
+        position: { count: 0, sum: 0, squares: 0, max: 0 },
+        cells: { count: 0, sum: 0, exact: 0 }
+    };
+}
+
+function addError(totals, error) {
+    totals.frames++;
+    if (error.position != null) {
+        const p = totals.position;
+        p.count++;
+        p.sum += error.position;
+        p.squares += error.position * error.position;
+        p.max = Math.max(p.max, error.position);
+    }
+    if (error.cells != null) {
+        totals.cells.count++;
+        totals.cells.sum += error.cells;
+        if (error.cells === 0) totals.cells.exact++;
+    }
+}
+
+function mergeTotals(totals, other) {
+    totals.frames += other.frames;
+    const p = totals.position, q = other.position;
+    p.count += q.count;
+    p.sum += q.sum;
+    p.squares += q.squares;
+    p.max = Math.max(p.max, q.max);
+    totals.cells.count += other.cells.count;
+    totals.cells.sum += other.cells.sum;
+    totals.cells.exact += other.cells.exact;
+}
+
+function meanOf(total) {
+    return total.count > 0 ? total.sum / total.count : null;
+}
+
+function describeError(error) {
+    const parts = [];
+    if (error.position != null) parts.push(`player ${error.position.toFixed(2)} tiles off`);
+    if (error.cells != null) parts.push(`${error.cells} cell${error.cells === 1 ? "" : "s"} wrong`);
+    return parts.join(", ") || "nothing predicted";
+}
+
+function describeTotals(totals) {
+    const parts = [];
+    if (totals.position.count > 0) parts.push(`player ${meanOf(totals.position).toFixed(3)} tiles off`);
+    if (totals.cells.count > 0) parts.push(`${meanOf(totals.cells).toFixed(2)} cells wrong per step`);
+    return parts.join(", ") || "nothing predicted";
+}
+
+// Writes a bench line into the reasoning panel without adding it to the agent's saved reasoning
+function showPrediction(text) {
+    const stream = document.getElementById('reasoning-stream');
+    if (!stream) return;
+    const el = document.createElement('div');
+    el.className = 'reasoning-item prediction';
+    el.innerText = `> ${text}`;
+    stream.appendChild(el);
+    stream.scrollTop = stream.scrollHeight;
+}
+
+if (typeof window !== 'undefined') {
+    // ?predictor=static, ?predictor=constant-velocity or ?predictor=http://localhost:8102/predict
+    // benchmarks that world model during play (start.html) or playback (replay.html)
+    const name = new URLSearchParams(window.location.search).get('predictor');
+    if (name) {
+        try {
+            window.predictionBench = new PredictionBench({ predictor: createPredictor(name), onReport: showPrediction });
+            console.log(`[Bench] Benchmarking world model: ${window.predictionBench.predictor.describe()}`);
+        } catch (e) {
+            console.error("[Bench]", e.message);
+        }
+    }
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WorldModelPredictor,
+        StaticPredictor,
+        ConstantVelocityPredictor,
+        FunctionPredictor,
+        HttpPredictor,
+        createPredictor,
+        PredictionBench
+    };
+}
@@ -0,0 +1,252 @@
+"use strict";
+/**
+ * Episode Replay Viewer
+ * Re-simulates a saved episode_*.json from its plans, seeds and input streams
+ * through Level.animate, and shows it in the game view.
+ */
+
+// Icons for the event types the viewer can jump to
+const REPLAY_EVENT_ICONS = { coin: "🪙", near_miss: "😬", idle_stall: "💤", death: "💀", rewind: "⏪", level_complete: "🏁" };
+
+// Restores the level if the player rewound after the steps simulated so far; returns the rewind, if any
+function replayRewind(attempt, simulation) {
+    const rewind = (attempt.rewinds || []).find(r => r.step === simulation.steps);
+    if (rewind) simulation.level.restore(rewind.state);
+    return rewind;
+}
+
+// Steps the next recorded input, then applies the rewind that followed it.
+// A PredictionBench, when given, predicts the step first.
+function replayStep(attempt, simulation, bench = null) {
+    const keys = decodeInput(attempt.inputs[simulation.steps]);
+    if (bench) bench.beforeStep(simulation.level, keys, simulation.steps);
+    simulation.step(keys);
+    if (bench) bench.afterStep(simulation.level);
+    replayRewind(attempt, simulation);
+}
+
+class ReplayViewer {
+    constructor(parent) {
+        this.parent = parent;
+        this.episode = null;
+        this.attempt = null; // Attempt being viewed
+        this.events = []; // { type, step } found by re-simulating the attempt
+        this.level = null;
+        this.simulation = null;
+        this.display = null;
+        this.playing = false;
+        this.speed = 1;
+        this.accumulator = 0;
+        this.onChange = null; // UI hook, called after every seek or frame
+        this.loop = null;
+        this.bench = null; // PredictionBench scoring a world model while the attempt plays
+    }
+
+    /**
+     * Loads an episode saved by GameRecorder.saveHistory.
+     * @param {Object} episode - Parsed episode JSON, compact or full (see episode_codec.js)
+     */
+    load(episode) {
+        episode = decodeEpisode(episode);
+        if (!episode.replay || !Array.isArray(episode.replay.attempts) || episode.replay.attempts.length == 0)
+            throw new Error("Episode has no input log (it was recorded before replays were supported).");
+        this.episode = episode;
+        this.selectAttempt(0);
+    }
+
+    selectAttempt(index) {
+        this.pause();
+        this.attempt = this.episode.replay.attempts[index];
+        this.stepSize = this.episode.replay.step || FIXED_STEP;
+        this.events = this.scan(this.attempt);
+        if (this.bench) this.bench.reset();
+        this.seek(0);
+    }
+
+    // Re-simulates the whole attempt once to find the steps of coins, near-misses, deaths, rewinds and level end
+    scan(attempt) {
+        const level = new Level(attempt.plan, { seed: attempt.seed, physics: attempt.physics });
+        const simulation = new Simulation(level, this.stepSize);
+        const events = [];
+        level.onEvent = function (type) {
+            if (REPLAY_EVENT_ICONS[type]) events.push({ type: type, step: simulation.steps + 1 });
+        };
+
+        let status = null;
+        while (simulation.steps < attempt.inputs.length) {
+            simulation.step(decodeInput(attempt.inputs[simulation.steps]));
+            if (level.status != status) {
+                status = level.status;
+                if (status == "won") events.push({ type: "level_complete", step: simulation.steps });
+                else events.push({ type: "death", step: simulation.steps, cause: level.deathCause.cause });
+            }
+            // A rewind can follow its death within the same step
+            if (replayRewind(attempt, simulation)) {
+                events.push({ type: "rewind", step: simulation.steps });
+                status = level.status;
+            }
+        }
+        if (attempt.status && level.status != attempt.status)
+            console.warn(`[Replay] Replay diverged: recorded "${attempt.status}", re-simulated "${level.status}".`);
+        return events;
+    }
+
+    // Rebuilds the level and steps it forward; seeking backwards restarts from step 0
+    seek(step) {
+        step = Math.max(0, Math.min(step, this.length()));
+        if (!this.simulation || step < this.simulation.steps) {
+            if (this.display) this.display.clear();
+            this.level = new Level(this.attempt.plan, { seed: this.attempt.seed, physics: this.attempt.physics });
+            this.simulation = new Simulation(this.level, this.stepSize);
+            this.display = new DOMDisplay(this.parent, this.level);
+            if (this.bench) this.level.onEvent = type => this.bench.logEvent(type);
+        }
+        while (this.simulation.steps < step)
+            replayStep(this.attempt, this.simulation);
+        this.accumulator = 0;
+        this.display.drawFrame();
+        if (this.onChange) this.onChange();
+    }
+
+    length() {
+        return this.attempt ? this.attempt.inputs.length : 0;
+    }
+
+    currentStep() {
+        return this.simulation ? this.simulation.steps : 0;
+    }
+
+    play() {
+        if (this.playing || !this.attempt) return;
+        if (this.currentStep() >= this.length()) this.seek(0);
+        this.playing = true;
+        // A pause followed by a quick play must not leave two animation loops running
+        const loop = this.loop = {};
+        runAnimation(dt => this.loop === loop && this.frame(dt));
+        if (this.onChange) this.onChange();
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.onChange) this.onChange();
+    }
+
+    // Advances as many fixed steps as the elapsed time (times the speed) covers
+    frame(dt) {
+        if (!this.playing) return false;
+        this.accumulator += dt * this.speed;
+        // Only steps that are played are predicted; seeking skips ahead without the bench
+        while (this.accumulator >= this.stepSize && this.currentStep() < this.length()) {
+            replayStep(this.attempt, this.simulation, this.bench);
+            this.accumulator -= this.stepSize;
+        }
+        this.display.drawFrame();
+        if (this.currentStep() >= this.length()) {
+            this.playing = false;
+            if (this.bench) this.bench.reportTotals();
+        }
+        if (this.onChange) this.onChange();
+        return this.playing;
+    }
+}
+
+// --- PAGE WIRING ---
+function setupReplayPage() {
+    const viewer = new ReplayViewer(document.getElementById("game-wrapper"));
+    // replay.html?predictor=... benchmarks a world model on the attempt as it plays
+    viewer.bench = window.predictionBench || null;
+    if (viewer.bench) document.getElementById("reasoning-panel").classList.remove("hidden");
+    const fileInput = document.getElementById("episode-file");
+    const attemptSelect = document.getElementById("attempt-select");
+    const playButton = document.getElementById("play-button");
+    const scrubber = document.getElementById("scrubber");
+    const speedSelect = document.getElementById("speed-select");
+    const stepLabel = document.getElementById("step-label");
+    const eventList = document.getElementById("replay-events");
+    const status = document.getElementById("replay-status");
+    const exportButton = document.getElementById("export-transitions-button");
+    let loaded = null; // { episode, name } of the episode on show
+
+    viewer.onChange = function () {
+        scrubber.max = viewer.length();
+        scrubber.value = viewer.currentStep();
+        playButton.textContent = viewer.playing ? "Pause" : "Play";
+        stepLabel.textContent = `Step ${viewer.currentStep()} / ${viewer.length()} (${(viewer.currentStep() * viewer.stepSize).toFixed(2)}s)`;
+    };
+
+    function renderEvents() {
+        eventList.innerHTML = "";
+        viewer.events.forEach(event => {
+            const button = document.createElement("button");
+            button.className = `event-item ${event.type}`;
+            button.textContent = `${REPLAY_EVENT_ICONS[event.type] || "📌"} ${event.type}${event.cause ? ` (${event.cause})` : ""} @ ${(event.step * viewer.stepSize).toFixed(2)}s`;
+            // Land a little before the event so it can be watched
+            button.addEventListener("click", () => viewer.seek(event.step - Math.round(1 / viewer.stepSize)));
+            eventList.appendChild(button);
+        });
+    }
+
+    function showEpisode(episode, name) {
+        try {
+            viewer.load(episode);
+        } catch (e) {
+            status.textContent = e.message;
+            return;
+        }
+        attemptSelect.innerHTML = "";
+        episode.replay.attempts.forEach((attempt, i) => {
+            const option = document.createElement("option");
+            option.value = i;
+            option.textContent = `Attempt ${i + 1} (${attempt.status || "unfinished"})`;
+            attemptSelect.appendChild(option);
+        });
+        status.textContent = `${name}: level ${(episode.level || 0) + 1}, seed ${viewer.attempt.seed}`;
+        loaded = { episode: episode, name: name };
+        exportButton.disabled = false;
+        renderEvents();
+    }
+
+    // Transitions of every attempt in the episode, with the encoding and rewards picked on the page
+    exportButton.addEventListener("click", () => {
+        const reward = id => Number(document.getElementById(`reward-${id}`).value);
+        const exporter = new TransitionExporter({
+            encoding: document.getElementById("encoding-select").value,
+            rewards: { coin: reward("coin"), win: reward("win"), death: reward("death"), step: reward("step") }
+        });
+        const id = loaded.name.replace(/^.*\//, "").replace(/\.json$/, "");
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([exporter.toJSONL([{ episode: loaded.episode, id: id }])], { type: "application/x-ndjson" }));
+        link.download = `${id}_transitions.jsonl`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    fileInput.addEventListener("change", () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text().then(text => showEpisode(JSON.parse(text), file.name));
+    });
+    attemptSelect.addEventListener("change", () => {
+        viewer.selectAttempt(Number(attemptSelect.value));
+        renderEvents();
+    });
+    playButton.addEventListener("click", () => viewer.playing ? viewer.pause() : viewer.play());
+    scrubber.addEventListener("input", () => {
+        viewer.pause();
+        viewer.seek(Number(scrubber.value));
+    });
+    speedSelect.addEventListener("change", () => {
+        viewer.speed = Number(speedSelect.value);
+    });
+
+    // replay.html?episode=episodes/episode_123.json loads straight from the server
+    const url = new URLSearchParams(location.search).get("episode");
+    if (url) {
+        fetch(url)
+            .then(response => response.json())
+            .then(episode => showEpisode(episode, url))
+            .catch(e => { status.textContent = `Could not load ${url}: ${e.message}`; });
+    }
+}
+
+if (typeof document !== 'undefined') setupReplayPage();
@@ -0,0 +1,209 @@
+"use strict";
+/**
+ * Session Store
+ * Saves the whole game session (level, lives, the plan being played, and everything the
+ * agent and recorder hold) to localStorage save slots, and offers to continue on load.
+ */
+
+const SESSION_VERSION = 1;
+const SESSION_SLOTS = 3;
+const SESSION_KEY_PREFIX = "jumper.session.";
+const ACTIVE_SLOT_KEY = "jumper.activeSlot";
+
+class SessionStore {
+    /**
+     * @param {Storage} storage - localStorage by default, or null to disable saving
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.activeSlot = Number(storage && storage.getItem(ACTIVE_SLOT_KEY)) || 1;
+    }
+
+    /**
+     * Builds a session snapshot.
+     * @param {number} level - Level index being played
+     * @param {number} lives - Lives left
+     * @param {Object} spec - Level spec being played ({ plan, seed, ... })
+     * @param {LMMAgent} agent
+     * @param {GameRecorder} recorder
+     */
+    static capture(level, lives, spec, agent, recorder) {
+        return {
+            version: SESSION_VERSION,
+            savedAt: new Date().toISOString(),
+            level: level,
+            lives: lives,
+            spec: spec,
+            agent: agent ? agent.toJSON() : null,
+            recorder: recorder ? recorder.toJSON() : null
+        };
+    }
+
+    // Puts a snapshot's agent and recorder state back into the live objects
+    static restore(session, agent, recorder) {
+        if (agent && session.agent) agent.restore(session.agent);
+        if (recorder && session.recorder) recorder.restore(session.recorder);
+    }
+
+    /**
+     * Checks a snapshot read from storage or an imported file.
+     * @returns {string|null} - Why it cannot be used, or null if it can
+     */
+    static validate(session) {
+        if (!session || typeof session !== 'object') return "Not a save file.";
+        if (session.version !== SESSION_VERSION) return `Unsupported save version ${session.version}.`;
+        if (!session.spec || !Array.isArray(session.spec.plan)) return "Save has no level plan.";
+        if (typeof session.level !== 'number' || typeof session.lives !== 'number') return "Save has no level or lives.";
+        return null;
+    }
+
+    load(slot) {
+        if (!this.storage) return null;
+        try {
+            const session = JSON.parse(this.storage.getItem(SESSION_KEY_PREFIX + slot));
+            return SessionStore.validate(session) ? null : session;
+        } catch (e) {
+            console.warn(`[Session] Slot ${slot} is unreadable.`, e);
+            return null;
+        }
+    }
+
+    save(slot, session) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(SESSION_KEY_PREFIX + slot, JSON.stringify(session));
+            return true;
+        } catch (e) {
+            // Usually the storage quota
+            console.error(`[Session] Could not save slot ${slot}:`, e);
+            return false;
+        }
+    }
+
+    remove(slot) {
+        if (this.storage) this.storage.removeItem(SESSION_KEY_PREFIX + slot);
+    }
+
+    use(slot) {
+        this.activeSlot = slot;
+        if (this.storage) this.storage.setItem(ACTIVE_SLOT_KEY, String(slot));
+    }
+
+    autosave(level, lives, spec, agent, recorder) {
+        return this.save(this.activeSlot, SessionStore.capture(level, lives, spec, agent, recorder));
+    }
+
+    // Every slot with its saved session, or null when empty
+    slots() {
+        const slots = [];
+        for (let slot = 1; slot <= SESSION_SLOTS; slot++) slots.push({ slot: slot, session: this.load(slot) });
+        return slots;
+    }
+
+    static describe(session) {
+        const when = new Date(session.savedAt).toLocaleString();
+        return `Level ${session.level + 1} • ${session.lives} lives • Tier ${session.agent ? session.agent.difficultyTier : 1} • saved ${when}`;
+    }
+}
+
+// --- SAVE FILES ---
+function downloadSession(session, name) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(session)], { type: "application/json" }));
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function readSessionFile(file) {
+    return file.text().then(text => {
+        const session = JSON.parse(text);
+        const invalid = SessionStore.validate(session);
+        if (invalid) throw new Error(invalid);
+        return session;
+    });
+}
+
+// --- CONTINUE MENU ---
+/**
+ * Offers the save slots in the overlay before the game starts, along with importing a save
+ * file. The menu shows even when nothing has been saved yet, so a save from another browser
+ * can be brought in before the first game.
+ * @param {SessionStore} store
+ * @param {Function} start - Called with the session to resume, or null for a new game
+ */
+function offerSessions(store, start) {
+    const menu = document.getElementById("session-menu");
+    const list = document.getElementById("session-slots");
+    if (!menu) {
+        start(null);
+        return;
+    }
+    const slots = store.slots();
+    const saved = slots.some(entry => entry.session);
+
+    function choose(slot, session) {
+        store.use(slot);
+        menu.classList.add("hidden");
+        showOverlay("", false);
+        console.log(`[Session] ${session ? "Continuing" : "New game in"} slot ${slot}.`);
+        start(session);
+    }
+
+    list.innerHTML = "";
+    slots.forEach(({ slot, session }) => {
+        const row = list.appendChild(document.createElement("div"));
+        row.className = "session-slot";
+        const label = row.appendChild(document.createElement("span"));
+        label.textContent = `Slot ${slot}: ${session ? SessionStore.describe(session) : "empty"}`;
+        const button = (text, onClick) => {
+            const b = row.appendChild(document.createElement("button"));
+            b.textContent = text;
+            b.addEventListener("click", onClick);
+        };
+        if (session) {
+            button("Continue", () => choose(slot, session));
+            button("Export", () => downloadSession(session, `jumper_session_slot${slot}.json`));
+        }
+        button("New game", () => choose(slot, null));
+    });
+
+    // An imported save goes into the active slot; a session already there is only replaced if the player agrees
+    document.getElementById("session-import").onchange = event => {
+        const file = event.target.files[0];
+        event.target.value = ""; // The same file can be picked again after a cancel
+        if (!file) return;
+        const message = document.getElementById("overlay-message");
+        readSessionFile(file)
+            .then(session => {
+                const current = store.load(store.activeSlot);
+                if (current && !confirm(`Replace slot ${store.activeSlot} (${SessionStore.describe(current)}) with the imported save?`)) {
+                    message.textContent = "Import cancelled.";
+                    return;
+                }
+                store.save(store.activeSlot, session);
+                choose(store.activeSlot, session);
+            })
+            .catch(e => { message.textContent = `Could not import: ${e.message}`; });
+    };
+
+    showOverlay(saved ? "Pick a save slot" : "Start a new game, or import a save file", true);
+    document.getElementById("overlay-title").textContent = saved ? "Continue?" : "New game";
+    menu.classList.remove("hidden");
+}
+
+if (typeof window !== 'undefined') {
+    window.sessionStore = new SessionStore();
+    const exportButton = document.getElementById("export-session");
+    if (exportButton) exportButton.addEventListener("click", () => {
+        const store = window.sessionStore;
+        const session = store.load(store.activeSlot);
+        if (session) downloadSession(session, `jumper_session_slot${store.activeSlot}.json`);
+        else console.warn(`[Session] Nothing saved in slot ${store.activeSlot} yet.`);
+    });
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionStore, readSessionFile, offerSessions };
+}
@@ -0,0 +1,187 @@
+"use strict";
+/**
+ * Skill Model
+ * Elo-style estimate of the player's skill, and the level generator knobs that follow from it.
+ * Every episode is scored from its telemetry and compared with the success the rating predicted;
+ * the next level is pitched so the player is expected to succeed TARGET_SUCCESS of the time.
+ */
+
+// Difficulty ratings map onto the generator knobs between these two points
+const DIFFICULTY_MIN = 800;
+const DIFFICULTY_MAX = 1800;
+const STARTING_RATING = 1000;
+const PREDEFINED_DIFFICULTY = STARTING_RATING; // Hand-made levels carry no rating of their own
+const DIFFICULTY_PER_TIER = 200; // For callers that still think in integer tiers; tier 1 starts at STARTING_RATING
+const TARGET_SUCCESS = 0.7;
+const SUCCESS_BAND = [0.6, 0.8];
+const RECENT_RESULTS = 10;
+
+// Each knob runs from its easiest value (at DIFFICULTY_MIN) to its hardest (at DIFFICULTY_MAX).
+// A knob with `from` stays at its easiest value until that fraction of the range.
+const GENERATOR_KNOBS = {
+    gapWidth: { label: "Gap width", easy: 2, hard: 5, round: true }, // Widest jump between platforms, tiles
+    heightVariance: { label: "Height variance", easy: 0, hard: 2, round: true }, // Largest step between platforms, tiles
+    lavaDensity: { label: "Lava density", easy: 0, hard: 0.4 }, // Chance of lava on an inner platform tile
+    platformLength: { label: "Platform length", easy: 6, hard: 3, round: true }, // Shortest platform, tiles
+    levelLength: { label: "Level length", easy: 20, hard: 80, round: true }, // Level width, tiles
+    movingHazards: { label: "Moving hazards", easy: 0, hard: 3, round: true, from: 0.4 } // Moving lava blocks
+};
+
+function knobsForDifficulty(difficulty) {
+    const t = Math.max(0, Math.min(1, (difficulty - DIFFICULTY_MIN) / (DIFFICULTY_MAX - DIFFICULTY_MIN)));
+    const knobs = {};
+    Object.keys(GENERATOR_KNOBS).forEach(name => {
+        const knob = GENERATOR_KNOBS[name];
+        const from = knob.from || 0;
+        const value = knob.easy + (knob.hard - knob.easy) * Math.max(0, (t - from) / (1 - from));
+        knobs[name] = knob.round ? Math.round(value) : Math.round(value * 100) / 100;
+    });
+    return knobs;
+}
+
+function difficultyForTier(tier) {
+    return STARTING_RATING + (tier - 1) * DIFFICULTY_PER_TIER;
+}
+
+function tierForDifficulty(difficulty) {
+    return 1 + Math.max(0, Math.round((difficulty - STARTING_RATING) / DIFFICULTY_PER_TIER));
+}
+
+function knobsForTier(tier) {
+    return knobsForDifficulty(difficultyForTier(tier));
+}
+
+class SkillModel {
+    constructor(options = {}) {
+        this.rating = options.rating != null ? options.rating : STARTING_RATING;
+        this.games = 0;
+        this.results = []; // Recent outcomes, true for a win
+    }
+
+    // Chance the player clears a level of this difficulty
+    expectedSuccess(difficulty) {
+        return 1 / (1 + Math.pow(10, (difficulty - this.rating) / 400));
+    }
+
+    /**
+     * Scores one episode from 0 (hopeless) to 1 (fast, deathless win with every coin).
+     * @param {Object} summary - GameRecorder.getSummary()
+     * @param {string} outcome - 'win' | 'loss'
+     * @param {Array<string>} plan - The level that was played, for coin count and par time
+     * @returns {Object} - { score, parts: { attempts, coins, jumps, time } }
+     */
+    score(summary, outcome, plan) {
+        const events = summary.events || [];
+        // Rewinds cost a life, so they count as deaths
+        const deaths = events.filter(e => e.type === 'death' || e.type === 'rewind').length;
+        const jumps = events.filter(e => e.type === 'jump_start').length;
+        const landed = events.filter(e => e.type === 'land' && e.data.jumped).length;
+
+        // Coins count per attempt, since every retry starts with all of them back
+        const coinsByAttempt = {};
+        events.filter(e => e.type === 'coin').forEach(e => {
+            coinsByAttempt[e.attempt] = (coinsByAttempt[e.attempt] || 0) + 1;
+        });
+        const bestCoins = Math.max(0, ...Object.values(coinsByAttempt));
+        const totalCoins = plan ? plan.join("").split("o").length - 1 : bestCoins;
+        // Par: crossing the level twice at full running speed
+        const par = plan ? plan[0].length / playerXSpeed * 2 : 10;
+
+        const parts = {
+            attempts: outcome === 'win' ? 1 / (1 + deaths) : 0,
+            coins: totalCoins > 0 ? Math.min(1, bestCoins / totalCoins) : 0,
+            jumps: jumps > 0 ? Math.min(1, landed / jumps) : 1,
+            time: outcome === 'win' && summary.duration > 0 ? Math.min(1, par / summary.duration) : 0
+        };
+        const score = 0.55 * parts.attempts + 0.15 * (parts.coins + parts.jumps + parts.time);
+        return { score: score, parts: parts };
+    }
+
+    /**
+     * Moves the rating by how much better or worse the episode went than expected.
+     * @param {Object} spec - The level spec that was played; specs without a difficulty count as PREDEFINED_DIFFICULTY
+     * @returns {Object} - { before, after, difficulty, expected, score, parts }
+     */
+    update(summary, outcome, spec) {
+        const difficulty = spec && spec.difficulty != null ? spec.difficulty : PREDEFINED_DIFFICULTY;
+        const expected = this.expectedSuccess(difficulty);
+        const { score, parts } = this.score(summary, outcome, spec && spec.plan);
+        // Big steps while the estimate is young, smaller ones once it has settled
+        const k = Math.max(50, 200 / Math.sqrt(1 + this.games));
+        const before = this.rating;
+        this.rating = Math.round(this.rating + k * (score - expected));
+        this.games++;
+        this.results = this.results.concat(outcome === 'win').slice(-RECENT_RESULTS);
+        return { before: before, after: this.rating, difficulty: difficulty, expected: expected, score: score, parts: parts };
+    }
+
+    // Difficulty at which the player is expected to succeed TARGET_SUCCESS of the time
+    nextDifficulty() {
+        return Math.round(this.rating + 400 * Math.log10(1 / TARGET_SUCCESS - 1));
+    }
+
+    successRate() {
+        if (this.results.length === 0) return null;
+        return this.results.filter(won => won).length / this.results.length;
+    }
+
+    /**
+     * Knobs for the next level. The difficulty sets all of them, then the last episode's
+     * telemetry eases the ones the player actually struggled with.
+     * @returns {Object} - { knobs, reasons: { knobName: why it was eased } }
+     */
+    planKnobs(difficulty, summary) {
+        const knobs = knobsForDifficulty(difficulty);
+        const reasons = {};
+        const events = summary && summary.events || [];
+        const diedBy = cause => events.filter(e => (e.type === 'death' || e.type === 'rewind') && e.data && e.data.cause === cause).length;
+        const jumps = events.filter(e => e.type === 'jump_start').length;
+        const landed = events.filter(e => e.type === 'land' && e.data.jumped).length;
+
+        const fell = diedBy('fell');
+        if (fell >= 2 && knobs.gapWidth > GENERATOR_KNOBS.gapWidth.easy) {
+            knobs.gapWidth--;
+            reasons.gapWidth = `${fell} falls into gaps last episode`;
+        }
+        const burned = diedBy('static_lava');
+        if (burned >= 2 && knobs.lavaDensity > 0) {
+            knobs.lavaDensity = Math.round(knobs.lavaDensity * 50) / 100;
+            reasons.lavaDensity = `${burned} deaths on lava last episode`;
+        }
+        const hit = diedBy('moving_lava');
+        if (hit >= 2 && knobs.movingHazards > 0) {
+            knobs.movingHazards--;
+            reasons.movingHazards = `${hit} deaths to moving lava last episode`;
+        }
+        if (jumps >= 4 && landed / jumps < 0.5 && knobs.heightVariance > 0) {
+            knobs.heightVariance--;
+            reasons.heightVariance = `only ${landed} of ${jumps} jumps landed`;
+        }
+        return { knobs: knobs, reasons: reasons };
+    }
+
+    toJSON() {
+        return { rating: this.rating, games: this.games, results: this.results };
+    }
+
+    static fromJSON(data) {
+        const model = new SkillModel();
+        if (data) Object.assign(model, data);
+        return model;
+    }
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SkillModel,
+        GENERATOR_KNOBS,
+        knobsForDifficulty,
+        knobsForTier,
+        difficultyForTier,
+        tierForDifficulty,
+        PREDEFINED_DIFFICULTY,
+        TARGET_SUCCESS,
+        SUCCESS_BAND
+    };
+}
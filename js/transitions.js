@@ -0,0 +1,161 @@
+"use strict";
+/**
+ * Transition Exporter
+ * Turns recorded episodes into (obs, action, reward, next_obs, done) transitions for
+ * world-model training, one per fixed simulation step, as JSONL. Attempts are
+ * re-simulated from their input streams, so every step is covered, not only the
+ * history frames the recorder kept.
+ */
+
+const TRANSITION_ENCODINGS = ["ascii", "onehot", "crop"];
+// One one-hot channel per getSnapshot character
+const TRANSITION_CHANNELS = [" ", "x", "!", "o", "@", "=", "|", "v"];
+const TRANSITION_REWARDS = { coin: 1, win: 1, death: -1, step: -0.001 };
+const TRANSITION_CROP = { width: 21, height: 11 };
+
+class TransitionExporter {
+    /**
+     * @param {Object} options - { encoding: 'ascii' | 'onehot' | 'crop', rewards: { coin, win, death, step },
+     *                             crop: { width, height } }
+     */
+    constructor(options = {}) {
+        this.encoding = options.encoding || "ascii";
+        if (!TRANSITION_ENCODINGS.includes(this.encoding))
+            throw new Error(`Unknown observation encoding "${this.encoding}" (use ${TRANSITION_ENCODINGS.join(", ")}).`);
+        this.rewards = { ...TRANSITION_REWARDS, ...options.rewards };
+        this.crop = { ...TRANSITION_CROP, ...options.crop };
+    }
+
+    /**
+     * @param {Object} episode - Episode JSON, as saved by GameRecorder.saveHistory (compact or full)
+     * @param {string} id - Written into every transition to tell episodes apart
+     * @returns {Array<Object>} - { episode, attempt, step, obs, action, reward, next_obs, done }
+     */
+    episodeTransitions(episode, id) {
+        episode = decodeEpisode(episode);
+        if (!episode.replay || !Array.isArray(episode.replay.attempts))
+            throw new Error("Episode has no input log (it was recorded before replays were supported).");
+        const stepSize = episode.replay.step || FIXED_STEP;
+        const transitions = [];
+        episode.replay.attempts.forEach((attempt, index) => {
+            this.attemptTransitions(attempt, stepSize).forEach(transition => {
+                transitions.push({ episode: id, attempt: index, ...transition });
+            });
+        });
+        return transitions;
+    }
+
+    // Steps through one attempt. The level's finishing animation after a death or win is
+    // skipped; a rewind after a death starts a new run of transitions from the restored state.
+    attemptTransitions(attempt, stepSize) {
+        const level = new Level(attempt.plan, { seed: attempt.seed, physics: attempt.physics });
+        const simulation = new Simulation(level, stepSize);
+        const rewinds = new Map((attempt.rewinds || []).map(rewind => [rewind.step, rewind.state]));
+        let coins = 0;
+        level.onEvent = function (type) {
+            if (type == "coin") coins++;
+        };
+
+        const transitions = [];
+        let obs = this.observe(level);
+        for (let i = 0; i < attempt.inputs.length; i++) {
+            const playing = level.status == null;
+            coins = 0;
+            simulation.step(decodeInput(attempt.inputs[i]));
+            if (playing) {
+                const next = this.observe(level);
+                transitions.push({
+                    step: i,
+                    obs: obs,
+                    action: attempt.inputs.charCodeAt(i) - 48,
+                    reward: this.reward(coins, level.status),
+                    next_obs: next,
+                    done: level.status != null
+                });
+                obs = next;
+            }
+            if (rewinds.has(simulation.steps)) {
+                level.restore(rewinds.get(simulation.steps));
+                obs = this.observe(level);
+            }
+        }
+        return transitions;
+    }
+
+    reward(coins, status) {
+        let reward = this.rewards.step + coins * this.rewards.coin;
+        if (status == "won") reward += this.rewards.win;
+        if (status == "lost") reward += this.rewards.death;
+        return Math.round(reward * 1e6) / 1e6;
+    }
+
+    // --- OBSERVATIONS ---
+    // Every encoding also carries the exact player position and speed, which the grid rounds away
+
+    observe(level) {
+        const player = level.player;
+        const obs = {
+            player: {
+                x: round3(player.pos.x), y: round3(player.pos.y),
+                vx: round3(player.speed.x), vy: round3(player.speed.y)
+            }
+        };
+        const grid = level.getSnapshot();
+        if (this.encoding == "ascii") obs.grid = grid;
+        else if (this.encoding == "crop") obs.grid = this.cropGrid(grid, player);
+        else obs.tensor = this.oneHot(grid);
+        return obs;
+    }
+
+    // Height x width x channel tensor, flattened row-major
+    oneHot(grid) {
+        const channels = TRANSITION_CHANNELS.length;
+        const data = new Array(grid.length * grid[0].length * channels).fill(0);
+        grid.forEach((row, y) => [...row].forEach((ch, x) => {
+            const channel = Math.max(0, TRANSITION_CHANNELS.indexOf(ch));
+            data[(y * row.length + x) * channels + channel] = 1;
+        }));
+        return { shape: [grid.length, grid[0].length, channels], channels: TRANSITION_CHANNELS, data: data };
+    }
+
+    // Window around the player; outside the level reads as Level.obstacleAt sees it:
+    // wall at the sides and top, lava below
+    cropGrid(grid, player) {
+        const cx = Math.floor(player.pos.x + player.size.x / 2);
+        const cy = Math.floor(player.pos.y + player.size.y / 2);
+        const left = cx - Math.floor(this.crop.width / 2);
+        const top = cy - Math.floor(this.crop.height / 2);
+        const rows = [];
+        for (let y = top; y < top + this.crop.height; y++) {
+            let row = "";
+            for (let x = left; x < left + this.crop.width; x++) {
+                if (y >= grid.length) row += "!";
+                else if (y < 0 || x < 0 || x >= grid[0].length) row += "x";
+                else row += grid[y][x];
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * @param {Array<Object>} episodes - { episode, id } pairs
+     * @returns {string} - One JSON transition per line
+     */
+    toJSONL(episodes) {
+        const lines = [];
+        episodes.forEach(({ episode, id }) => {
+            this.episodeTransitions(episode, id).forEach(transition => lines.push(JSON.stringify(transition)));
+        });
+        return lines.length > 0 ? lines.join("\n") + "\n" : "";
+    }
+}
+
+function round3(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TransitionExporter, TRANSITION_ENCODINGS, TRANSITION_REWARDS };
+}
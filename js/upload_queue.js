@@ -0,0 +1,348 @@
+"use strict";
+/**
+ * Upload Queue
+ * Persistent outbox for recorded sessions. GameRecorder hands it every upload chunk, and the
+ * chunks stay in IndexedDB until the server has the whole session, so episodes recorded while
+ * server.py is down or restarting go out once it is back, even after a reload. Failed posts
+ * are retried with exponential backoff. A session's chunks are keyed by session id and
+ * sequence number, so queuing or sending one twice does no harm. A chunk the server keeps
+ * refusing parks its session, which then waits to be downloaded instead of holding up the rest.
+ */
+
+const UPLOAD_DB_NAME = "jumper.uploads";
+const UPLOAD_STORE = "chunks";
+const UPLOAD_RETRY_BASE = 2; // Seconds before the first retry; doubles with every failure in a row
+const UPLOAD_RETRY_MAX = 300;
+const UPLOAD_MAX_TRIES = 5; // Server errors (5xx) on one chunk before its session is parked; a 4xx parks it at once
+// An unreachable server counts toward neither: the chunk waits for it however long it is down
+// Sessions whose chunks were all sent but that never sent their final chunk (the tab was closed
+// mid-session) are dropped after this long; server.py saves them as incomplete episodes by then
+const UPLOAD_SESSION_EXPIRY = 24 * 60 * 60 * 1000; // ms
+
+class UploadQueue {
+    /**
+     * @param {Object} options - { endpoint, indexedDB }
+     *   endpoint: server the chunks are posted to ("" for the page's own)
+     *   indexedDB: the browser's by default; with null the queue only lives in memory
+     */
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || "";
+        this.idb = options.indexedDB !== undefined ? options.indexedDB : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.memory = new Map(); // Queued items by id that IndexedDB could not take (or all, without it)
+        this.db = null; // Promise of the open database
+        this.failures = 0; // Failed posts in a row
+        this.retryAt = 0; // When the next attempt is due after a failure (ms timestamp)
+        this.retryTimer = null;
+        this.draining = null; // Promise of the drain in progress
+        this.onChange = null; // UI hook, called with status() whenever the queue changes
+    }
+
+    // --- STORAGE ---
+    // Items are { id, session, seq, final, queuedAt, sent, tries, parked, chunk }; sent chunks are
+    // kept until their session is complete on the server, so pending episodes can always be
+    // downloaded whole. tries counts the failed posts of the chunk; parked marks every chunk of a
+    // session the server will not take.
+
+    open() {
+        if (!this.idb) return Promise.resolve(null);
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = this.idb.open(UPLOAD_DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(UPLOAD_STORE, { keyPath: "id" });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(e => {
+                console.warn("[Upload] IndexedDB unavailable, queue kept in memory only:", e);
+                this.idb = null;
+                return null;
+            });
+        }
+        return this.db;
+    }
+
+    // Runs fn(store) in one transaction and resolves with the request's result once it commits
+    transaction(mode, fn) {
+        return this.open().then(db => {
+            if (!db) return fn(null);
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(UPLOAD_STORE, mode);
+                const request = fn(tx.objectStore(UPLOAD_STORE));
+                tx.oncomplete = () => resolve(request ? request.result : undefined);
+                tx.onerror = () => reject(tx.error);
+            });
+        });
+    }
+
+    // Every queued item, oldest session first and each session's chunks in order
+    items() {
+        return this.transaction("readonly", store => store ? store.getAll() : null)
+            .then(stored => [...(stored || []), ...this.memory.values()]
+                .sort((a, b) => a.queuedAt - b.queuedAt || (a.session < b.session ? -1 : a.session > b.session ? 1 : a.seq - b.seq)));
+    }
+
+    put(item) {
+        if (this.memory.has(item.id)) {
+            this.memory.set(item.id, item);
+            return Promise.resolve();
+        }
+        return this.transaction("readwrite", store => store ? store.put(item) : void this.memory.set(item.id, item));
+    }
+
+    removeSession(session) {
+        return this.items().then(items => {
+            const ids = items.filter(item => item.session === session).map(item => item.id);
+            ids.forEach(id => this.memory.delete(id));
+            return this.transaction("readwrite", store => {
+                if (store) ids.forEach(id => store.delete(id));
+            });
+        });
+    }
+
+    // --- SENDING ---
+
+    /**
+     * Queues a chunk (see GameRecorder.nextChunk) and starts sending.
+     * @returns {Promise} - Settles once the chunk is stored; sending goes on in the background
+     */
+    enqueue(chunk) {
+        const item = {
+            id: `${chunk.session}:${String(chunk.seq).padStart(6, "0")}`,
+            session: chunk.session,
+            seq: chunk.seq,
+            final: !!chunk.final,
+            queuedAt: Date.now(),
+            sent: false,
+            tries: 0,
+            parked: false,
+            chunk: chunk
+        };
+        // The rest of a parked session is parked with it
+        return this.items()
+            .then(items => {
+                item.parked = items.some(other => other.session === item.session && other.parked);
+                return this.put(item);
+            })
+            .catch(e => {
+                // Usually the storage quota; the chunk is still sent from memory
+                console.error(`[Upload] Could not store chunk ${item.id}:`, e);
+                this.memory.set(item.id, item);
+            })
+            .then(() => {
+                this.changed();
+                // While a retry is scheduled new chunks wait for it, so the backoff holds
+                if (!this.retryTimer) this.drain();
+            });
+    }
+
+    /**
+     * Sends the unsent chunks in order, until one fails; that one is retried after a backoff.
+     * @returns {Promise<boolean>} - Whether everything queued was sent
+     */
+    drain() {
+        if (this.draining) return this.draining;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.draining = this.sendPending()
+            .catch(e => {
+                this.failures++;
+                const delay = Math.min(UPLOAD_RETRY_BASE * Math.pow(2, this.failures - 1), UPLOAD_RETRY_MAX);
+                this.retryAt = Date.now() + delay * 1000;
+                this.retryTimer = setTimeout(() => this.drain(), delay * 1000);
+                console.warn(`[Upload] ${e.message} Retrying in ${delay}s.`);
+                return false;
+            })
+            .then(done => {
+                this.draining = null;
+                this.changed();
+                return done;
+            });
+        return this.draining;
+    }
+
+    // Chunks queued while this runs are sent in the same drain. A failure the server will not
+    // get over parks the chunk's session and the drain goes on with the next one; any other
+    // failure, and a server that cannot be reached at all, stops the drain for a retry.
+    async sendPending() {
+        await this.expireSessions();
+        let unsent;
+        while ((unsent = (await this.items()).filter(item => !item.sent && !item.parked)).length > 0) {
+            for (const item of unsent) {
+                try {
+                    await this.send(item);
+                } catch (e) {
+                    if (!e.status) throw e; // Unreachable: no answer to hold against the chunk
+                    item.tries = (item.tries || 0) + 1;
+                    if (e.retryable !== false && item.tries < UPLOAD_MAX_TRIES) {
+                        await this.put(item);
+                        throw e;
+                    }
+                    console.error(`[Upload] ${e.message} Session ${item.session} is parked; download it from the pending episodes.`);
+                    await this.parkSession(item.session);
+                    break;
+                }
+            }
+        }
+        return true;
+    }
+
+    parkSession(session) {
+        return this.items().then(items => Promise.all(items
+            .filter(item => item.session === session)
+            .map(item => this.put({ ...item, parked: true }))));
+    }
+
+    // Drops the sessions that sent everything but their final chunk and went quiet
+    expireSessions() {
+        const before = Date.now() - UPLOAD_SESSION_EXPIRY;
+        return this.items().then(items => {
+            const sessions = new Map();
+            items.forEach(item => {
+                if (!sessions.has(item.session)) sessions.set(item.session, []);
+                sessions.get(item.session).push(item);
+            });
+            const expired = [...sessions].filter(([, chunks]) =>
+                chunks.every(item => item.sent) && Math.max(...chunks.map(item => item.queuedAt)) < before);
+            return Promise.all(expired.map(([session]) => {
+                console.log(`[Upload] Session ${session} never finished; dropping its sent chunks.`);
+                return this.removeSession(session);
+            }));
+        });
+    }
+
+    async send(item) {
+        await this.post(item.chunk);
+        this.failures = 0;
+        this.retryAt = 0;
+        if (item.final) {
+            await this.removeSession(item.session);
+        } else {
+            item.sent = true;
+            await this.put(item);
+        }
+        this.changed();
+    }
+
+    async post(chunk) {
+        let response;
+        try {
+            response = await fetch(`${this.endpoint}/save_chunk`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(chunk)
+            });
+        } catch (e) {
+            throw new Error(`Server unreachable (${e.message}).`);
+        }
+        if (!response.ok) {
+            const error = new Error(`Server answered ${response.status} to chunk ${chunk.seq} of session ${chunk.session}.`);
+            // A 4xx will be the same answer next time; a 5xx may pass once the server recovers
+            error.status = response.status;
+            error.retryable = response.status >= 500;
+            throw error;
+        }
+        const result = await response.json();
+        console.log(`[Upload] Chunk ${chunk.seq}${chunk.final ? " (final)" : ""} of session ${chunk.session}: ${result.status}`);
+        return result;
+    }
+
+    // --- STATUS ---
+
+    /**
+     * @returns {Promise<Object>} - { episodes, chunks, parked, failures, retryAt }: sessions and chunks
+     *   still to send, and sessions the server would not take, which wait to be downloaded
+     */
+    status() {
+        return this.items().then(items => {
+            const unsent = items.filter(item => !item.sent && !item.parked);
+            return {
+                episodes: new Set(unsent.map(item => item.session)).size,
+                chunks: unsent.length,
+                parked: new Set(items.filter(item => item.parked).map(item => item.session)).size,
+                failures: this.failures,
+                retryAt: this.retryAt
+            };
+        });
+    }
+
+    changed() {
+        if (this.onChange) this.status().then(this.onChange);
+    }
+
+    /**
+     * Every session not yet complete on the server, as a compact episode (see episode_codec.js).
+     * @returns {Promise<Array<Object>>} - { session, episode, parked }
+     */
+    pendingEpisodes() {
+        return this.items().then(items => {
+            const sessions = new Map();
+            items.forEach(item => {
+                if (!sessions.has(item.session)) sessions.set(item.session, []);
+                sessions.get(item.session).push(item);
+            });
+            return [...sessions].map(([session, chunks]) => ({
+                session: session,
+                episode: assembleChunks(chunks.map(item => item.chunk)),
+                parked: chunks.some(item => item.parked)
+            }));
+        });
+    }
+}
+
+// --- HUD ---
+// "⬆ 2 episodes pending" next to the lives while anything waits to be sent; clicking it, or
+// the button in the controls panel, downloads the pending episodes as files server.py would write.
+
+function showUploadStatus(status) {
+    const element = document.getElementById("upload-status");
+    if (!element) return;
+    element.classList.toggle("hidden", status.chunks === 0 && status.parked === 0);
+    const parts = [];
+    if (status.chunks > 0) {
+        let text = `⬆ ${status.episodes} episode${status.episodes === 1 ? "" : "s"} pending`;
+        if (status.retryAt > Date.now()) text += ` (retry in ${Math.ceil((status.retryAt - Date.now()) / 1000)}s)`;
+        parts.push(text);
+    }
+    if (status.parked > 0) parts.push(`⚠ ${status.parked} refused by the server, click to download`);
+    element.textContent = parts.join(" · ");
+}
+
+function downloadPendingEpisodes(queue) {
+    return queue.pendingEpisodes().then(pending => {
+        if (pending.length === 0) console.log("[Upload] No pending episodes to download.");
+        pending.forEach(({ session, episode }) => {
+            const link = document.createElement("a");
+            link.href = URL.createObjectURL(new Blob([JSON.stringify(episode)], { type: "application/json" }));
+            link.download = `episode_${Math.floor(Date.now() / 1000)}_${session}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+        // The server will never take a parked session, so the download is the last of it
+        return Promise.all(pending.filter(p => p.parked).map(p => queue.removeSession(p.session)));
+    }).then(() => queue.changed());
+}
+
+if (typeof window !== 'undefined') {
+    // ?upload=http://host:port posts to another server, e.g. a stub that refuses connections
+    window.uploadQueue = new UploadQueue({ endpoint: new URLSearchParams(window.location.search).get('upload') || "" });
+    const queue = window.uploadQueue;
+    queue.onChange = showUploadStatus;
+    // The retry countdown ticks while something is pending
+    setInterval(() => { if (queue.retryAt > Date.now()) queue.changed(); }, 1000);
+    window.addEventListener("online", () => queue.drain());
+
+    const download = () => downloadPendingEpisodes(queue);
+    const status = document.getElementById("upload-status");
+    if (status) status.addEventListener("click", download);
+    const button = document.getElementById("download-pending");
+    if (button) button.addEventListener("click", download);
+
+    // Sessions left over from earlier visits
+    queue.drain();
+}
+
+// Node loads this file with require() (see tools/headless.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UploadQueue };
+}
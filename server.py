@@ -4,9 +4,14 @@ import socketserver
 import os
 import json
 import time
+import shutil
 
 PORT = 8100
 EPISODES_DIR = "episodes"
+CHUNKS_DIR = os.path.join(EPISODES_DIR, "chunks")  # Uploads in progress, one directory per session
+# A session that has sent nothing for this long never will (the tab was closed mid-session):
+# what it sent is saved as an incomplete episode
+STALE_SESSION_SECONDS = 24 * 60 * 60
 
 class Handler(http.server.SimpleHTTPRequestHandler):
     def do_POST(self):
@@ -38,12 +43,149 @@ class Handler(http.server.SimpleHTTPRequestHandler):
                 self.send_response(500)
                 self.end_headers()
                 self.wfile.write(json.dumps({'status': 'error', 'message': str(e)}).encode())
+        elif self.path == '/save_chunk':
+            content_length = int(self.headers['Content-Length'])
+            post_data = self.rfile.read(content_length)
+
+            try:
+                chunk = json.loads(post_data.decode('utf-8'))
+                session = "".join(c for c in str(chunk['session']) if c.isalnum() or c == '-')
+                result = {'status': 'success', 'session': session, 'seq': chunk['seq']}
+                existing = saved_episode(session)
+                if existing:
+                    # A retried upload whose answer got lost: the episode is already saved
+                    result.update(status='duplicate', file=existing)
+                else:
+                    session_dir = os.path.join(CHUNKS_DIR, session)
+                    if not os.path.isdir(session_dir):
+                        reopen_session(session, session_dir)
+                    os.makedirs(session_dir, exist_ok=True)
+                    with open(os.path.join(session_dir, f"{int(chunk['seq']):06d}.json"), 'w') as f:
+                        json.dump(chunk, f)
+                if chunk.get('final') and not existing:
+                    filename = assemble_episode(session_dir)
+                    print(f"Saved episode to {os.path.join(EPISODES_DIR, filename)}")
+                    result['file'] = filename
+                assemble_stale_sessions()
+
+                self.send_response(200)
+                self.send_header('Content-type', 'application/json')
+                self.end_headers()
+                self.wfile.write(json.dumps(result).encode())
+
+            except Exception as e:
+                print(f"Error saving chunk: {e}")
+                self.send_response(500)
+                self.end_headers()
+                self.wfile.write(json.dumps({'status': 'error', 'message': str(e)}).encode())
         else:
             self.send_error(404)
 
+def saved_episode(session):
+    """The episode file already assembled for a session, if any."""
+    suffix = f"_{session}.json"
+    for name in os.listdir(EPISODES_DIR):
+        if name.startswith('episode_') and name.endswith(suffix):
+            return name
+    return None
+
+def reopen_session(session, session_dir):
+    """A session resumed after it went stale carries on from what was saved as its incomplete
+    episode: the episode goes back into the session's directory as the chunk before its first."""
+    suffix = f"_{session}_incomplete.json"
+    names = [n for n in os.listdir(EPISODES_DIR) if n.startswith('episode_') and n.endswith(suffix)]
+    if not names:
+        return
+    filepath = os.path.join(EPISODES_DIR, names[0])
+    with open(filepath) as f:
+        episode = json.load(f)
+    chunk = {
+        'session': session, 'seq': -1, 'final': False,
+        'levels': [{'index': i, 'plan': plan} for i, plan in enumerate(episode['levels']) if plan is not None],
+        'attempts': [{'index': i, 'level': a['level'], 'seed': a['seed'], 'physics': a.get('physics'), 'inputsFrom': 0,
+                      'inputs': a['inputs'], 'devices': a['devices'], 'rewinds': a['rewinds'], 'status': a['status']}
+                     for i, a in enumerate(episode['replay']['attempts']) if a is not None],
+        'frames': episode['history'],
+        'events': episode['events']
+    }
+    os.makedirs(session_dir, exist_ok=True)
+    with open(os.path.join(session_dir, "reopened.json"), 'w') as f:
+        json.dump(chunk, f)
+    os.remove(filepath)
+    print(f"Resumed session {session} from {filepath}")
+
+def assemble_stale_sessions():
+    """Saves the sessions that stopped sending before their final chunk as incomplete episodes."""
+    if not os.path.isdir(CHUNKS_DIR):
+        return
+    now = time.time()
+    for session in os.listdir(CHUNKS_DIR):
+        session_dir = os.path.join(CHUNKS_DIR, session)
+        names = [n for n in os.listdir(session_dir) if n.endswith('.json')]
+        last = max((os.path.getmtime(os.path.join(session_dir, n)) for n in names), default=os.path.getmtime(session_dir))
+        if now - last < STALE_SESSION_SECONDS:
+            continue
+        try:
+            filename = assemble_episode(session_dir)
+            print(f"Saved incomplete episode to {os.path.join(EPISODES_DIR, filename)}")
+        except Exception as e:
+            # Chunks that cannot be joined are of no use to anyone: drop them
+            print(f"Dropping stale session {session}: {e}")
+            shutil.rmtree(session_dir)
+
+def assemble_episode(session_dir):
+    """Joins a session's chunks (see GameRecorder.flush) into one compact episode file.
+    Without the final chunk the episode is marked incomplete, as assembleChunks does."""
+    names = sorted(n for n in os.listdir(session_dir) if n.endswith('.json'))
+    chunks = []
+    for name in names:
+        with open(os.path.join(session_dir, name)) as f:
+            chunks.append(json.load(f))
+    chunks.sort(key=lambda chunk: chunk['seq'])
+
+    levels, attempts, history, events = [], [], [], []
+    for chunk in chunks:
+        for level in chunk['levels']:
+            levels.extend([None] * (level['index'] + 1 - len(levels)))
+            levels[level['index']] = level['plan']
+        for delta in chunk['attempts']:
+            index = delta['index']
+            attempts.extend([None] * (index + 1 - len(attempts)))
+            if attempts[index] is None:
+                attempts[index] = {'level': delta['level'], 'seed': delta['seed'], 'physics': delta.get('physics'),
+                                   'inputs': "", 'devices': [], 'rewinds': [], 'status': None}
+            attempt = attempts[index]
+            if len(attempt['inputs']) != delta['inputsFrom']:
+                raise ValueError(f"chunk {chunk['seq']} does not follow on from the previous one")
+            attempt['inputs'] += delta['inputs']
+            attempt['devices'] += delta['devices']
+            attempt['rewinds'] += delta['rewinds']
+            attempt['status'] = delta['status']
+        history += chunk['frames']
+        events += chunk['events']
+
+    if chunks and chunks[-1].get('final'):
+        episode = dict(chunks[-1]['episode'])
+    else:
+        episode = {'format': "delta-v1", 'step': None, 'incomplete': True, 'session': os.path.basename(session_dir)}
+    step = episode.pop('step')
+    episode['events'] = events
+    episode['levels'] = levels
+    episode['history'] = history
+    episode['replay'] = {'step': step, 'attempts': attempts}
+
+    # An incomplete episode does not count as the session's episode (see saved_episode)
+    suffix = "_incomplete" if episode.get('incomplete') else ""
+    filename = f"episode_{int(time.time())}_{os.path.basename(session_dir)}{suffix}.json"
+    with open(os.path.join(EPISODES_DIR, filename), 'w') as f:
+        json.dump(episode, f)
+    shutil.rmtree(session_dir)
+    return filename
+
 if __name__ == "__main__":
     if not os.path.exists(EPISODES_DIR):
         os.makedirs(EPISODES_DIR)
+    assemble_stale_sessions()
         
     with socketserver.TCPServer(("", PORT), Handler) as httpd:
         print(f"Serving at port {PORT}")
@@ -0,0 +1,116 @@
+"use strict";
+/**
+ * Compact recording checks: plans and frames encode losslessly, and the chunks a session is
+ * uploaded in join back into its episode, across a resume too.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+
+const PLAN = [
+    "x                  x",
+    "x       v          x",
+    "x @      o     o   x",
+    "xxxxxxxx  xxxxxxxxxx"
+];
+
+// Plays steps of seeded random input, recording every one
+function play(recorder, level, steps, random) {
+    const simulation = new game.Simulation(level);
+    for (let i = 0; i < steps && !level.isFinished(); i++) {
+        const keys = { right: random() < 0.6, left: random() < 0.1, up: random() < 0.2 };
+        simulation.step(keys);
+        recorder.recordFrame(level, keys, "bot");
+    }
+}
+
+function shuffled(items, random) {
+    return items.map(item => [random(), item]).sort((a, b) => a[0] - b[0]).map(pair => pair[1]);
+}
+
+test("plans run-length encode and decode to themselves, unless they hold digits", () => {
+    const encoded = game.rleEncodePlan(PLAN);
+    assert.strictEqual(encoded.rle[3], "8x2 10x");
+    assert.deepStrictEqual(game.rleDecodePlan(encoded), PLAN);
+    const digits = ["x@1ox", "xxxxx"];
+    assert.strictEqual(game.rleEncodePlan(digits), digits);
+    assert.strictEqual(game.rleDecodePlan(digits), digits);
+});
+
+test("a frame delta applied to the frame before gives the frame after", () => {
+    const before = game.staticRows(PLAN);
+    const after = ["x                  x", "x       v          x", "x  @     o    o    x", "xxxxxxxx  xxxxxxxxxx"];
+    const delta = game.diffRows(before, after);
+    assert.deepStrictEqual(game.applyDelta(before, delta), after);
+    assert.deepStrictEqual(game.diffRows(after, after), []);
+});
+
+test("the chunks of a session join into its episode in any order", () => {
+    const random = game.createRandom(8);
+    const recorder = new game.GameRecorder({ quiet: true });
+    recorder.start({ level: 0, seed: 1 });
+    const chunks = [];
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const level = new game.Level(PLAN, { seed: attempt });
+        recorder.beginAttempt(level);
+        play(recorder, level, 50, random);
+        chunks.push(recorder.nextChunk(false));
+        play(recorder, level, 50, random);
+        recorder.endAttempt(level.status || "lost");
+    }
+    const episode = JSON.parse(JSON.stringify(recorder.episode()));
+    chunks.push(recorder.nextChunk(true));
+
+    const joined = game.assembleChunks(shuffled(JSON.parse(JSON.stringify(chunks)), random));
+    assert.strictEqual(joined.incomplete, undefined);
+    assert.deepStrictEqual(joined.history, episode.history);
+    assert.deepStrictEqual(joined.levels, episode.levels);
+    assert.deepStrictEqual(joined.replay, episode.replay);
+
+    const partial = game.assembleChunks(chunks.slice(0, 2));
+    assert.strictEqual(partial.incomplete, true);
+    assert.throws(() => game.assembleChunks([chunks[0], chunks[2]]), /does not follow on/);
+});
+
+test("a resumed session uploads as the same episode, going on from what was sent", () => {
+    const random = game.createRandom(9);
+    const recorder = new game.GameRecorder({ quiet: true });
+    recorder.start({ level: 0, seed: 1 });
+    let level = new game.Level(PLAN, { seed: 1 });
+    recorder.beginAttempt(level);
+    play(recorder, level, 60, random);
+    const before = recorder.nextChunk(false);
+    recorder.endAttempt("lost");
+
+    const resumed = new game.GameRecorder({ quiet: true });
+    resumed.restore(JSON.parse(JSON.stringify(recorder.toJSON())));
+    level = new game.Level(PLAN, { seed: 2 });
+    resumed.beginAttempt(level);
+    play(resumed, level, 60, random);
+    resumed.endAttempt(level.status || "lost");
+    const after = resumed.nextChunk(true);
+
+    assert.strictEqual(after.session, before.session);
+    assert.strictEqual(after.seq, before.seq + 1);
+    const episode = game.decodeEpisode(game.assembleChunks([before, after]));
+    assert.deepStrictEqual(episode.replay.attempts.map(attempt => attempt.status), ["lost", level.status || "lost"]);
+    assert.deepStrictEqual(episode.replay.attempts.map(attempt => attempt.seed), [1, 2]);
+});
+
+test("a quiet recorder saves its history without logging", async () => {
+    const recorder = new game.GameRecorder({ quiet: true, queue: { enqueue: () => Promise.resolve() } });
+    recorder.start({ level: 0, seed: 1 });
+    const logged = [];
+    const log = console.log;
+    console.log = (...args) => logged.push(args.join(" "));
+    try {
+        await recorder.saveHistory();
+    } finally {
+        console.log = log;
+    }
+    assert.deepStrictEqual(logged, []);
+});
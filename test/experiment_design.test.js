@@ -0,0 +1,37 @@
+"use strict";
+/**
+ * Experiment design checks: which experiments a level's knobs allow, and the levels they build.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+console.log = () => { };
+
+// The laws designExperiment chooses among for a level with these knobs
+function candidates(knobs) {
+    const agent = new game.LMMAgent({ seed: 1 });
+    let ids = null;
+    agent.beliefs.leastCertain = offered => { ids = offered; return null; };
+    agent.designExperiment(knobs);
+    return ids;
+}
+
+test("no moving lava experiment is designed before the tiers that have moving hazards", () => {
+    const moving = ["moving_lava", ...Object.values(game.LAVA_MOTION_LAWS)];
+    for (let tier = 1; tier <= 5; tier++) {
+        const knobs = game.knobsForTier(tier);
+        const offered = candidates(knobs).filter(id => moving.includes(id));
+        if (knobs.movingHazards === 0) assert.deepStrictEqual(offered, [], `tier ${tier}`);
+        else assert.ok(offered.includes("moving_lava"), `tier ${tier}`);
+    }
+});
+
+test("the moving lava experiment slides an '=' in front of the coin", () => {
+    const plan = game.EXPERIMENTS.moving_lava.build(game.knobsForTier(3), game.createRandom(5));
+    assert.strictEqual(plan.join("").split("=").length - 1, 1);
+    assert.strictEqual(new game.LevelSolver().solve(plan).solvable, true);
+});
@@ -0,0 +1,106 @@
+"use strict";
+/**
+ * Regression checks that run the game in Node (see tools/headless.js): the simulation
+ * must replay exactly from a seed and from a saved state, and a recorded episode must
+ * decode and export to the frames that were played.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+// The agent and recorder narrate to the console; the checks only need their results
+console.log = () => { };
+
+// Every kind of actor: the player, coins and the three kinds of moving lava
+const PLAN = [
+    "x                              x",
+    "x                              x",
+    "x    v          o        |     x",
+    "x                              x",
+    "x @      o      =      o       x",
+    "xxxxxxxxxxxx  xxxxxxx!!xxxxxxxxx",
+    "xxxxxxxxxxxx  xxxxxxxxxxxxxxxxxx"
+];
+
+// Seeded input stream: the same seed presses the same keys every run
+function randomKeys(seed) {
+    const random = game.createRandom(seed);
+    return () => ({ left: random() < 0.3, right: random() < 0.6, up: random() < 0.3 });
+}
+
+function play(level, steps, keys) {
+    const simulation = new game.Simulation(level);
+    for (let i = 0; i < steps && !level.isFinished(); i++) simulation.step(keys());
+    return level;
+}
+
+test("a level restored from its serialized state plays on exactly like the original", () => {
+    const original = play(new game.Level(PLAN, { seed: 7 }), 90, randomKeys(1));
+    const copy = new game.Level(PLAN, { seed: 7 });
+    copy.restore(JSON.parse(JSON.stringify(original.serialize())));
+    // Compared as stored: JSON has no negative zero
+    const state = level => JSON.stringify(level.serialize());
+    assert.strictEqual(state(copy), state(original));
+
+    play(original, 120, randomKeys(2));
+    play(copy, 120, randomKeys(2));
+    assert.strictEqual(state(copy), state(original));
+});
+
+test("the same seed and inputs give the same run, and the same generated level", () => {
+    const a = play(new game.Level(PLAN, { seed: 42 }), 300, randomKeys(3));
+    const b = play(new game.Level(PLAN, { seed: 42 }), 300, randomKeys(3));
+    assert.deepStrictEqual(a.serialize(), b.serialize());
+
+    const first = new game.LMMAgent().generateSolvableLevel(3, 1234);
+    const second = new game.LMMAgent().generateSolvableLevel(3, 1234);
+    assert.deepStrictEqual(first, second);
+});
+
+test("a recorded episode decodes to the frames played and exports the same transitions", () => {
+    const recorder = new game.GameRecorder({ quiet: true });
+    recorder.start({ level: 0, seed: 9, synthetic: true });
+    const level = new game.Level(PLAN, { seed: 9 });
+    const simulation = new game.Simulation(level);
+    const keys = randomKeys(4);
+    const steps = []; // Snapshot after every step taken while the level was still being played
+    const frames = []; // Snapshot of every step the recorder kept a frame of
+    recorder.beginAttempt(level);
+    for (let i = 0; i < 200 && !level.isFinished(); i++) {
+        const pressed = keys();
+        const kept = recorder.history.length;
+        const playing = level.status == null;
+        simulation.step(pressed);
+        recorder.recordFrame(level, pressed, "bot");
+        if (playing) steps.push(level.getSnapshot());
+        if (recorder.history.length > kept) frames.push(level.getSnapshot());
+    }
+    recorder.endAttempt(level.status);
+
+    const episode = JSON.parse(JSON.stringify(recorder.episode()));
+    const decoded = game.decodeEpisode(episode);
+    assert.deepStrictEqual(decoded.history.map(frame => frame.visual_state), frames);
+    assert.deepStrictEqual(decoded.replay.attempts[0].plan, PLAN);
+
+    // The export replays the inputs, so it sees every step, recorded frame or not
+    const exporter = new game.TransitionExporter();
+    const transitions = exporter.episodeTransitions(episode, "check");
+    assert.deepStrictEqual(transitions.map(t => t.next_obs.grid), steps);
+    assert.deepStrictEqual(exporter.episodeTransitions(decoded, "check"), transitions);
+});
+
+test("moving lava is passable in time under reversed controls whenever it is under the standard ones", () => {
+    const solver = new game.LevelSolver();
+    const knobs = { gapWidth: 3, heightVariance: 2, lavaDensity: 0.2, platformLength: 4, levelLength: 60, movingHazards: 3 };
+    let checked = 0;
+    for (let seed = 1; seed <= 6; seed++) {
+        const { plan } = game.composeLevel("cavern", knobs, game.createRandom(seed));
+        const standard = solver.checkTiming(plan);
+        assert.deepStrictEqual(solver.checkTiming(plan, "reversed"), standard, `seed ${seed}`);
+        checked += standard.checked;
+    }
+    assert.ok(checked > 0, "the levels have moving lava to check");
+});
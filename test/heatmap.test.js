@@ -0,0 +1,91 @@
+"use strict";
+/**
+ * Heatmap checks: what the overlay gathers from a recording, and how it is toggled.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+const { InputManager } = require("../js/input");
+const { runLevel } = require("../js/game_loop");
+console.log = () => { };
+
+const PLAN = [
+    "x            x",
+    "x @   !!   o x",
+    "xxxxxxxxxxxxxx"
+];
+
+function key(type, code, tagName = "BODY") {
+    return { type: type, code: code, target: { tagName: tagName }, preventDefault() { this.prevented = true; } };
+}
+
+// Starts runLevel on PLAN with an overlay that is never drawn; the level is not stepped
+function playWithOverlay(input) {
+    const overlay = new game.HeatmapOverlay(null);
+    overlay.attach = overlay.update = overlay.detach = () => { };
+    class Display {
+        drawFrame() { }
+        clear() { }
+    }
+    const ui = {
+        parent: () => null, animate: () => { }, showRewindHint: () => { },
+        input: input, recorder: null, heatmap: overlay, bench: null
+    };
+    runLevel(new game.Level(PLAN), Display, null, { ui: ui });
+    return overlay;
+}
+
+test("the heatmap gathers the paths, visits and deaths of the plan's attempts only", () => {
+    const recorder = new game.GameRecorder({ quiet: true });
+    recorder.start({ level: 0, seed: 1 });
+    const other = new game.Level(["x@ ox", "xxxxx"]);
+    recorder.beginAttempt(other);
+    recorder.recordFrame(other, {}, "keyboard");
+    recorder.endAttempt("lost");
+
+    const level = new game.Level(PLAN);
+    const simulation = new game.Simulation(level);
+    recorder.beginAttempt(level);
+    for (let i = 0; i < 300 && !level.isFinished(); i++) {
+        simulation.step({ right: true });
+        recorder.recordFrame(level, { right: true }, "keyboard");
+    }
+    recorder.endAttempt(level.status);
+    // As runGame logs it once the attempt is over
+    recorder.logEvent("death", { cause: level.deathCause.cause, pos: level.deathCause.pos });
+
+    const data = game.collectHeatmap(recorder, PLAN);
+    assert.strictEqual(data.paths.length, 1);
+    assert.strictEqual(data.deaths.length, 1);
+    assert.strictEqual(Math.floor(data.deaths[0].y), 1);
+    assert.ok([5, 6, 7].includes(Math.floor(data.deaths[0].x)), "the player died at the lava");
+    assert.strictEqual(data.maxVisits, Math.max(...data.visits.map(row => Math.max(...row))));
+});
+
+test("the heatmap action toggles the overlay while a level runs, but not while typing", () => {
+    const input = new InputManager(null);
+    const overlay = playWithOverlay(input);
+    input.handleKey(key("keydown", "KeyH"));
+    input.handleKey(key("keyup", "KeyH"));
+    assert.strictEqual(overlay.visible, true);
+
+    const typed = key("keydown", "KeyH", "TEXTAREA");
+    input.handleKey(typed);
+    input.handleKey(key("keyup", "KeyH", "TEXTAREA"));
+    assert.strictEqual(overlay.visible, true);
+    assert.ok(!typed.prevented);
+});
+
+test("the heatmap toggle follows its binding", () => {
+    const input = new InputManager(null);
+    input.rebind("keyboard", "heatmap", ["KeyM"]);
+    const overlay = playWithOverlay(input);
+    input.handleKey(key("keydown", "KeyH"));
+    assert.strictEqual(overlay.visible, false);
+    input.handleKey(key("keydown", "KeyM"));
+    assert.strictEqual(overlay.visible, true);
+});
@@ -0,0 +1,106 @@
+"use strict";
+/**
+ * Input manager checks: key bindings, remapping, and keys typed into form fields.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { InputManager, DEFAULT_BINDINGS } = require("../js/input");
+
+function key(type, code, target = { tagName: "BODY" }) {
+    return { type: type, code: code, target: target, preventDefault() { this.prevented = true; } };
+}
+
+// Stands in for localStorage
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test("bound keys hold their actions until released, and only bound keys are taken from the page", () => {
+    const input = new InputManager(null);
+    const right = key("keydown", "KeyD");
+    input.handleKey(right);
+    input.handleKey(key("keydown", "Space"));
+    assert.deepStrictEqual(input.poll(), { left: false, right: true, up: true });
+    assert.strictEqual(input.device(), "keyboard");
+    assert.ok(right.prevented);
+
+    input.handleKey(key("keyup", "KeyD"));
+    assert.deepStrictEqual(input.poll(), { left: false, right: false, up: true });
+    const other = key("keydown", "KeyQ");
+    input.handleKey(other);
+    assert.ok(!other.prevented);
+});
+
+test("a new press is announced once, however long the key repeats", () => {
+    const input = new InputManager(null);
+    const actions = [];
+    input.onAction = action => actions.push(action);
+    input.handleKey(key("keydown", "Escape"));
+    input.handleKey(key("keydown", "Escape"));
+    input.handleKey(key("keyup", "Escape"));
+    input.handleKey(key("keydown", "Escape"));
+    assert.deepStrictEqual(actions, ["pause", "pause"]);
+});
+
+test("keys typed into a form field are left to the field, and a release there still lets go", () => {
+    const input = new InputManager(null);
+    input.handleKey(key("keydown", "KeyA"));
+    for (const target of [{ tagName: "INPUT" }, { tagName: "TEXTAREA" }, { tagName: "SELECT" }, { tagName: "DIV", isContentEditable: true }]) {
+        const typed = key("keydown", "KeyD", target);
+        input.handleKey(typed);
+        assert.strictEqual(input.poll().right, false, target.tagName);
+        assert.ok(!typed.prevented, target.tagName);
+    }
+    const released = key("keyup", "KeyA", { tagName: "INPUT" });
+    input.handleKey(released);
+    assert.strictEqual(input.poll().left, false);
+    assert.ok(!released.prevented);
+});
+
+test("remapped bindings replace the defaults and are kept across page loads", () => {
+    const storage = memoryStorage();
+    const input = new InputManager(storage);
+    input.rebind("keyboard", "up", ["KeyK"]);
+    assert.throws(() => input.rebind("keyboard", "fly", ["KeyF"]), /Cannot bind/);
+
+    const reloaded = new InputManager(storage);
+    reloaded.handleKey(key("keydown", "Space"));
+    assert.strictEqual(reloaded.poll().up, false);
+    reloaded.handleKey(key("keydown", "KeyK"));
+    assert.strictEqual(reloaded.poll().up, true);
+
+    reloaded.resetBindings();
+    assert.deepStrictEqual(reloaded.bindings.keyboard, DEFAULT_BINDINGS.keyboard);
+    assert.deepStrictEqual(new InputManager(storage).bindings.keyboard, DEFAULT_BINDINGS.keyboard);
+});
+
+test("the next key pressed while remapping becomes the binding instead of playing", async () => {
+    const input = new InputManager(null);
+    const captured = input.captureBinding("keyboard");
+    const pressed = key("keydown", "KeyJ");
+    input.handleKey(pressed);
+    assert.strictEqual(await captured, "KeyJ");
+    assert.ok(pressed.prevented);
+    input.handleKey(key("keydown", "KeyD"));
+    assert.strictEqual(input.poll().right, true);
+});
+
+test("gamepad buttons and the left stick are read as the same actions", () => {
+    const input = new InputManager(null);
+    const pad = (pressed, axes) => ({ buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) })), axes: axes });
+    global.navigator = { getGamepads: () => [pad([0], [0.9, 0])] };
+    input.readGamepads();
+    assert.deepStrictEqual(input.poll(), { left: false, right: true, up: true });
+    assert.strictEqual(input.device(), "gamepad");
+
+    global.navigator = { getGamepads: () => [pad([], [0, 0])] };
+    input.readGamepads();
+    assert.deepStrictEqual(input.poll(), { left: false, right: false, up: false });
+});
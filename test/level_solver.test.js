@@ -0,0 +1,119 @@
+"use strict";
+/**
+ * Solvability checks: which coins the solver can reach, how moving lava is timed, how an
+ * unsolvable plan is repaired, and what the agent plays when generation fails.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+console.log = console.warn = () => { };
+
+const OPEN = [
+    "x          x",
+    "x @     o  x",
+    "xxxxxxxxxxxx"
+];
+// The coin is behind a column of lava reaching the ceiling
+const WALLED = [
+    "x      x!x    x",
+    "x      x!x    x",
+    "x @    x!x  o x",
+    "xxxxxxxxxxxxxxx"
+];
+
+test("a coin is reachable on open ground and not behind lava", () => {
+    const solver = new game.LevelSolver();
+    const open = solver.solve(OPEN);
+    assert.strictEqual(open.solvable, true);
+    assert.strictEqual(open.coinCount, 1);
+
+    const walled = solver.solve(WALLED);
+    assert.strictEqual(walled.solvable, false);
+    assert.strictEqual(walled.exhausted, false);
+    assert.deepStrictEqual(walled.unreachableCoins, [{ x: 12, y: 2 }]);
+    assert.match(walled.reason, /1 of 1 coins cannot be reached/);
+});
+
+test("a plan without a start or without coins cannot be finished", () => {
+    const solver = new game.LevelSolver();
+    assert.match(solver.solve(["x   o x", "xxxxxxx"]).reason, /no player start/);
+    assert.match(solver.solve(["x @   x", "xxxxxxx"]).reason, /no coins/);
+});
+
+test("a search that runs out of budget proves nothing unreachable, and repair leaves its plan alone", () => {
+    const solver = new game.LevelSolver({ maxStates: 5 });
+    const check = solver.solve(OPEN);
+    assert.strictEqual(check.solvable, false);
+    assert.strictEqual(check.exhausted, true);
+    assert.deepStrictEqual(check.unreachableCoins, []);
+    assert.match(check.reason, /ran out of its 5 states/);
+    assert.strictEqual(solver.repair(OPEN, check), OPEN);
+});
+
+test("repair swaps the unreachable coins for one the player can collect", () => {
+    const solver = new game.LevelSolver();
+    const repaired = solver.repair(WALLED, solver.solve(WALLED));
+    assert.strictEqual(repaired.join("").split("o").length - 1, 1);
+    assert.ok(!repaired[2].slice(9).includes("o"), "the coin behind the lava is gone");
+    assert.strictEqual(solver.solve(repaired).solvable, true);
+});
+
+test("moving lava is passable when the player can time a run past it", () => {
+    const solver = new game.LevelSolver();
+    // Slides to and fro in a pit the player jumps
+    assert.deepStrictEqual(solver.checkTiming([
+        "x               x",
+        "x @         o   x",
+        "xxxxx=  xxxxxxxxx",
+        "xxxxxxxxxxxxxxxxx"
+    ]), { passable: true, reason: "", checked: 1, blocked: [] });
+    // Bounces up and down where the player can run under it
+    assert.strictEqual(solver.checkTiming([
+        "x               x",
+        "x               x",
+        "x @     |   o   x",
+        "xxxxxxxxxxxxxxxxx"
+    ]).passable, true);
+    assert.strictEqual(solver.checkTiming(OPEN).checked, 0);
+});
+
+test("moving lava that sweeps from wall to wall is blocked, and repair takes it out", () => {
+    const solver = new game.LevelSolver();
+    const plan = [
+        "x                x",
+        "x                x",
+        "x @      =   o   x",
+        "xxxxxxxxxxxxxxxxxx"
+    ];
+    const timing = solver.checkTiming(plan);
+    assert.strictEqual(timing.passable, false);
+    assert.deepStrictEqual(timing.blocked, [{ x: 9, y: 2, ch: "=" }]);
+
+    const repaired = solver.repair(plan, solver.solve(plan), timing);
+    assert.strictEqual(repaired[2], "x @          o   x");
+    assert.strictEqual(solver.checkTiming(repaired).checked, 0);
+});
+
+test("a predefined level that stands in for a failed generation carries no experiment, knobs or style", async () => {
+    const agent = new game.LMMAgent({ seed: 3 });
+    // Every generated plan runs the search out of budget
+    agent.solver = new game.LevelSolver({ maxStates: 5 });
+    const designExperiment = agent.designExperiment;
+    let planned = null;
+    agent.designExperiment = knobs => (planned = designExperiment.call(agent, knobs));
+    const spec = await agent.generateNextLevel({ events: [], duration: 10 }, { outcome: "win", seed: 11 });
+
+    assert.ok(planned, "an experiment was planned for the level that failed");
+    assert.ok(game.GAME_LEVELS.includes(spec.plan));
+    assert.strictEqual(spec.fallback, true);
+    assert.strictEqual(spec.source, "predefined");
+    assert.strictEqual(spec.hypothesis, null);
+    assert.strictEqual(spec.knobs, null);
+    assert.strictEqual(spec.style, null);
+    assert.strictEqual(spec.difficulty, game.PREDEFINED_DIFFICULTY);
+    assert.strictEqual(agent.knobs, null);
+});
@@ -0,0 +1,84 @@
+"use strict";
+/**
+ * LLM level checks: pulling the grid out of a model reply, validating it, and falling back
+ * to the procedural generator when the reply cannot be played.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+console.log = console.warn = () => { };
+
+const GRID = [
+    "x                x",
+    "x                x",
+    "x                x",
+    "x @      o    o  x",
+    "xxxxxxxxxxxxxxxxxx"
+];
+
+// A provider that always gives the same reply, or fails with it when it is an Error
+function replying(reply) {
+    const provider = new game.LLMProvider();
+    provider.complete = () => reply instanceof Error ? Promise.reject(reply) : Promise.resolve(reply);
+    provider.describe = () => "stub";
+    return provider;
+}
+
+test("the grid is taken from the first code block of a reply, padded to a rectangle", () => {
+    const reply = "Here is a level:\n```text\n x  @ o\nxxxxxxxxxx\n\n```\nAnd another:\n```\nx@ox\n```";
+    assert.deepStrictEqual(game.extractLevelGrid(reply), [" x  @ o   ", "xxxxxxxxxx"]);
+});
+
+test("without a code block the longest run of grid lines is taken", () => {
+    const reply = `Sure!\nxx\n\n${GRID.join("\n")}\nThat level has two coins.`;
+    assert.deepStrictEqual(game.extractLevelGrid(reply), GRID);
+    assert.strictEqual(game.extractLevelGrid("No level today."), null);
+});
+
+test("a grid is only valid with one start, a coin, known characters and a size in range", () => {
+    assert.strictEqual(game.validateLevelGrid(GRID), null);
+    assert.match(game.validateLevelGrid(null), /No ASCII grid/);
+    assert.match(game.validateLevelGrid(GRID.slice(0, 3)), /height 3/);
+    assert.match(game.validateLevelGrid(GRID.map(row => row.slice(0, 6))), /width 6/);
+    assert.match(game.validateLevelGrid(GRID.map((row, y) => y === 0 ? row + " " : row)), /different widths/);
+    assert.match(game.validateLevelGrid(GRID.map(row => row.replace("o", "#"))), /unknown character '#'/);
+    assert.match(game.validateLevelGrid(GRID.map(row => row.replace("@", " "))), /exactly one '@', found 0/);
+    assert.match(game.validateLevelGrid(GRID.map(row => row.replace(/o/g, " "))), /no coins/);
+});
+
+test("a playable reply is used, and anything else says why the generator is used instead", async () => {
+    const agent = new game.LMMAgent({ seed: 2 });
+    agent.provider = replying("```\n" + GRID.join("\n") + "\n```");
+    assert.deepStrictEqual(await agent.requestLLMLevel("prompt"), { plan: GRID });
+
+    agent.provider = replying(new Error("connection refused"));
+    assert.deepStrictEqual(await agent.requestLLMLevel("prompt"), { error: "request failed: connection refused" });
+    agent.provider = replying("I cannot draw levels.");
+    assert.deepStrictEqual(await agent.requestLLMLevel("prompt"), { error: "No ASCII grid found in the reply." });
+    const walled = GRID.map((row, y) => y < 4 ? row.slice(0, 11) + "!" + row.slice(12) : row);
+    agent.provider = replying("```\n" + walled.join("\n") + "\n```");
+    assert.match((await agent.requestLLMLevel("prompt")).error, /^unsolvable layout: 1 of 2 coins/);
+});
+
+test("an OpenAI-compatible server is asked with the prompt and its first choice is the reply", async () => {
+    const requests = [];
+    let answer = { ok: true, status: 200, json: () => Promise.resolve({ choices: [{ message: { content: "```\nx@ox\n```" } }] }) };
+    global.fetch = (url, request) => {
+        requests.push({ url: url, body: JSON.parse(request.body) });
+        return Promise.resolve(answer);
+    };
+    const provider = new game.OpenAICompatibleProvider({ endpoint: "http://llm/v1/chat/completions", model: "tiny" });
+    assert.strictEqual(await provider.complete("make a level"), "```\nx@ox\n```");
+    assert.strictEqual(requests[0].url, "http://llm/v1/chat/completions");
+    assert.strictEqual(requests[0].body.model, "tiny");
+    assert.strictEqual(requests[0].body.messages[1].content, "make a level");
+
+    answer = { ok: false, status: 503 };
+    await assert.rejects(provider.complete("make a level"), /HTTP 503/);
+    answer = { ok: true, status: 200, json: () => Promise.resolve({ error: "overloaded" }) };
+    await assert.rejects(provider.complete("make a level"), /no choices/);
+});
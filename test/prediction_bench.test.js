@@ -0,0 +1,64 @@
+"use strict";
+/**
+ * Prediction bench checks: what the world model is shown, and how its predictions are scored.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+
+const PLAN = [
+    "x              x",
+    "x              x",
+    "x @         o  x",
+    "xxxxxxxxxxxxxxxx"
+];
+
+// Runs a level through the bench with the player running right
+function bench(predictor, physics, steps = 30) {
+    const bench = new game.PredictionBench({ predictor: predictor });
+    const level = new game.Level(PLAN, { seed: 1, physics: physics });
+    const simulation = new game.Simulation(level);
+    for (let i = 0; i < steps && !level.isFinished(); i++) {
+        bench.beforeStep(level, { right: true }, i);
+        simulation.step({ right: true });
+        bench.afterStep(level);
+    }
+    return bench;
+}
+
+test("the world model is not told which physics profile the level plays under", () => {
+    const states = [];
+    const predictor = new game.StaticPredictor();
+    predictor.predict = state => {
+        states.push(state);
+        return game.StaticPredictor.prototype.predict.call(predictor, state);
+    };
+    bench(predictor, "low_gravity", 5);
+    assert.strictEqual(states.length, 5);
+    states.forEach(state => {
+        assert.deepStrictEqual(Object.keys(state).sort(), ["grid", "input", "player", "step", "stepSize"]);
+        assert.ok(!JSON.stringify(state).includes("low_gravity"));
+    });
+});
+
+test("the scores are broken down by physics profile", () => {
+    const standard = bench(new game.StaticPredictor(), null);
+    const slippery = bench(new game.StaticPredictor(), "slippery");
+    assert.deepStrictEqual(Object.keys(standard.summary().physics), ["standard"]);
+
+    standard.absorb(slippery);
+    const summary = standard.summary();
+    assert.deepStrictEqual(Object.keys(summary.physics).sort(), ["slippery", "standard"]);
+    assert.strictEqual(summary.physics.standard.frames + summary.physics.slippery.frames, summary.frames);
+    assert.ok(summary.physics.standard.position > 0, "a player that runs is not where the static baseline leaves it");
+});
+
+test("the constant velocity baseline beats the static one on a running player", () => {
+    const still = bench(new game.StaticPredictor(), null).summary();
+    const moving = bench(new game.ConstantVelocityPredictor(), null).summary();
+    assert.ok(moving.position.mean < still.position.mean);
+});
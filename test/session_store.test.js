@@ -0,0 +1,137 @@
+"use strict";
+/**
+ * Session store checks: save slots, resuming the agent and recorder, save files, and the
+ * menu offered before the game starts.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+const { SessionStore, readSessionFile, offerSessions } = require("../js/session_store");
+console.log = console.warn = console.error = () => { };
+
+// Stands in for localStorage
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+function session(level) {
+    return SessionStore.capture(level, 3, { plan: ["x@ox", "xxxx"], seed: 5 }, null, null);
+}
+
+// Just enough of the page for offerSessions: elements by id, with classes, children and text
+function fakePage() {
+    const element = () => {
+        const classes = new Set();
+        return {
+            children: [], textContent: "", innerHTML: "", value: "",
+            classList: {
+                add: name => classes.add(name), remove: name => classes.delete(name),
+                contains: name => classes.has(name), toggle: (name, on) => on ? classes.add(name) : classes.delete(name)
+            },
+            appendChild(child) { this.children.push(child); return child; },
+            addEventListener(type, handler) { this["on" + type] = handler; }
+        };
+    };
+    const elements = {};
+    global.document = {
+        getElementById: id => elements[id] || (elements[id] = element()),
+        createElement: element
+    };
+    global.showOverlay = message => { global.document.getElementById("overlay-message").textContent = message; };
+    elements["session-menu"] = element();
+    elements["session-menu"].classList.add("hidden");
+    return elements;
+}
+
+test("sessions saved to a slot load back, and the active slot is remembered", () => {
+    const storage = memoryStorage();
+    const store = new SessionStore(storage);
+    assert.strictEqual(store.activeSlot, 1);
+    store.use(2);
+    assert.ok(store.save(2, session(4)));
+    storage.setItem("jumper.session.3", "{not json");
+
+    assert.strictEqual(new SessionStore(storage).activeSlot, 2);
+    assert.deepStrictEqual(store.slots().map(entry => entry.session && entry.session.level), [null, 4, null]);
+    store.remove(2);
+    assert.strictEqual(store.load(2), null);
+    assert.strictEqual(new SessionStore(null).save(1, session(0)), false);
+});
+
+test("a save is only accepted with its version, plan, level and lives", () => {
+    assert.strictEqual(SessionStore.validate(session(0)), null);
+    assert.match(SessionStore.validate({ ...session(0), version: 99 }), /version/);
+    assert.match(SessionStore.validate({ ...session(0), spec: {} }), /plan/);
+    assert.match(SessionStore.validate({ ...session(0), lives: "3" }), /lives/);
+    assert.match(SessionStore.validate(null), /Not a save/);
+});
+
+test("a resumed session carries on the agent's seeds and the recorder's upload session", () => {
+    const agent = new game.LMMAgent({ seed: 77 });
+    agent.nextSeed();
+    const recorder = new game.GameRecorder({ quiet: true });
+    recorder.start({ level: 0, seed: 1 });
+    const saved = JSON.parse(JSON.stringify(SessionStore.capture(2, 1, { plan: ["x@x"] }, agent, recorder)));
+
+    const resumedAgent = new game.LMMAgent({ seed: 1 });
+    const resumedRecorder = new game.GameRecorder({ quiet: true });
+    SessionStore.restore(saved, resumedAgent, resumedRecorder);
+    assert.strictEqual(resumedAgent.nextSeed(), agent.nextSeed());
+    assert.strictEqual(resumedRecorder.sessionId, recorder.sessionId);
+});
+
+test("a save file is read back only if it is a valid save", async () => {
+    const file = text => ({ text: () => Promise.resolve(text) });
+    const saved = session(6);
+    assert.deepStrictEqual(await readSessionFile(file(JSON.stringify(saved))), saved);
+    await assert.rejects(readSessionFile(file(JSON.stringify({ version: 1 }))), /plan/);
+    await assert.rejects(readSessionFile(file("not json")), SyntaxError);
+});
+
+test("the menu offers importing a save even when nothing has been saved yet", async () => {
+    const page = fakePage();
+    const store = new SessionStore(memoryStorage());
+    let started;
+    offerSessions(store, resumed => { started = resumed; });
+
+    assert.strictEqual(started, undefined);
+    assert.ok(!page["session-menu"].classList.contains("hidden"));
+    assert.strictEqual(page["session-slots"].children.length, 3);
+
+    const imported = session(8);
+    page["session-import"].onchange({ target: { files: [{ text: () => Promise.resolve(JSON.stringify(imported)) }], value: "save.json" } });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(started, imported);
+    assert.deepStrictEqual(store.load(1), imported);
+});
+
+test("an import only replaces a saved session in the active slot once the player agrees", async () => {
+    const page = fakePage();
+    const store = new SessionStore(memoryStorage());
+    store.save(1, session(2));
+    let started;
+    offerSessions(store, resumed => { started = resumed; });
+
+    const importFile = () => page["session-import"].onchange({ target: { files: [{ text: () => Promise.resolve(JSON.stringify(session(9))) }], value: "" } });
+    global.confirm = () => false;
+    importFile();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(started, undefined);
+    assert.strictEqual(store.load(1).level, 2);
+    assert.strictEqual(page["overlay-message"].textContent, "Import cancelled.");
+
+    global.confirm = () => true;
+    importFile();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(started.level, 9);
+    assert.strictEqual(store.load(1).level, 9);
+});
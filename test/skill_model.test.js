@@ -0,0 +1,76 @@
+"use strict";
+/**
+ * Skill model checks: how an episode moves the rating, and the knobs the rating asks for.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+const game = loadGame();
+
+const PLAN = [
+    "x            x",
+    "x @   o   o  x",
+    "xxxxxxxxxxxxxx"
+];
+
+function deaths(cause, count) {
+    return Array.from({ length: count }, () => ({ type: "death", attempt: 0, data: { cause: cause } }));
+}
+
+test("a clean, fast win with every coin scores 1, and a loss without coins next to nothing", () => {
+    const model = new game.SkillModel();
+    const coins = [{ type: "coin", attempt: 0 }, { type: "coin", attempt: 0 }];
+    assert.strictEqual(model.score({ events: coins, duration: 1 }, "win", PLAN).score, 1);
+    assert.strictEqual(model.score({ events: [], duration: 20 }, "loss", PLAN).score, 0.15); // No jump was missed
+});
+
+test("the rating rises after a win, falls after a loss, and settles with the games played", () => {
+    const model = new game.SkillModel();
+    const win = model.update({ events: [], duration: 5 }, "win", { plan: PLAN, difficulty: 1000 });
+    assert.ok(win.after > win.before);
+    assert.strictEqual(win.expected, 0.5);
+    const loss = model.update({ events: deaths("fell", 3), duration: 5 }, "loss", { plan: PLAN, difficulty: 1000 });
+    assert.ok(loss.after < loss.before);
+    assert.strictEqual(model.successRate(), 0.5);
+
+    const seasoned = game.SkillModel.fromJSON({ rating: 1000, games: 15, results: [] });
+    const settled = seasoned.update({ events: [], duration: 5 }, "win", { plan: PLAN, difficulty: 1000 });
+    assert.ok(settled.after - settled.before < win.after - win.before);
+});
+
+test("a hard level won moves the rating more than an easy one", () => {
+    const easy = new game.SkillModel().update({ events: [], duration: 5 }, "win", { plan: PLAN, difficulty: 800 });
+    const hard = new game.SkillModel().update({ events: [], duration: 5 }, "win", { plan: PLAN, difficulty: 1400 });
+    assert.ok(hard.after - hard.before > easy.after - easy.before);
+});
+
+test("the next difficulty is the one the player is expected to clear 70% of the time", () => {
+    const model = new game.SkillModel({ rating: 1200 });
+    assert.ok(Math.abs(model.expectedSuccess(model.nextDifficulty()) - 0.7) < 0.01);
+});
+
+test("the knobs follow the difficulty and ease what the player died of", () => {
+    assert.deepStrictEqual(game.knobsForDifficulty(800), {
+        gapWidth: 2, heightVariance: 0, lavaDensity: 0, platformLength: 6, levelLength: 20, movingHazards: 0
+    });
+    assert.deepStrictEqual(game.knobsForDifficulty(1800), {
+        gapWidth: 5, heightVariance: 2, lavaDensity: 0.4, platformLength: 3, levelLength: 80, movingHazards: 3
+    });
+
+    const model = new game.SkillModel();
+    const { knobs, reasons } = model.planKnobs(1800, { events: [...deaths("fell", 2), ...deaths("moving_lava", 2)] });
+    assert.strictEqual(knobs.gapWidth, 4);
+    assert.strictEqual(knobs.movingHazards, 2);
+    assert.strictEqual(knobs.lavaDensity, 0.4);
+    assert.deepStrictEqual(Object.keys(reasons).sort(), ["gapWidth", "movingHazards"]);
+});
+
+test("a saved skill model restores as it was", () => {
+    const model = new game.SkillModel();
+    model.update({ events: [], duration: 5 }, "win", { plan: PLAN, difficulty: 1100 });
+    const restored = game.SkillModel.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+    assert.deepStrictEqual(restored, model);
+});
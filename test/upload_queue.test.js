@@ -0,0 +1,97 @@
+"use strict";
+/**
+ * Upload queue checks: chunks are retried while the server is down and a session is parked
+ * only once the server itself refuses it.
+ *
+ * Usage: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+loadGame(["episode_codec.js"]);
+const { UploadQueue } = require("../js/upload_queue");
+console.log = console.warn = console.error = () => { };
+
+function chunk(session, seq, final = false) {
+    return { session: session, seq: seq, final: final, levels: [], attempts: [], frames: [], events: [] };
+}
+
+// A queue kept in memory whose posts get the answers given, in turn; null stands for a
+// server that cannot be reached
+function queueAnswering(answers) {
+    const queue = new UploadQueue({ indexedDB: null });
+    queue.posted = [];
+    global.fetch = (url, request) => {
+        const answer = answers.length > 1 ? answers.shift() : answers[0];
+        queue.posted.push(JSON.parse(request.body));
+        if (answer === null) return Promise.reject(new Error("connect ECONNREFUSED"));
+        return Promise.resolve({ ok: answer < 400, status: answer, json: () => Promise.resolve({ status: "ok" }) });
+    };
+    return queue;
+}
+
+// One drain, with the retry it schedules on failure cancelled so the test decides when to retry
+function drainOnce(queue) {
+    return queue.drain().then(done => {
+        clearTimeout(queue.retryTimer);
+        queue.retryTimer = null;
+        return done;
+    });
+}
+
+async function queued(queue, ...chunks) {
+    for (const c of chunks) {
+        await queue.put({ id: `${c.session}:${c.seq}`, session: c.session, seq: c.seq, final: c.final, queuedAt: Date.now(), sent: false, tries: 0, parked: false, chunk: c });
+    }
+}
+
+test("a session waits through any number of failures to reach the server without being parked", async () => {
+    const queue = queueAnswering([null]);
+    await queued(queue, chunk("a", 0), chunk("a", 1, true));
+    for (let i = 0; i < 8; i++) assert.strictEqual(await drainOnce(queue), false);
+
+    const status = await queue.status();
+    assert.strictEqual(status.parked, 0);
+    assert.strictEqual(status.chunks, 2);
+    assert.strictEqual(queue.failures, 8);
+    assert.ok((await queue.items()).every(item => item.tries === 0));
+});
+
+test("the backoff grows with each failure in a row up to its cap", async () => {
+    const queue = queueAnswering([null]);
+    await queued(queue, chunk("a", 0));
+    const delays = [];
+    for (let i = 0; i < 10; i++) {
+        await drainOnce(queue);
+        delays.push(Math.round((queue.retryAt - Date.now()) / 1000));
+    }
+    assert.deepStrictEqual(delays, [2, 4, 8, 16, 32, 64, 128, 256, 300, 300]);
+});
+
+test("once the server is back the queued chunks go out in order and the session is done", async () => {
+    const queue = queueAnswering([null, null, null, null, null, null, 200]);
+    await queued(queue, chunk("a", 0), chunk("a", 1, true));
+    for (let i = 0; i < 6; i++) await drainOnce(queue);
+    assert.strictEqual(await drainOnce(queue), true);
+
+    assert.deepStrictEqual(queue.posted.slice(-2).map(c => c.seq), [0, 1]);
+    assert.deepStrictEqual(await queue.items(), []);
+    assert.strictEqual(queue.failures, 0);
+});
+
+test("a session is parked after repeated server errors, and at once on a refusal, while the others go on", async () => {
+    const queue = queueAnswering([500, 500, 500, 500, 500, 200]);
+    await queued(queue, chunk("a", 0), chunk("b", 0, true));
+    for (let i = 0; i < 4; i++) assert.strictEqual(await drainOnce(queue), false);
+    assert.strictEqual((await queue.status()).parked, 0);
+    assert.strictEqual(await drainOnce(queue), true);
+    assert.strictEqual((await queue.status()).parked, 1);
+    assert.deepStrictEqual((await queue.items()).map(item => item.session), ["a"]);
+
+    const refused = queueAnswering([400, 200]);
+    await queued(refused, chunk("a", 0), chunk("b", 0, true));
+    assert.strictEqual(await drainOnce(refused), true);
+    const pending = await refused.pendingEpisodes();
+    assert.deepStrictEqual(pending.map(p => [p.session, p.parked]), [["a", true]]);
+});
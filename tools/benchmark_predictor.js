@@ -0,0 +1,94 @@
+"use strict";
+/**
+ * World model benchmark
+ * Re-simulates saved episodes and scores a next-state predictor on every step of them, the
+ * same way start.html?predictor=... does during play (see js/prediction_bench.js).
+ *
+ * Usage: node tools/benchmark_predictor.js episodes/ [more files or directories...]
+ *            [--predictor static|constant-velocity|http://localhost:8102/predict]
+ * Prints one summary line (JSON) per episode, then the totals over all of them.
+ */
+const fs = require("fs");
+const path = require("path");
+const { loadGame } = require("./headless");
+
+const game = loadGame();
+
+function parseArgs(argv) {
+    const options = { inputs: [], predictor: "constant-velocity" };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] == "--predictor") options.predictor = argv[++i];
+        else if (argv[i].startsWith("--")) throw new Error(`Unknown option: ${argv[i]}`);
+        else options.inputs.push(argv[i]);
+    }
+    if (options.inputs.length == 0) throw new Error("Name at least one episode file or directory.");
+    return options;
+}
+
+// Directories contribute their episode_*.json files, in name order
+function episodeFiles(inputs) {
+    const files = [];
+    inputs.forEach(input => {
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input)
+                .filter(name => /^episode_.*\.json$/.test(name))
+                .sort()
+                .forEach(name => files.push(path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    });
+    return files;
+}
+
+// Plays every attempt of the episode through the bench, rewinds included
+async function benchmarkEpisode(bench, episode) {
+    episode = game.decodeEpisode(episode);
+    if (!episode.replay || !Array.isArray(episode.replay.attempts))
+        throw new Error("Episode has no input log (it was recorded before replays were supported).");
+    const stepSize = episode.replay.step || game.FIXED_STEP;
+    for (const attempt of episode.replay.attempts) {
+        const level = new game.Level(attempt.plan, { seed: attempt.seed, physics: attempt.physics });
+        const simulation = new game.Simulation(level, stepSize);
+        const rewinds = new Map((attempt.rewinds || []).map(rewind => [rewind.step, rewind.state]));
+        level.onEvent = type => bench.logEvent(type);
+        while (simulation.steps < attempt.inputs.length) {
+            const keys = game.decodeInput(attempt.inputs[simulation.steps]);
+            bench.beforeStep(level, keys, simulation.steps);
+            simulation.step(keys);
+            bench.afterStep(level);
+            // An endpoint answers one step at a time here, so no step is skipped
+            if (bench.pending > 0) await bench.settled();
+            if (rewinds.has(simulation.steps)) level.restore(rewinds.get(simulation.steps));
+        }
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const predictor = game.createPredictor(options.predictor);
+    const bench = new game.PredictionBench({ predictor: predictor });
+    const all = new game.PredictionBench({ predictor: predictor });
+
+    let count = 0, skipped = 0;
+    for (const file of episodeFiles(options.inputs)) {
+        bench.reset();
+        try {
+            await benchmarkEpisode(bench, JSON.parse(fs.readFileSync(file, "utf8")));
+        } catch (e) {
+            console.error(`[Bench] Skipping ${file}: ${e.message}`);
+            skipped++;
+            continue;
+        }
+        console.log(JSON.stringify({ episode: path.basename(file, ".json"), ...bench.summary() }));
+        all.absorb(bench);
+        count++;
+    }
+    console.log(JSON.stringify({ episode: "all", ...all.summary() }));
+    console.error(`[Bench] ${predictor.describe()} on ${count} episodes (${skipped} skipped)`);
+}
+
+main().catch(e => {
+    console.error(`[Bench] ${e.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,36 @@
+"use strict";
+/**
+ * Episode decoder
+ * Expands a compact episode (see js/episode_codec.js) into the full format, with every
+ * frame's visual_state and every attempt's plan written out. Full episodes pass through.
+ *
+ * Usage: node tools/decode_episode.js episodes/episode_1700000000.json [--out full.json]
+ * Without --out the episode is written to stdout.
+ */
+const fs = require("fs");
+const { decodeEpisode } = require("../js/episode_codec");
+
+function parseArgs(argv) {
+    const options = { input: null, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] == "--out") options.out = argv[++i];
+        else if (argv[i].startsWith("--")) throw new Error(`Unknown option: ${argv[i]}`);
+        else options.input = argv[i];
+    }
+    if (!options.input) throw new Error("Name the episode file to decode.");
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const text = fs.readFileSync(options.input, "utf8");
+    const decoded = JSON.stringify(decodeEpisode(JSON.parse(text)), null, 2);
+    if (options.out) {
+        fs.writeFileSync(options.out, decoded + "\n");
+        console.error(`[Decode] ${options.input} (${text.length} bytes) -> ${options.out} (${decoded.length} bytes)`);
+    } else {
+        process.stdout.write(decoded + "\n");
+    }
+}
+
+main();
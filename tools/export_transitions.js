@@ -0,0 +1,86 @@
+"use strict";
+/**
+ * Transition export
+ * Converts saved episodes into a JSONL stream of (obs, action, reward, next_obs, done)
+ * transitions for world-model training (see js/transitions.js).
+ *
+ * Usage: node tools/export_transitions.js episodes/ [more files or directories...]
+ *            [--encoding ascii|onehot|crop] [--crop 21x11] [--out transitions.jsonl]
+ *            [--coin 1] [--win 1] [--death -1] [--step -0.001]
+ * Without --out the transitions are written to stdout.
+ */
+const fs = require("fs");
+const path = require("path");
+const { loadGame } = require("./headless");
+
+const game = loadGame();
+
+function parseArgs(argv) {
+    const options = { inputs: [], encoding: "ascii", crop: null, out: null, rewards: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case "--encoding": options.encoding = value; i++; break;
+            case "--crop": {
+                const [width, height] = value.split("x").map(n => parseInt(n, 10));
+                options.crop = { width: width, height: height };
+                i++;
+                break;
+            }
+            case "--out": options.out = value; i++; break;
+            case "--coin": case "--win": case "--death": case "--step":
+                options.rewards[argv[i].slice(2)] = parseFloat(value);
+                i++;
+                break;
+            default:
+                if (argv[i].startsWith("--")) throw new Error(`Unknown option: ${argv[i]}`);
+                options.inputs.push(argv[i]);
+        }
+    }
+    if (options.inputs.length == 0) throw new Error("Name at least one episode file or directory.");
+    return options;
+}
+
+// Directories contribute their episode_*.json files, in name order
+function episodeFiles(inputs) {
+    const files = [];
+    inputs.forEach(input => {
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input)
+                .filter(name => /^episode_.*\.json$/.test(name))
+                .sort()
+                .forEach(name => files.push(path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    });
+    return files;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const exporter = new game.TransitionExporter({ encoding: options.encoding, crop: options.crop, rewards: options.rewards });
+    const out = options.out ? fs.openSync(options.out, "w") : process.stdout.fd;
+
+    let count = 0, skipped = 0;
+    const files = episodeFiles(options.inputs);
+    files.forEach(file => {
+        let transitions;
+        try {
+            transitions = exporter.episodeTransitions(JSON.parse(fs.readFileSync(file, "utf8")), path.basename(file, ".json"));
+        } catch (e) {
+            console.error(`[Export] Skipping ${file}: ${e.message}`);
+            skipped++;
+            return;
+        }
+        // One episode at a time, so a large batch never has to fit in memory
+        transitions.forEach(transition => fs.writeSync(out, JSON.stringify(transition) + "\n"));
+        count += transitions.length;
+    });
+
+    if (options.out) fs.closeSync(out);
+    console.error(`[Export] ${count} transitions from ${files.length - skipped} episodes (${skipped} skipped), ` +
+        `encoding "${options.encoding}"${options.out ? `, written to ${options.out}` : ""}`);
+}
+
+main();
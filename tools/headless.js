@@ -0,0 +1,22 @@
+"use strict";
+/**
+ * Headless loader
+ * Loads the game scripts into Node in the same order start.html loads them into the page.
+ * Each file's exports become globals for the files loaded after it, which is how the
+ * scripts see each other in the browser.
+ */
+const path = require("path");
+
+const GAME_SCRIPTS = ["game_core.js", "levels.js", "level_solver.js", "planner_bot.js", "llm_provider.js", "belief_store.js", "law_fitter.js", "skill_model.js", "experiment_design.js", "level_chunks.js", "episode_codec.js", "lmm_ai.js", "heatmap.js", "transitions.js", "prediction_bench.js"];
+
+function loadGame(scripts = GAME_SCRIPTS) {
+    const api = {};
+    scripts.forEach(file => {
+        const exports = require(path.join(__dirname, "..", "js", file));
+        Object.assign(global, exports);
+        Object.assign(api, exports);
+    });
+    return api;
+}
+
+module.exports = { loadGame, GAME_SCRIPTS };
@@ -0,0 +1,96 @@
+import http.server
+import socketserver
+import json
+import re
+import sys
+import time
+
+# Local stand-in for an OpenAI-compatible chat completions server, for testing
+# LMMAgent's LLM backend without a real model.
+#
+#   python3 tools/mock_llm_server.py [port] [mode]
+#   then open start.html?llm=http://localhost:8101/v1/chat/completions
+#
+# Modes exercise each path of generateNextLevel:
+#   valid    - a solvable grid wrapped in chatter and a code fence
+#   garbage  - a reply with no grid in it (falls back to proceduralGen)
+#   error    - HTTP 500
+#   slow     - waits 60s, so the client timeout fires
+
+PORT = int(sys.argv[1]) if len(sys.argv) > 1 else 8101
+MODE = sys.argv[2] if len(sys.argv) > 2 else "valid"
+HEIGHT = 15
+
+
+def build_level(tier):
+    width = 20 + tier * 10
+    rows = [[" "] * width for _ in range(HEIGHT)]
+    for x in range(width):
+        rows[HEIGHT - 1][x] = "x"
+    for y in range(HEIGHT):
+        rows[y][0] = "x"
+        rows[y][width - 1] = "x"
+    # Low platforms with a coin above each, every 8 columns
+    for x in range(8, width - 4, 8):
+        for p in range(3):
+            rows[HEIGHT - 3][x + p] = "x"
+        rows[HEIGHT - 5][x + 1] = "o"
+    rows[HEIGHT - 2][1] = "@"
+    return ["".join(row) for row in rows]
+
+
+class Handler(http.server.BaseHTTPRequestHandler):
+    def cors(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+        self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.cors()
+        self.end_headers()
+
+    def do_POST(self):
+        if self.path != '/v1/chat/completions':
+            self.send_error(404)
+            return
+
+        content_length = int(self.headers['Content-Length'])
+        request = json.loads(self.rfile.read(content_length).decode('utf-8'))
+        prompt = request['messages'][-1]['content']
+        match = re.search(r"Difficulty Tier: (\d+)", prompt)
+        tier = int(match.group(1)) if match else 1
+
+        if MODE == "error":
+            self.send_response(500)
+            self.cors()
+            self.end_headers()
+            return
+        if MODE == "slow":
+            time.sleep(60)
+
+        if MODE == "garbage":
+            content = "I am unable to design a level right now."
+        else:
+            grid = "\n".join(build_level(tier))
+            content = f"Here is a level for tier {tier}:\n```\n{grid}\n```\nGood luck!"
+
+        print(f"Answered tier {tier} prompt in mode '{MODE}'")
+        body = json.dumps({
+            'id': 'mock-completion',
+            'object': 'chat.completion',
+            'model': request.get('model', 'mock'),
+            'choices': [{'index': 0, 'message': {'role': 'assistant', 'content': content}, 'finish_reason': 'stop'}]
+        }).encode()
+        self.send_response(200)
+        self.cors()
+        self.send_header('Content-type', 'application/json')
+        self.end_headers()
+        self.wfile.write(body)
+
+
+if __name__ == "__main__":
+    socketserver.TCPServer.allow_reuse_address = True
+    with socketserver.TCPServer(("", PORT), Handler) as httpd:
+        print(f"Mock LLM serving at port {PORT} in mode '{MODE}'")
+        httpd.serve_forever()
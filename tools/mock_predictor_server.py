@@ -0,0 +1,97 @@
+import http.server
+import socketserver
+import json
+import math
+import sys
+import time
+
+# Local stand-in for a world model endpoint, for testing the prediction bench
+# (js/prediction_bench.js) without a trained model.
+#
+#   python3 tools/mock_predictor_server.py [port] [mode]
+#   then open start.html?predictor=http://localhost:8102/predict
+#   or run node tools/benchmark_predictor.js episodes/ --predictor http://localhost:8102/predict
+#
+# Modes:
+#   velocity - the player keeps its speed for one step (the constant velocity baseline)
+#   static   - nothing moves
+#   gravity  - constant velocity, plus the standard gravity while airborne
+#   error    - HTTP 500
+#   slow     - waits 5s, so the client timeout fires
+
+PORT = int(sys.argv[1]) if len(sys.argv) > 1 else 8102
+MODE = sys.argv[2] if len(sys.argv) > 2 else "velocity"
+GRAVITY = 30
+
+
+def snap(v):
+    # Math.round, as getSnapshot places actors (Python's round() rounds halves to even)
+    return math.floor(v + 0.5)
+
+
+def predict(state):
+    pos = state['player']['pos']
+    speed = state['player']['speed']
+    step = state['stepSize']
+    if MODE == "static":
+        return {'grid': state['grid'], 'player': {'pos': pos}}
+
+    vy = speed['y']
+    if MODE == "gravity" and state['player'].get('state') == "jump":
+        vy += GRAVITY * step
+    nxt = {'x': pos['x'] + speed['x'] * step, 'y': pos['y'] + vy * step}
+
+    rows = [list(row) for row in state['grid']]
+    fx, fy, tx, ty = snap(pos['x']), snap(pos['y']), snap(nxt['x']), snap(nxt['y'])
+    if (fx, fy) != (tx, ty):
+        if 0 <= fy < len(rows) and 0 <= fx < len(rows[fy]) and rows[fy][fx] == "@":
+            rows[fy][fx] = " "
+        if 0 <= ty < len(rows) and 0 <= tx < len(rows[ty]):
+            rows[ty][tx] = "@"
+    return {'grid': ["".join(row) for row in rows], 'player': {'pos': nxt}}
+
+
+class Handler(http.server.BaseHTTPRequestHandler):
+    def cors(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Headers', 'Content-Type')
+        self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.cors()
+        self.end_headers()
+
+    def do_POST(self):
+        if self.path != '/predict':
+            self.send_error(404)
+            return
+
+        content_length = int(self.headers['Content-Length'])
+        state = json.loads(self.rfile.read(content_length).decode('utf-8'))
+
+        if MODE == "error":
+            self.send_response(500)
+            self.cors()
+            self.end_headers()
+            return
+        if MODE == "slow":
+            time.sleep(5)
+
+        body = json.dumps(predict(state)).encode()
+        self.send_response(200)
+        self.cors()
+        self.send_header('Content-type', 'application/json')
+        self.end_headers()
+        self.wfile.write(body)
+
+    # One request per simulation step; the default access log would flood the console
+    def log_message(self, format, *args):
+        pass
+
+
+if __name__ == "__main__":
+    socketserver.TCPServer.allow_reuse_address = True
+    with socketserver.TCPServer(("", PORT), Handler) as httpd:
+        print(f"Mock predictor serving at port {PORT} in mode '{MODE}'")
+        httpd.serve_forever()
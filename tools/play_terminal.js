@@ -0,0 +1,289 @@
+"use strict";
+/**
+ * Terminal front end
+ * Plays the game in a terminal, over SSH or wherever there is no browser, through the same
+ * runLevel / runGame loop as start.html (see js/game_loop.js), with LMMAgent evolving the
+ * levels. The view is Level.getSnapshot itself, the ASCII picture the world model sees,
+ * cut to the viewport around the player and redrawn at a fixed frame rate.
+ *
+ * Usage: node tools/play_terminal.js [--plan plan.json] [--seed 42] [--rewind] [--bot]
+ *            [--llm http://localhost:8101/v1/chat/completions] [--llm-model name]
+ *            [--fps 30] [--record episodes/] [--log game.log] [--no-color]
+ * Keys: arrows or WASD to move, up, W or space to jump, P or Esc to pause, R to rewind,
+ * Q or Ctrl-C to quit. --record writes every episode as server.py would; --log keeps the
+ * console output, which would otherwise draw over the game.
+ */
+const fs = require("fs");
+const path = require("path");
+const { loadGame, GAME_SCRIPTS } = require("./headless");
+
+const game = loadGame([...GAME_SCRIPTS, "input.js", "game_loop.js"]);
+
+const TERMINAL_REASONING_LINES = 4;
+// Lines around the grid: the HUD above, and below it the message, the reasoning header and lines, and the key help
+const TERMINAL_CHROME_LINES = 4 + TERMINAL_REASONING_LINES;
+// Terminals send key presses but no releases: a key counts as held until its auto-repeat
+// stops. The first repeat comes late, so a fresh press is held longer.
+const TERMINAL_KEY_HOLD = { first: 600, repeat: 120 }; // ms
+const TERMINAL_COLORS = { "x": "\x1b[33m", "!": "\x1b[31m", "=": "\x1b[31m", "|": "\x1b[31m", "v": "\x1b[31m", "o": "\x1b[93m", "@": "\x1b[1;36m" };
+
+function parseArgs(argv) {
+    const options = { plan: null, seed: null, rewind: false, bot: false, llm: null, llmModel: null, fps: 30, record: null, log: null, color: true };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case "--plan": options.plan = value; i++; break;
+            case "--seed": options.seed = parseInt(value, 10) >>> 0; i++; break;
+            case "--rewind": options.rewind = true; break;
+            case "--bot": options.bot = true; break;
+            case "--llm": options.llm = value; i++; break;
+            case "--llm-model": options.llmModel = value; i++; break;
+            case "--fps": options.fps = parseInt(value, 10); i++; break;
+            case "--record": options.record = value; i++; break;
+            case "--log": options.log = value; i++; break;
+            case "--no-color": options.color = false; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// --- SCREEN ---
+// Everything on the terminal: the HUD, the latest view of the level, the overlay message
+// and the agent's latest reasoning. Redrawn in place, without scrolling.
+class TerminalScreen {
+    constructor(out, options) {
+        this.out = out;
+        this.color = options.color && !!out.isTTY;
+        this.hud = "";
+        this.rows = null; // Viewport of the level last drawn
+        this.message = "";
+        this.rewindHint = false;
+        this.agent = null;
+    }
+
+    size() {
+        return { columns: this.out.columns || 80, rows: this.out.rows || 24 };
+    }
+
+    // Room left for the level once the HUD, messages and reasoning have theirs
+    viewportSize() {
+        const size = this.size();
+        return { width: size.columns, height: Math.max(3, size.rows - TERMINAL_CHROME_LINES) };
+    }
+
+    colorize(row) {
+        if (!this.color) return row;
+        return row.replace(/(.)\1*/g, run => TERMINAL_COLORS[run[0]] ? `${TERMINAL_COLORS[run[0]]}${run}\x1b[0m` : run);
+    }
+
+    render() {
+        const { columns } = this.size();
+        const fit = text => text.length > columns ? text.slice(0, columns - 1) + "…" : text;
+        const lines = [fit(this.hud)];
+        (this.rows || []).forEach(row => lines.push(this.colorize(row)));
+        lines.push(fit(this.message || (this.rewindHint ? "Touched lava! Press R to rewind." : "")));
+        lines.push(fit("--- World model reasoning ---"));
+        const log = this.agent ? this.agent.reasoningLog.slice(-TERMINAL_REASONING_LINES) : [];
+        for (let i = 0; i < TERMINAL_REASONING_LINES; i++) lines.push(log[i] ? fit(`> ${log[i].text.replace(/\s+/g, " ")}`) : "");
+        lines.push(fit("Arrows/WASD move, Up/W/Space jump, P pause, R rewind, Q quit"));
+        // Home, every line cleared to its end, then everything below cleared
+        this.out.write("\x1b[H" + lines.map(line => line + "\x1b[K").join("\n") + "\x1b[J");
+    }
+
+    open() {
+        if (this.out.isTTY) this.out.write("\x1b[?1049h\x1b[?25l"); // Alternate screen, cursor hidden
+    }
+
+    close() {
+        if (this.out.isTTY) this.out.write("\x1b[?25h\x1b[?1049l");
+    }
+}
+
+// --- DISPLAY ---
+// The Display runLevel draws with: same contract as DOMDisplay and CanvasDisplay
+class TerminalDisplay {
+    constructor(screen, level) {
+        this.screen = screen;
+        this.level = level;
+        this.drawFrame(0);
+    }
+
+    // The part of the snapshot around the player that fits the terminal
+    viewport() {
+        const rows = this.level.getSnapshot();
+        const { width, height } = this.screen.viewportSize();
+        const player = this.level.player;
+        const corner = (center, view, total) => Math.max(0, Math.min(total - view, Math.round(center - view / 2)));
+        const left = corner(player.pos.x, width, this.level.width);
+        const top = corner(player.pos.y, height, this.level.height);
+        return rows.slice(top, top + height).map(row => row.slice(left, left + width));
+    }
+
+    drawFrame() {
+        this.screen.rows = this.viewport();
+        if (this.level.status === "lost") this.screen.rows = this.screen.rows.map(row => row.replace("@", "X"));
+        this.screen.render();
+    }
+
+    // The last view stays up while the next level is prepared
+    clear() { }
+}
+
+// --- INPUT ---
+// Turns raw terminal bytes into the key codes InputManager is bound to
+const TERMINAL_KEY_CODES = {
+    "\x1b[A": "ArrowUp", "\x1b[B": "ArrowDown", "\x1b[C": "ArrowRight", "\x1b[D": "ArrowLeft",
+    "\x1bOA": "ArrowUp", "\x1bOB": "ArrowDown", "\x1bOC": "ArrowRight", "\x1bOD": "ArrowLeft",
+    " ": "Space", "\x1b": "Escape", "p": "Escape"
+};
+
+class TerminalInput {
+    constructor(input, onQuit) {
+        this.input = input; // InputManager
+        this.onQuit = onQuit;
+        this.releases = new Map(); // Pending key releases by code
+    }
+
+    feed(data) {
+        const tokens = data.toString("utf8").match(/\x1b\[[0-9;]*[A-Za-z~]|\x1bO[A-Z]|[\s\S]/g) || [];
+        tokens.forEach(token => {
+            const key = token.length === 1 ? token.toLowerCase() : token;
+            if (key === "q" || key === "\x03") {
+                this.onQuit();
+                return;
+            }
+            const code = TERMINAL_KEY_CODES[key] || (/^[a-z]$/.test(key) ? `Key${key.toUpperCase()}` : null);
+            if (code) this.hold(code);
+        });
+    }
+
+    hold(code) {
+        const repeat = this.releases.has(code);
+        clearTimeout(this.releases.get(code));
+        if (!repeat) this.input.handleKey({ type: "keydown", code: code, preventDefault() { } });
+        this.releases.set(code, setTimeout(() => {
+            this.releases.delete(code);
+            this.input.handleKey({ type: "keyup", code: code, preventDefault() { } });
+        }, repeat ? TERMINAL_KEY_HOLD.repeat : TERMINAL_KEY_HOLD.first));
+    }
+}
+
+// --- RECORDING ---
+// Stands in for UploadQueue: keeps each session's chunks and writes the episode once the final one arrives
+function recordingQueue(dir) {
+    const sessions = new Map();
+    if (dir) fs.mkdirSync(dir, { recursive: true });
+    return {
+        enqueue(chunk) {
+            if (!dir) return Promise.resolve();
+            if (!sessions.has(chunk.session)) sessions.set(chunk.session, []);
+            sessions.get(chunk.session).push(chunk);
+            if (chunk.final) {
+                const file = path.join(dir, `episode_${Math.floor(Date.now() / 1000)}_${chunk.session}.json`);
+                fs.writeFileSync(file, JSON.stringify(game.assembleChunks(sessions.get(chunk.session))));
+                sessions.delete(chunk.session);
+                console.log(`[Terminal] Saved episode to ${file}`);
+            }
+            return Promise.resolve();
+        }
+    };
+}
+
+// Console output goes to the log file, if any, instead of over the game
+function redirectConsole(file) {
+    const write = file ? (...args) => fs.appendFileSync(file, args.map(a => typeof a === "string" ? a : JSON.stringify(a)).join(" ") + "\n") : () => { };
+    ["log", "info", "warn", "error"].forEach(name => { console[name] = write; });
+}
+
+// Puts the terminal back as it was found; main replaces it once the game has taken the terminal over
+let restoreTerminal = () => { };
+
+// A failure ends the game: the terminal is restored first, so the message is readable on the
+// real standard error, whatever the console has been redirected to
+function fail(error) {
+    restoreTerminal();
+    process.stderr.write(`[Terminal] ${error && error.stack || error}\n`);
+    process.exit(1);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const plans = options.plan ? [(data => Array.isArray(data) ? data : data.plan)(JSON.parse(fs.readFileSync(options.plan, "utf8")))] : game.GAME_LEVELS;
+    const stdin = process.stdin;
+    if (!stdin.isTTY && !options.bot) throw new Error("Standard input is not a terminal; use --bot to watch the planner bot play.");
+
+    const screen = new TerminalScreen(process.stdout, options);
+    const input = new game.InputManager(null);
+    const exitHandlers = [];
+    const ui = {
+        parent: () => screen,
+        // A fixed frame rate; each frame gets the real time since the last one, like requestAnimationFrame
+        animate(frameFunc) {
+            let last = Date.now();
+            const timer = setInterval(() => {
+                const now = Date.now();
+                const step = Math.min(now - last, 100) / 1000;
+                last = now;
+                if (frameFunc(step) === false) clearInterval(timer);
+            }, 1000 / options.fps);
+        },
+        updateHUD(lives, level, seed) {
+            screen.hud = `Lives: ${lives} | Level: ${level + 1} | Seed: ${seed != null ? seed : "-"}`;
+            screen.render();
+        },
+        showOverlay(message, isShown) {
+            screen.message = isShown ? message : "";
+            screen.render();
+        },
+        showRewindHint(shown) {
+            screen.rewindHint = shown;
+        },
+        onExit: fn => exitHandlers.push(fn),
+        input: input,
+        recorder: new game.GameRecorder({ quiet: true, queue: recordingQueue(options.record) }),
+        agent: new game.LMMAgent({
+            seed: options.seed,
+            provider: options.llm ? new game.OpenAICompatibleProvider({ endpoint: options.llm, model: options.llmModel }) : null
+        }),
+        sessionStore: null,
+        heatmap: null,
+        bench: null
+    };
+    screen.agent = ui.agent;
+
+    restoreTerminal = () => {
+        if (stdin.isTTY) stdin.setRawMode(false);
+        screen.close();
+    };
+    redirectConsole(options.log);
+    let quitting = false;
+    const quit = () => {
+        if (quitting) return;
+        quitting = true;
+        exitHandlers.forEach(fn => fn());
+        restoreTerminal();
+        // The episode being played is saved as far as it got
+        Promise.resolve(ui.recorder.history.length > 0 ? ui.recorder.saveHistory() : null).then(() => process.exit(0));
+    };
+    const keys = new TerminalInput(input, quit);
+    if (stdin.isTTY) {
+        stdin.setRawMode(true);
+        stdin.on("data", data => keys.feed(data));
+    }
+    process.on("SIGTERM", quit);
+    process.on("SIGINT", quit);
+    // Errors in a frame, and in the game loop's promise chains, e.g. level generation after a game over
+    process.on("uncaughtException", fail);
+    process.on("unhandledRejection", fail);
+    process.stdout.on("resize", () => screen.render());
+
+    screen.open();
+    game.runGame(plans, TerminalDisplay, null, { ui: ui, rewind: options.rewind, bot: options.bot });
+}
+
+try {
+    main();
+} catch (e) {
+    fail(e.message);
+}
@@ -0,0 +1,154 @@
+"use strict";
+/**
+ * Headless episode runner
+ * Plays levels through the simulation core with scripted input policies, with no browser.
+ *
+ * Usage: node tools/simulate.js [--episodes 1000] [--policy random|runner|bot] [--max-seconds 60]
+ *                               [--plan plan.json | --tier 3 | --difficulty 1400] [--style run|climb|cavern] [--seed 42]
+ *                               [--physics low_gravity|floaty|slippery|reversed|wind] [--record episodes/]
+ * With --tier or --difficulty (a skill model rating) the level is generated by LMMAgent
+ * from the seed, exactly as in the game, in the --style it names (a horizontal run by default).
+ * --physics plays it under a physics profile (a --plan file may also name one, as { plan, physics }).
+ * --record writes every episode through GameRecorder, in the same format the game uploads, tagged as synthetic.
+ */
+const fs = require("fs");
+const path = require("path");
+const { loadGame } = require("./headless");
+
+const game = loadGame();
+
+function parseArgs(argv) {
+    const options = { episodes: 1000, policy: "random", maxSeconds: 60, plan: null, tier: null, difficulty: null, seed: null, style: null, physics: null, record: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case "--episodes": options.episodes = parseInt(value, 10); break;
+            case "--policy": options.policy = value; break;
+            case "--max-seconds": options.maxSeconds = parseFloat(value); break;
+            case "--plan": options.plan = value; break;
+            case "--tier": options.tier = parseInt(value, 10); break;
+            case "--difficulty": options.difficulty = parseInt(value, 10); break;
+            case "--seed": options.seed = parseInt(value, 10) >>> 0; break;
+            case "--style": options.style = value; break;
+            case "--physics": options.physics = value; break;
+            case "--record": options.record = value; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// --- INPUT POLICIES ---
+// A policy returns a controller(level, steps) that yields the input object for each tick.
+// Policies get their own seeded PRNG so a whole batch of episodes can be re-run exactly.
+const POLICIES = {
+    // Holds a random combination of keys for a random number of ticks
+    random(random) {
+        let input = {};
+        let holdFor = 0;
+        return function () {
+            if (holdFor-- <= 0) {
+                input = { left: random() < 0.3, right: random() < 0.6, up: random() < 0.4 };
+                holdFor = 5 + Math.floor(random() * 25);
+            }
+            return input;
+        };
+    },
+    // Runs right and jumps whenever it is standing still vertically
+    runner() {
+        return function (level) {
+            return { left: false, right: true, up: level.player.speed.y == 0 };
+        };
+    },
+    // Plans each move with the simulation itself (see js/planner_bot.js); deterministic, so
+    // every episode of a level plays the same
+    bot() {
+        return new game.PlannerBot().controller();
+    }
+};
+
+// recorder, if given, records the episode as runLevel and runGame would in the browser
+function runEpisode(spec, policy, policySeed, maxSteps, recorder) {
+    const level = new game.Level(spec.plan, { seed: spec.seed, physics: spec.physics });
+    const simulation = new game.Simulation(level);
+    const controller = POLICIES[policy](game.createRandom(policySeed));
+    const coins = { collected: 0 };
+    level.onEvent = function (type, data) {
+        if (type == "coin") coins.collected++;
+        if (recorder) recorder.logEvent(type, data);
+    };
+    if (recorder) recorder.beginAttempt(level);
+
+    while (simulation.steps < maxSteps) {
+        const keys = controller(level, simulation.steps);
+        const finished = simulation.step(keys);
+        if (recorder) recorder.recordFrame(level, keys, policy);
+        if (finished) break;
+    }
+
+    const status = level.status;
+    const death = level.deathCause;
+    if (recorder) {
+        if (death) recorder.logEvent("death", { level: 0, cause: death.cause, ch: death.ch, pos: death.pos, origin: death.origin, speed: death.speed });
+        else if (status == "won") recorder.logEvent("level_complete", { level: 0 });
+        recorder.endAttempt(status);
+    }
+    return { status: status || "timeout", steps: simulation.steps, coins: coins.collected, cause: death && death.cause };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!POLICIES[options.policy]) throw new Error(`Unknown policy: ${options.policy}`);
+
+    const seed = options.seed != null ? options.seed : game.newSeed();
+    let plan = game.GAME_LEVELS[0];
+    let physics = options.physics;
+    let source = "predefined";
+    if (options.plan) {
+        const data = JSON.parse(fs.readFileSync(options.plan, "utf8"));
+        plan = Array.isArray(data) ? data : data.plan;
+        physics = physics || data.physics || null;
+        source = "file";
+    } else if (options.tier != null) {
+        plan = new game.LMMAgent().generateSolvableLevel(options.tier, seed, physics, { style: options.style });
+        source = "procedural";
+    } else if (options.difficulty != null) {
+        plan = new game.LMMAgent().generateSolvableLevel(game.knobsForDifficulty(options.difficulty), seed, physics, { style: options.style });
+        source = "procedural";
+    }
+    const spec = { plan: plan, seed: seed, physics: physics };
+    const maxSteps = Math.round(options.maxSeconds / game.FIXED_STEP);
+    if (options.record) fs.mkdirSync(options.record, { recursive: true });
+
+    const totals = { won: 0, lost: 0, timeout: 0, steps: 0, coins: 0, causes: {} };
+    const started = Date.now();
+    for (let i = 0; i < options.episodes; i++) {
+        let recorder = null;
+        if (options.record) {
+            recorder = new game.GameRecorder({ quiet: true });
+            recorder.start({
+                level: 0, seed: seed, source: source, difficulty: options.difficulty, physics: physics,
+                synthetic: true, player: options.policy, policySeed: seed + i + 1
+            });
+        }
+        const result = runEpisode(spec, options.policy, seed + i + 1, maxSteps, recorder);
+        if (recorder) {
+            const file = path.join(options.record, `episode_${options.policy}_${seed}_${i}.json`);
+            fs.writeFileSync(file, JSON.stringify(recorder.episode()));
+        }
+        totals[result.status]++;
+        totals.steps += result.steps;
+        totals.coins += result.coins;
+        if (result.cause) totals.causes[result.cause] = (totals.causes[result.cause] || 0) + 1;
+    }
+
+    const n = options.episodes;
+    console.log(`[Simulate] ${n} episodes, policy "${options.policy}", seed ${seed}${physics ? `, physics ${physics}` : ""}, ${((Date.now() - started) / 1000).toFixed(1)}s wall time`);
+    console.log(`[Simulate] won ${totals.won}, lost ${totals.lost}, timeout ${totals.timeout}`);
+    const causes = Object.keys(totals.causes).map(cause => `${cause} ${totals.causes[cause]}`);
+    if (causes.length > 0) console.log(`[Simulate] deaths by cause: ${causes.join(", ")}`);
+    console.log(`[Simulate] mean ${(totals.steps / n * game.FIXED_STEP).toFixed(2)}s simulated, ${(totals.coins / n).toFixed(2)} coins per episode`);
+    if (options.record) console.log(`[Simulate] recorded ${n} episodes to ${options.record}`);
+}
+
+main();